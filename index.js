@@ -15,9 +15,21 @@ const defaultSettings = {
   openRouterApiKey: "",
   localEmbeddingUrl: "",
   localEmbeddingApiKey: "",
+  ollamaUrl: "http://localhost:11434",
+  cohereApiKey: "",
+  geminiApiKey: "",
+  voyageApiKey: "",
+  koboldCppUrl: "", // KoboldCpp server for the KoboldCpp provider; empty = the one set up in SillyTavern
+  embeddingTemplate: "auto", // Query/document prefixes: "auto" (by model), a preset id, or "custom"
+  customQueryPrefix: "",
+  customDocumentPrefix: "",
   embeddingModel: "text-embedding-3-large",
   customEmbeddingDimensions: null,
+  embeddingOutputDimensions: null, // Shorter (Matryoshka) vectors for models that allow it; null = full size
   memoryLimit: 5,
+  candidateMultiplier: 4, // Search results fetched per memory kept, for ranking and MMR to choose from
+  mmrLambda: 0.7, // MMR trade-off: 1 = relevance only, lower = more variety
+  maxMemoriesPerChat: 2, // Memories from one conversation while others have candidates (0 = no limit)
   scoreThreshold: 0.3,
   memoryPosition: 2,
   debugMode: false,
@@ -29,8 +41,35 @@ const defaultSettings = {
   minMessageLength: 5,
   showMemoryNotifications: true,
   retainRecentMessages: 5,
-  chunkMinSize: 1200,
-  chunkMaxSize: 1500,
+  queryMode: "last_user", // Retrieval query: "last_user", "window", "split" or "average"
+  queryWindowMessages: 6, // window: messages from both sides joined into the query
+  queryWindowDecay: 0.7, // window: room given to each older message relative to the next
+  querySplitCharacterWeight: 0.8, // split: scale of scores found with the character's last reply
+  queryAverageMessages: 4, // average: messages embedded and averaged
+  queryAverageDecay: 0.7, // average: weight of each older message relative to the next
+  queryRewrite: false, // Ask the chat LLM to turn the conversation into standalone search queries
+  queryRewritePrompt: "", // Rewrite prompt; empty = DEFAULT_QUERY_REWRITE_PROMPT
+  queryRewriteMessages: 6, // Recent messages shown to the LLM
+  queryRewriteMaxQueries: 3, // Most rewritten queries searched
+  queryRewriteTimeoutMs: 5000, // Give up on the rewrite (and use the normal query) after this long
+  queryRewriteKeepOriginal: true, // Search the normal query as well as the rewritten ones
+  rankingEnabled: false, // Re-rank search results by recency, importance and retrieval count
+  recencyHalfLifeDays: 30, // Age at which a memory's recency bonus has halved
+  recencyWeight: 0.3, // Weight of recency next to similarity (which counts 1)
+  importanceWeight: 0, // Weight of the payload's importance (0-1; 0.5 when missing); off, since nothing here sets it
+  retrievalCountWeight: 0.1, // Weight of how often the memory was injected before
+  trackRetrievalCounts: true, // Count injections in each memory's payload (retrievalCount)
+  rerankEnabled: false, // Re-score candidates with a cross-encoder /rerank endpoint
+  rerankUrl: "", // Full URL of the /rerank endpoint
+  rerankFormat: "cohere", // Request shape: "cohere" (Cohere, Jina and compatible) or "tei" (Text Embeddings Inference)
+  rerankModel: "", // Model name sent to the endpoint (Cohere and Jina need one)
+  rerankApiKey: "",
+  rerankTopK: 20, // Candidates sent to the reranker
+  rerankThreshold: 0.1, // Minimum reranker score kept
+  chunkMinTokens: 300, // Chunks are saved once they reach this size...
+  chunkMaxTokens: 400, // ...and never grow past this one (or the embedding model's input limit)
+  tokenCounter: "approximate", // "approximate" (tuned to the embedding model) or "sillytavern" (the chat model's tokenizer)
+  embeddingMaxTokens: null, // Embedding model input limit override; null = known limit for the model
   chunkTimeout: 30000, // 30 seconds - save chunk if no new messages
   // NEW v3.1.2 settings
   dedupeThreshold: 0.92, // Similarity threshold for chunk deduplication
@@ -39,17 +78,38 @@ const defaultSettings = {
   streamFinalizeStableMs: 1200,
   streamFinalizeMaxWaitMs: 300000,
   flushAfterAssistant: true,
+  indexBatchSize: 32, // Chunks per embedding request / Qdrant upsert when indexing
+  hybridSearch: false, // Dense + sparse (BM25-style) retrieval with RRF fusion
+  hybridDenseWeight: 0.7, // Dense share of the fused score (sparse gets the rest)
+  quantization: "none", // Vector quantization for new Qdrant collections: "none", "scalar" or "binary"
+  vectorsOnDisk: false, // Keep full-precision vectors of new Qdrant collections on disk
+  snapshotBeforeDelete: true, // Snapshot and download a collection before deleting it
+  storageBackend: "qdrant", // "qdrant" server or "indexeddb" (in-browser store)
+  collectionBindings: {}, // Character avatar -> collection binding, mirrors the card extension data
+  syncMessageChanges: true, // Update stored chunks when messages are edited, deleted or swiped
+  embeddingCacheEnabled: true, // Reuse vectors for text already embedded with the current model
+  embeddingCacheMaxEntries: 5000, // Least recently used entries are evicted past this
+  requestTimeoutMs: 30000, // Per-attempt timeout for Qdrant, embedding and SillyTavern requests
+  requestRetries: 3, // Retries after a timeout, network error, 429 or 5xx
+  localEmbeddingModel: "", // Model served by the local/KoboldCpp endpoint, to match fallback providers
+  embeddingFallbacks: [], // Ordered { provider, model } entries tried when the primary provider fails
 }
 
 let settings = { ...defaultSettings }
-const saveQueue = []
-let processingSaveQueue = false
 
 let messageBuffer = []
 let lastMessageTime = 0
 let chunkTimer = null
+let bufferSaving = Promise.resolve() // Buffer saves run one after another
 let pendingAssistantFinalize = null
 
+// Vector names used by hybrid (dense + sparse) collections
+const DENSE_VECTOR_NAME = "dense"
+const SPARSE_VECTOR_NAME = "sparse"
+
+// Collection name -> { named, hybrid } vector layout
+const collectionLayouts = new Map()
+
 // NEW: Track which chats have had memories injected to prevent duplicates
 const memoryInjectionTracker = new Set()
 
@@ -104,11 +164,91 @@ const EMBEDDING_MODEL_OPTIONS = {
       label: "Google: Gemini Embedding 001",
     },
   ],
+  ollama: [
+    {
+      value: "nomic-embed-text",
+      label: "nomic-embed-text (768)",
+    },
+    {
+      value: "mxbai-embed-large",
+      label: "mxbai-embed-large (1024)",
+    },
+    {
+      value: "bge-m3",
+      label: "bge-m3 (1024, multilingual)",
+    },
+    {
+      value: "snowflake-arctic-embed2",
+      label: "snowflake-arctic-embed2 (1024, multilingual)",
+    },
+    {
+      value: "embeddinggemma",
+      label: "embeddinggemma (768)",
+    },
+    {
+      value: "qwen3-embedding:0.6b",
+      label: "qwen3-embedding:0.6b (1024)",
+    },
+    {
+      value: "all-minilm",
+      label: "all-minilm (384, fastest)",
+    },
+  ],
+  cohere: [
+    {
+      value: "embed-v4.0",
+      label: "embed-v4.0 (best quality)",
+    },
+    {
+      value: "embed-english-v3.0",
+      label: "embed-english-v3.0",
+    },
+    {
+      value: "embed-multilingual-v3.0",
+      label: "embed-multilingual-v3.0",
+    },
+    {
+      value: "embed-english-light-v3.0",
+      label: "embed-english-light-v3.0 (faster)",
+    },
+    {
+      value: "embed-multilingual-light-v3.0",
+      label: "embed-multilingual-light-v3.0 (faster)",
+    },
+  ],
+  gemini: [
+    {
+      value: "gemini-embedding-001",
+      label: "gemini-embedding-001 (best quality)",
+    },
+    {
+      value: "text-embedding-004",
+      label: "text-embedding-004 (legacy)",
+    },
+  ],
+  voyage: [
+    {
+      value: "voyage-3.5",
+      label: "voyage-3.5 (balanced)",
+    },
+    {
+      value: "voyage-3-large",
+      label: "voyage-3-large (best quality)",
+    },
+    {
+      value: "voyage-3.5-lite",
+      label: "voyage-3.5-lite (faster)",
+    },
+  ],
 }
 
 const DEFAULT_MODEL_BY_PROVIDER = {
   openai: "text-embedding-3-large",
   openrouter: EMBEDDING_MODEL_OPTIONS.openrouter[0].value,
+  ollama: EMBEDDING_MODEL_OPTIONS.ollama[0].value,
+  cohere: EMBEDDING_MODEL_OPTIONS.cohere[0].value,
+  gemini: EMBEDDING_MODEL_OPTIONS.gemini[0].value,
+  voyage: EMBEDDING_MODEL_OPTIONS.voyage[0].value,
 }
 
 const OPENROUTER_MODEL_ALIASES = {
@@ -123,6 +263,17 @@ const OPENAI_MODEL_ALIASES = {
   "openai/text-embedding-ada-002": "text-embedding-ada-002",
 }
 
+const EMBEDDING_PROVIDER_LABELS = {
+  openai: "OpenAI",
+  openrouter: "OpenRouter",
+  ollama: "Ollama",
+  cohere: "Cohere",
+  gemini: "Google Gemini",
+  voyage: "Voyage AI",
+  koboldcpp: "KoboldCpp (via SillyTavern)",
+  local: "Local/custom endpoint",
+}
+
 // ============================================================================
 // DATE/TIMESTAMP NORMALIZATION
 // ============================================================================
@@ -204,12 +355,20 @@ function saveSettings() {
   console.log("[Qdrant Memory] Settings saved")
 }
 
-// Get collection name for a character
-function getCollectionName(characterName) {
-  if (!settings.usePerCharacterCollections) {
+// Get collection name for a character: the collection bound to it, or one
+// derived from its name if it has not been bound yet. `perCharacter` picks
+// the mode explicitly instead of following the setting.
+function getCollectionName(characterName, { perCharacter = settings.usePerCharacterCollections } = {}) {
+  if (!perCharacter) {
     return settings.collectionName
   }
 
+  const binding = getCollectionBinding(findCharacterByName(characterName))
+  return binding?.collection || getDefaultCollectionName(characterName)
+}
+
+// Collection name derived from a character's display name
+function getDefaultCollectionName(characterName) {
   // Sanitize character name for collection name (lowercase, replace spaces/special chars)
   const sanitized = characterName
     .toLowerCase()
@@ -220,8 +379,20 @@ function getCollectionName(characterName) {
   return `${settings.collectionName}_${sanitized}`
 }
 
-// Get embedding dimensions for the selected model
-function getEmbeddingDimensions() {
+// Get embedding dimensions for the selected model (or a fallback `target`),
+// after any reduction
+function getEmbeddingDimensions(target = getPrimaryEmbeddingTarget()) {
+  const fullDimensions = getModelDimensions(target)
+  const reduced = getReducedDimensions()
+  if (!reduced || !getDimensionReduction(target)) {
+    return fullDimensions
+  }
+  return fullDimensions ? Math.min(reduced, fullDimensions) : reduced
+}
+
+// Native vector size of a provider's model. Fallback providers with a model
+// not listed here are only known once they answer, so they give null.
+function getModelDimensions(target = getPrimaryEmbeddingTarget()) {
   const dimensions = {
     "text-embedding-3-large": 3072,
     "text-embedding-3-small": 1536,
@@ -232,20 +403,41 @@ function getEmbeddingDimensions() {
     "qwen/qwen3-embedding-8b": 4096,
     "mistralai/mistral-embed-2312": 1024,
     "google/gemini-embedding-001": 3072,
+    "nomic-embed-text": 768,
+    "mxbai-embed-large": 1024,
+    "bge-m3": 1024,
+    "snowflake-arctic-embed2": 1024,
+    "embeddinggemma": 768,
+    "qwen3-embedding:0.6b": 1024,
+    "all-minilm": 384,
+    "embed-v4.0": 1536,
+    "embed-english-v3.0": 1024,
+    "embed-multilingual-v3.0": 1024,
+    "embed-english-light-v3.0": 384,
+    "embed-multilingual-light-v3.0": 384,
+    "gemini-embedding-001": 3072,
+    "text-embedding-004": 768,
+    "voyage-3.5": 1024,
+    "voyage-3-large": 1024,
+    "voyage-3.5-lite": 1024,
   }
 
   const customDimensions = Number.parseInt(settings.customEmbeddingDimensions, 10)
   const isCustomValid = Number.isFinite(customDimensions) && customDimensions > 0
 
-  if (settings.embeddingProvider === "local") {
-    if (isCustomValid) {
+  if (providerDetectsDimensions(target.provider)) {
+    if (isCustomValid && target.primary) {
       return customDimensions
     }
     return null
   }
 
-  if (dimensions[settings.embeddingModel]) {
-    return dimensions[settings.embeddingModel]
+  if (dimensions[target.model]) {
+    return dimensions[target.model]
+  }
+
+  if (!target.primary) {
+    return null
   }
 
   if (isCustomValid) {
@@ -255,8 +447,76 @@ function getEmbeddingDimensions() {
   return 1536
 }
 
+// Providers whose model is chosen outside the extension, so the vector size is
+// learned from the first response instead of looked up
+function providerDetectsDimensions(provider) {
+  return provider === "local" || provider === "koboldcpp"
+}
+
+// Models trained to give useful prefixes of their vectors (Matryoshka), with
+// the sizes their API accepts through the provider's request field
+const REDUCIBLE_MODELS = {
+  "text-embedding-3-large": { max: 3072 },
+  "text-embedding-3-small": { max: 1536 },
+  "openai/text-embedding-3-large": { max: 3072 },
+  "openai/text-embedding-3-small": { max: 1536 },
+  "embed-v4.0": { sizes: [256, 512, 1024, 1536] },
+  "gemini-embedding-001": { max: 3072, min: 128 },
+  "voyage-3.5": { sizes: [256, 512, 1024, 2048] },
+  "voyage-3-large": { sizes: [256, 512, 1024, 2048] },
+  "voyage-3.5-lite": { sizes: [256, 512, 1024, 2048] },
+}
+
+const DIMENSIONS_REQUEST_FIELDS = {
+  openai: "dimensions",
+  openrouter: "dimensions",
+  cohere: "output_dimension",
+  gemini: "outputDimensionality",
+  voyage: "output_dimension",
+}
+
+// Requested output size, or null for the model's full size
+function getReducedDimensions() {
+  const reduced = Number.parseInt(settings.embeddingOutputDimensions, 10)
+  return Number.isFinite(reduced) && reduced > 0 ? reduced : null
+}
+
+// How the selected model's vectors can be shortened: by the API ("request"),
+// by truncating on our side ("truncate", for self-hosted models where the
+// user vouches for Matryoshka training), or not at all (null)
+function getDimensionReduction(target = getPrimaryEmbeddingTarget()) {
+  const { provider } = target
+  if (provider === "ollama" || providerDetectsDimensions(provider)) {
+    return { mode: "truncate" }
+  }
+
+  const limits = REDUCIBLE_MODELS[target.model]
+  if (limits && DIMENSIONS_REQUEST_FIELDS[provider]) {
+    return { mode: "request", field: DIMENSIONS_REQUEST_FIELDS[provider], ...limits }
+  }
+  return null
+}
+
+// Shorten a vector to the requested size and renormalize it. Providers that
+// reduce server-side already return the right length, but not every one
+// normalizes the result (Gemini below 3072 does not).
+function reduceEmbedding(vector, target = getPrimaryEmbeddingTarget()) {
+  const reduced = getReducedDimensions()
+  if (!reduced || !Array.isArray(vector) || !getDimensionReduction(target)) {
+    return vector
+  }
+
+  return normalizeVector(vector.length > reduced ? vector.slice(0, reduced) : vector)
+}
+
+// Scale a vector to unit length
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0))
+  return norm > 0 ? vector.map((value) => value / norm) : vector
+}
+
 function updateLocalEmbeddingDimensions(vector) {
-  if (settings.embeddingProvider !== "local") {
+  if (!providerDetectsDimensions(settings.embeddingProvider)) {
     return
   }
 
@@ -297,11 +557,12 @@ function updateLocalEmbeddingDimensions(vector) {
   }
 }
 
-function getEmbeddingProviderError() {
-  const provider = settings.embeddingProvider || "openai"
+// Configuration problem that stops the primary provider (or a fallback
+// `target`) from embedding, or null
+function getEmbeddingProviderError(target = getPrimaryEmbeddingTarget()) {
+  const { provider } = target
 
-  const validProviders = ["openai", "openrouter", "local"]
-  if (!validProviders.includes(provider)) {
+  if (!EMBEDDING_PROVIDER_LABELS[provider]) {
     return `Unsupported embedding provider: ${provider}`
   }
 
@@ -317,12 +578,42 @@ function getEmbeddingProviderError() {
     }
   }
 
-  if (provider === "local") {
-    if (!settings.localEmbeddingUrl || !settings.localEmbeddingUrl.trim()) {
+  if (provider === "ollama") {
+    if (!settings.ollamaUrl || !settings.ollamaUrl.trim()) {
+      return "Ollama URL not set"
+    }
+  }
+
+  if (provider === "cohere") {
+    if (!settings.cohereApiKey || !settings.cohereApiKey.trim()) {
+      return "Cohere API key not set"
+    }
+  }
+
+  if (provider === "gemini") {
+    if (!settings.geminiApiKey || !settings.geminiApiKey.trim()) {
+      return "Gemini API key not set"
+    }
+  }
+
+  if (provider === "voyage") {
+    if (!settings.voyageApiKey || !settings.voyageApiKey.trim()) {
+      return "Voyage API key not set"
+    }
+  }
+
+  if (provider === "koboldcpp") {
+    if (!getKoboldCppUrl()) {
+      return "No KoboldCpp server is set up in SillyTavern (Text Completion API) or in the extension"
+    }
+  }
+
+  if (providerDetectsDimensions(provider)) {
+    if (provider === "local" && (!settings.localEmbeddingUrl || !settings.localEmbeddingUrl.trim())) {
       return "Local embedding URL not set"
     }
 
-    if (settings.customEmbeddingDimensions != null && settings.customEmbeddingDimensions !== "") {
+    if (target.primary && settings.customEmbeddingDimensions != null && settings.customEmbeddingDimensions !== "") {
       const customDimensions = Number.parseInt(settings.customEmbeddingDimensions, 10)
       if (!Number.isFinite(customDimensions) || customDimensions <= 0) {
         return "Embedding dimensions must be a positive number"
@@ -330,6 +621,23 @@ function getEmbeddingProviderError() {
     }
   }
 
+  if (settings.embeddingOutputDimensions != null && settings.embeddingOutputDimensions !== "") {
+    const reduced = getReducedDimensions()
+    const reduction = getDimensionReduction(target)
+    if (!reduced) {
+      return "Output dimensions must be a positive number"
+    }
+    if (!reduction) {
+      return `${target.model} does not support reduced dimensions`
+    }
+    if (reduction.sizes && !reduction.sizes.includes(reduced)) {
+      return `${target.model} supports output dimensions of ${reduction.sizes.join(", ")}`
+    }
+    if (reduction.max && (reduced > reduction.max || reduced < (reduction.min ?? 1))) {
+      return `${target.model} supports output dimensions from ${reduction.min ?? 1} to ${reduction.max}`
+    }
+  }
+
   if (!provider) {
     return "Embedding provider not configured"
   }
@@ -516,1498 +824,7443 @@ function getQdrantHeaders() {
 }
 
 // ============================================================================
-// QDRANT COLLECTION MANAGEMENT
+// HTTP REQUESTS, RETRIES AND CIRCUIT BREAKERS
 // ============================================================================
 
-// Check if collection exists
-async function collectionExists(collectionName) {
-  try {
-    const response = await fetch(`${settings.qdrantUrl}/collections/${collectionName}`, {
-      headers: getQdrantHeaders(),
-    })
-
-    if (response.status === 404) {
-      return { exists: false, vectorSize: null }
-    }
-
-    if (!response.ok) {
-      console.error(
-        `[Qdrant Memory] Failed to fetch collection info: ${collectionName} (${response.status} ${response.statusText})`,
-      )
-      return { exists: false, vectorSize: null }
-    }
+// Every outbound call goes through fetchWithRetry: it adds a timeout, retries
+// network errors, timeouts, 429 and 5xx with backoff, and keeps a circuit
+// breaker per service. After repeated failures a service is paused for a while
+// so generation is not held up by a server that is down.
+
+const HTTP_RETRY_STATUSES = new Set([408, 429, 500, 502, 503, 504])
+const HTTP_RETRY_BASE_DELAY_MS = 1000
+const HTTP_RETRY_MAX_DELAY_MS = 30000
+const CIRCUIT_FAILURE_THRESHOLD = 5
+const CIRCUIT_COOLDOWN_MS = 60000
+const SNAPSHOT_TIMEOUT_MS = 10 * 60 * 1000
+// Retrieval holds up the reply, so it gives up early and generates without memories
+const RETRIEVAL_TIMEOUT_MS = 8000
+const RETRIEVAL_RETRIES = 1
+
+const SERVICE_LABELS = {
+  qdrant: "Qdrant",
+  embedding: "Embedding provider",
+  sillytavern: "SillyTavern server",
+  reranker: "Reranker",
+}
 
-    const data = await response.json().catch(() => null)
-    const vectorSize =
-      data?.result?.config?.params?.vectors?.size ??
-      data?.result?.config?.params?.vectors?.default?.size ??
-      data?.result?.vectors?.size ??
-      null
+// Service -> { failures, openUntil, lastError }
+const serviceHealth = new Map()
 
-    return { exists: true, vectorSize }
-  } catch (error) {
-    console.error("[Qdrant Memory] Error checking collection:", error)
-    return { exists: false, vectorSize: null }
+// Embedding providers each have a breaker, keyed "embedding:<provider>"
+function getServiceLabel(service) {
+  if (service.startsWith("embedding:")) {
+    const provider = service.slice("embedding:".length)
+    return `${SERVICE_LABELS.embedding} (${EMBEDDING_PROVIDER_LABELS[provider] || provider})`
   }
+  return SERVICE_LABELS[service] || service
 }
 
-// Create collection for a character
-async function createCollection(collectionName, vectorSize) {
-  try {
-    const dimensions = Number.isFinite(vectorSize) && vectorSize > 0 ? vectorSize : getEmbeddingDimensions()
+function getServiceHealth(service) {
+  if (!serviceHealth.has(service)) {
+    serviceHealth.set(service, { failures: 0, openUntil: 0, lastError: null })
+  }
+  return serviceHealth.get(service)
+}
 
-    if (!Number.isFinite(dimensions) || dimensions <= 0) {
-      console.error(`[Qdrant Memory] Cannot create collection ${collectionName} - invalid embedding dimensions`)
-      return false
-    }
+function isServiceAvailable(service) {
+  return getServiceHealth(service).openUntil <= Date.now()
+}
 
-    const response = await fetch(`${settings.qdrantUrl}/collections/${collectionName}`, {
-      method: "PUT",
-      headers: getQdrantHeaders(),
-      body: JSON.stringify({
-        vectors: {
-          size: dimensions,
-          distance: "Cosine",
-        },
-      }),
-    })
+function recordServiceSuccess(service) {
+  const health = getServiceHealth(service)
+  if (health.failures === 0 && health.openUntil === 0) return
+  health.failures = 0
+  health.openUntil = 0
+  health.lastError = null
+  updateServiceStatusUI()
+}
 
-    if (response.ok) {
-      if (settings.debugMode) {
-        console.log(`[Qdrant Memory] Created collection: ${collectionName}`)
+// Count a failed call; the breaker opens once failures pile up, and a failed
+// trial call after the cooldown opens it again straight away
+function recordServiceFailure(service, message) {
+  const health = getServiceHealth(service)
+  health.failures += 1
+  health.lastError = message
+
+  if (health.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    const wasOpen = health.openUntil > 0
+    health.openUntil = Date.now() + CIRCUIT_COOLDOWN_MS
+    if (!wasOpen) {
+      const label = getServiceLabel(service)
+      console.warn(`[Qdrant Memory] ${label} failed ${health.failures} times in a row (${message}), pausing requests`)
+      if (settings.showMemoryNotifications) {
+        const consequence = getRetrievalBlocker() ? "memory retrieval is paused" : "using the next fallback provider"
+        window.toastr?.warning(`${label} is not responding; ${consequence}`, "Qdrant Memory", {
+          timeOut: 5000,
+        })
       }
-      return true
-    } else {
-      console.error(`[Qdrant Memory] Failed to create collection: ${collectionName}`)
-      return false
     }
-  } catch (error) {
-    console.error("[Qdrant Memory] Error creating collection:", error)
-    return false
   }
-}
 
-// Ensure collection exists (create if needed)
-async function ensureCollection(characterName, vectorSize) {
-  const collectionName = getCollectionName(characterName)
-  const { exists, vectorSize: existingSize } = await collectionExists(collectionName)
+  updateServiceStatusUI()
+}
 
-  if (exists) {
-    if (
-      Number.isFinite(existingSize) &&
-      Number.isFinite(vectorSize) &&
-      existingSize > 0 &&
-      vectorSize > 0 &&
-      existingSize !== vectorSize
-    ) {
-      console.error(
-        `[Qdrant Memory] Collection ${collectionName} has dimension ${existingSize}, but embedding returned ${vectorSize}. Please recreate the collection to match the model.`,
-      )
-      return false
-    }
+// Close the breaker of one service, or of every service when none is given
+function resetServiceHealth(service = null) {
+  if (service) {
+    serviceHealth.delete(service)
+  } else {
+    serviceHealth.clear()
+  }
+  updateServiceStatusUI()
+}
 
-    return true
+// Why memory retrieval should be skipped right now, or null if it can run.
+// Embedding only blocks it once every provider in the fallback chain is paused.
+function getRetrievalBlocker() {
+  const embeddingServices = getEmbeddingTargets().map(getEmbeddingService)
+  let paused = null
+  if (settings.storageBackend === "qdrant" && !isServiceAvailable("qdrant")) {
+    paused = "qdrant"
+  } else if (embeddingServices.every((service) => !isServiceAvailable(service))) {
+    paused = embeddingServices[0]
   }
+  if (!paused) return null
+  const seconds = Math.ceil((getServiceHealth(paused).openUntil - Date.now()) / 1000)
+  return `${getServiceLabel(paused)} is paused after repeated failures (retrying in ${seconds}s)`
+}
 
-  if (settings.debugMode) {
-    console.log(`[Qdrant Memory] Collection doesn't exist, creating: ${collectionName}`)
+// Milliseconds to wait before retry number `attempt` (0-based), or null if the
+// server asked for a longer wait than is worth blocking for
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now()
+    if (Number.isFinite(delay)) {
+      return delay > HTTP_RETRY_MAX_DELAY_MS ? null : Math.max(0, delay)
+    }
   }
 
-  return await createCollection(collectionName, vectorSize)
+  const backoff = Math.min(HTTP_RETRY_BASE_DELAY_MS * 2 ** attempt, HTTP_RETRY_MAX_DELAY_MS)
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2))
 }
 
-// ============================================================================
-// EMBEDDING GENERATION
-// ============================================================================
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
 
-// Generate embedding using the configured provider
-async function generateEmbedding(text) {
-  const providerError = getEmbeddingProviderError()
-  if (providerError) {
-    console.error(`[Qdrant Memory] ${providerError}`)
-    return null
+// fetch() with a timeout (until the response headers arrive), retries and the
+// circuit breaker of `service`. Resolves with the last response, even when it
+// is an error status; rejects when the request never got an answer.
+async function fetchWithRetry(url, options = {}, { service, timeoutMs = settings.requestTimeoutMs, retries = settings.requestRetries } = {}) {
+  const label = getServiceLabel(service)
+  if (!isServiceAvailable(service)) {
+    throw new Error(`${label} is paused after repeated failures`)
   }
 
-  try {
-    const provider = settings.embeddingProvider || "openai"
-    let url = "https://api.openai.com/v1/embeddings"
-    const headers = {
-      "Content-Type": "application/json",
-    }
-    const body = {
-      model: settings.embeddingModel,
-      input: text,
-    }
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeoutMs)
+    let failure
+    let retryAfter = null
 
-    if (provider === "openai") {
-      headers.Authorization = `Bearer ${settings.openaiApiKey}`
-    } else if (provider === "openrouter") {
-      url = "https://openrouter.ai/api/v1/embeddings"
-      headers.Authorization = `Bearer ${settings.openRouterApiKey}`
-      if (window?.location?.origin) {
-        headers["HTTP-Referer"] = window.location.origin
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal })
+      if (!HTTP_RETRY_STATUSES.has(response.status)) {
+        recordServiceSuccess(service)
+        return response
       }
-      if (document?.title) {
-        headers["X-Title"] = document.title
+
+      failure = `HTTP ${response.status}`
+      retryAfter = response.headers.get("Retry-After")
+      const delay = attempt < retries ? getRetryDelay(attempt, retryAfter) : null
+      if (delay === null) {
+        recordServiceFailure(service, failure)
+        return response
       }
-    } else if (provider === "local") {
-      url = settings.localEmbeddingUrl.trim()
-      if (settings.localEmbeddingApiKey && settings.localEmbeddingApiKey.trim()) {
-        headers.Authorization = `Bearer ${settings.localEmbeddingApiKey.trim()}`
+      await sleep(delay)
+    } catch (error) {
+      failure = controller.signal.aborted ? `timed out after ${Math.round(timeoutMs / 1000)}s` : error.message
+      if (attempt >= retries) {
+        recordServiceFailure(service, failure)
+        throw new Error(`${label} request failed: ${failure}`)
       }
-    } else {
-      console.error(`[Qdrant Memory] Unsupported embedding provider: ${provider}`)
-      return null
+      await sleep(getRetryDelay(attempt))
+    } finally {
+      clearTimeout(timer)
     }
 
-    const response = await fetch(url, {
-      method: "POST",
-      headers,
-      body: JSON.stringify(body),
-    })
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      console.error(
-        `[Qdrant Memory] ${provider} embedding API error:`,
-        response.statusText,
-        errorData
-      )
-      return null
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] ${label} request failed (${failure}), retry ${attempt + 1} of ${retries}`)
     }
+  }
+}
 
-    const data = await response.json()
-    let embeddingVector = null
-
-    if (Array.isArray(data?.data) && Array.isArray(data.data[0]?.embedding)) {
-      embeddingVector = data.data[0].embedding
-    } else if (Array.isArray(data?.data) && Array.isArray(data.data[0]?.vector)) {
-      embeddingVector = data.data[0].vector
-    } else if (Array.isArray(data?.embedding)) {
-      embeddingVector = data.embedding
-    } else if (Array.isArray(data?.embeddings)) {
-      embeddingVector = data.embeddings[0]
-    }
+function qdrantFetch(url, options = {}, config = {}) {
+  return fetchWithRetry(url, options, { service: "qdrant", ...config })
+}
 
-    if (!Array.isArray(embeddingVector)) {
-      console.error("[Qdrant Memory] Unable to parse embedding response", data)
-      return null
-    }
+// Request options for the embedding and search calls made while a reply waits
+function getRetrievalRequestOptions() {
+  return {
+    timeoutMs: Math.min(settings.requestTimeoutMs, RETRIEVAL_TIMEOUT_MS),
+    retries: Math.min(settings.requestRetries, RETRIEVAL_RETRIES),
+  }
+}
 
-    updateLocalEmbeddingDimensions(embeddingVector)
+// Show the state of each service's circuit breaker in the settings panel
+function updateServiceStatusUI() {
+  const $status = window.$?.("#qdrant_service_status")
+  if (!$status?.length) return
+
+  const lines = [...serviceHealth.entries()]
+    .filter(([, health]) => health.failures > 0)
+    .map(([service, health]) => {
+      const label = getServiceLabel(service)
+      if (health.openUntil > Date.now()) {
+        return `${label}: paused until ${new Date(health.openUntil).toLocaleTimeString()} after ${health.failures} failures (${health.lastError})`
+      }
+      return `${label}: ${health.failures} recent ${health.failures === 1 ? "failure" : "failures"} (${health.lastError})`
+    })
 
-    return embeddingVector
-  } catch (error) {
-    console.error("[Qdrant Memory] Error generating embedding:", error)
-    return null
-  }
+  $status.text(lines.length > 0 ? lines.join("\n") : "All services responding")
 }
 
 // ============================================================================
-// MEMORY SEARCH AND RETRIEVAL
+// QDRANT BACKEND
 // ============================================================================
 
-// NEW: Check if chunk already exists (deduplication)
-async function chunkExistsInCollection(collectionName, embedding, text, dedupeThreshold) {
-  try {
-    const searchPayload = {
-      vector: embedding,
-      limit: 1,
-      score_threshold: dedupeThreshold,
-      with_payload: true,
-    }
+// Storage backends share one interface modelled on the Qdrant REST API: filters
+// use Qdrant's filter syntax, searches take /points/search request bodies and
+// results come back in Qdrant's shapes. The rest of the extension goes through
+// the wrappers in the STORAGE BACKEND section instead of calling a backend.
+const qdrantBackend = {
+  id: "qdrant",
+  label: "Qdrant server",
+  capabilities: { aliases: true, snapshots: true, sparse: true, quantization: true },
+
+  // Collection info as returned by GET /collections/{name}, or null if it is missing
+  async getCollectionInfo(collectionName) {
+    try {
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}`, {
+        headers: getQdrantHeaders(),
+      })
 
-    const response = await fetch(`${settings.qdrantUrl}/collections/${collectionName}/points/search`, {
-      method: "POST",
-      headers: getQdrantHeaders(),
-      body: JSON.stringify(searchPayload),
-    })
+      if (response.status === 404) {
+        return null
+      }
 
-    if (!response.ok) {
-      return false
+      if (!response.ok) {
+        console.error(
+          `[Qdrant Memory] Failed to fetch collection info: ${collectionName} (${response.status} ${response.statusText})`,
+        )
+        return null
+      }
+
+      const data = await response.json().catch(() => null)
+      return data?.result ?? null
+    } catch (error) {
+      console.error("[Qdrant Memory] Error getting collection info:", error)
+      return null
     }
+  },
 
-    const data = await response.json()
-    const results = data.result || []
+  async createCollection(collectionName, { size, hybrid, quantization = "none", onDisk = false }) {
+    try {
+      const dense = { size, distance: "Cosine", ...(onDisk ? { on_disk: true } : {}) }
+      // Hybrid collections need named vectors so a sparse vector can sit beside the dense one
+      const body = hybrid
+        ? {
+            vectors: {
+              [DENSE_VECTOR_NAME]: dense,
+            },
+            sparse_vectors: {
+              [SPARSE_VECTOR_NAME]: { modifier: "idf" },
+            },
+          }
+        : {
+            vectors: dense,
+          }
+
+      // Quantized copies stay in RAM for the first pass; searches rescore with the originals
+      if (quantization === "scalar") {
+        body.quantization_config = { scalar: { type: "int8", quantile: 0.99, always_ram: true } }
+      } else if (quantization === "binary") {
+        body.quantization_config = { binary: { always_ram: true } }
+      }
 
-    if (results.length > 0) {
-      if (settings.debugMode) {
-        console.log(`[Qdrant Memory] Found similar chunk with score: ${results[0].score.toFixed(4)}`)
-        console.log(`[Qdrant Memory] Existing: "${results[0].payload?.text?.substring(0, 80)}..."`)
-        console.log(`[Qdrant Memory] New: "${text.substring(0, 80)}..."`)
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}`, {
+        method: "PUT",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify(body),
+      })
+
+      if (!response.ok) {
+        console.error(`[Qdrant Memory] Failed to create collection: ${collectionName}`)
+        return false
       }
+
+      await this.createPayloadIndexes(collectionName)
       return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error creating collection:", error)
+      return false
     }
+  },
 
-    return false
-  } catch (error) {
-    console.warn('[Qdrant Memory] Deduplication check failed:', error)
-    return false
-  }
-}
-
-// Search Qdrant for relevant memories
-async function searchMemories(query, characterName) {
-  if (!settings.enabled) return []
-
-  try {
-    const collectionName = getCollectionName(characterName)
+  async deleteCollection(collectionName) {
+    try {
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}`, {
+        method: "DELETE",
+        headers: getQdrantHeaders(),
+      })
+      return response.ok
+    } catch (error) {
+      console.error("[Qdrant Memory] Error deleting collection:", error)
+      return false
+    }
+  },
+
+  async listCollections() {
+    try {
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections`, {
+        headers: getQdrantHeaders(),
+      })
 
-    const embedding = await generateEmbedding(query)
-    if (!embedding) return []
+      if (!response.ok) return null
 
-    const collectionReady = await ensureCollection(characterName, embedding.length)
-    if (!collectionReady) {
-      if (settings.debugMode) {
-        console.log(`[Qdrant Memory] Collection not ready: ${collectionName}`)
+      const data = await response.json()
+      return (data.result?.collections || []).map((collection) => collection.name)
+    } catch (error) {
+      console.error("[Qdrant Memory] Error listing collections:", error)
+      return null
+    }
+  },
+
+  async upsertPoints(collectionName, points) {
+    try {
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}/points`, {
+        method: "PUT",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify({ points }),
+      })
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => "")
+        console.error(
+          `[Qdrant Memory] Failed to upsert ${points.length} points into ${collectionName}: ${response.status} ${response.statusText}`,
+          errorText,
+        )
+        return false
       }
-      return []
+
+      return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error upserting points:", error)
+      return false
     }
+  },
 
-    // FIXED: Improved retain logic - get ALL message IDs that should be excluded
-    const context = getContext()
-    const chat = context.chat || []
-    const excludedMessageIds = new Set()
+  async deletePoints(collectionName, ids) {
+    try {
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}/points/delete`, {
+        method: "POST",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify({ points: ids }),
+      })
 
-    if (settings.retainRecentMessages > 0) {
-      // Get the last N messages
-      const recentMessages = chat.slice(-settings.retainRecentMessages)
-      
-      recentMessages.forEach(msg => {
-        // Create all possible message ID formats this message might have been saved as
-        const normalizedDate = normalizeTimestamp(msg.send_date || Date.now())
-        const msgIndex = chat.indexOf(msg)
-        
-        // Add multiple ID formats to catch all variations
-        excludedMessageIds.add(`${characterName}_${normalizedDate}_${msgIndex}`)
-        excludedMessageIds.add(`${characterName}_${msg.send_date}_${msgIndex}`)
-        
-        if (settings.debugMode && excludedMessageIds.size <= 5) {
-          console.log(`[Qdrant Memory] Excluding message ID: ${characterName}_${normalizedDate}_${msgIndex}`)
-        }
+      if (!response.ok) {
+        console.error(`[Qdrant Memory] Failed to delete ${ids.length} points from ${collectionName}: ${response.status}`)
+        return false
+      }
+
+      return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error deleting points:", error)
+      return false
+    }
+  },
+
+  async overwritePayloads(collectionName, updates) {
+    try {
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}/points/batch`, {
+        method: "POST",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify({
+          operations: updates.map(({ id, payload }) => ({
+            overwrite_payload: { payload, points: [id] },
+          })),
+        }),
       })
 
-      if (settings.debugMode) {
-        console.log(`[Qdrant Memory] Excluding ${excludedMessageIds.size} recent message IDs from search`)
+      if (!response.ok) {
+        console.error(`[Qdrant Memory] Failed to update payloads in ${collectionName}: ${response.status}`)
+        return false
       }
+
+      return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error updating payloads:", error)
+      return false
     }
+  },
 
-    const searchPayload = {
-      vector: embedding,
-      limit: settings.memoryLimit * 2, // Get more results for filtering
-      score_threshold: settings.scoreThreshold,
-      with_payload: true,
+  async setPayloads(collectionName, updates) {
+    try {
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}/points/batch`, {
+        method: "POST",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify({
+          operations: updates.map(({ id, payload }) => ({
+            set_payload: { payload, points: [id] },
+          })),
+        }),
+      })
+
+      if (!response.ok) {
+        console.error(`[Qdrant Memory] Failed to set payload fields in ${collectionName}: ${response.status}`)
+        return false
+      }
+
+      return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error setting payload fields:", error)
+      return false
     }
+  },
 
-    const filterConditions = []
+  async scrollPoints(collectionName, { offset, limit, filter, withPayload, withVector }) {
+    try {
+      const body = {
+        limit,
+        with_payload: withPayload,
+        with_vector: withVector,
+      }
+      if (offset !== null && offset !== undefined) {
+        body.offset = offset
+      }
+      if (filter) {
+        body.filter = filter
+      }
 
-    // Add character filter if using shared collection
-    if (!settings.usePerCharacterCollections) {
-      filterConditions.push({
-        key: "character",
-        match: { value: characterName },
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}/points/scroll`, {
+        method: "POST",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify(body),
       })
+
+      if (!response.ok) {
+        console.error(`[Qdrant Memory] Failed to scroll ${collectionName}: ${response.status} ${response.statusText}`)
+        return null
+      }
+
+      const data = await response.json()
+      return {
+        points: data.result?.points || [],
+        nextOffset: data.result?.next_page_offset ?? null,
+      }
+    } catch (error) {
+      console.error("[Qdrant Memory] Error scrolling points:", error)
+      return null
     }
+  },
 
-    // Only add filter if we have conditions
-    if (filterConditions.length > 0) {
-      searchPayload.filter = {
-        must: filterConditions,
+  async countPoints(collectionName, filter) {
+    try {
+      const body = { exact: true }
+      if (filter) {
+        body.filter = filter
       }
+
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}/points/count`, {
+        method: "POST",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify(body),
+      })
+
+      if (!response.ok) return null
+
+      const data = await response.json()
+      return data.result?.count ?? null
+    } catch (error) {
+      console.error("[Qdrant Memory] Error counting points:", error)
+      return null
+    }
+  },
+
+  async retrievePoints(collectionName, ids, { withPayload, withVector }) {
+    try {
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}/points`, {
+        method: "POST",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify({ ids, with_payload: withPayload, with_vector: withVector }),
+      })
+
+      if (!response.ok) return null
+
+      const data = await response.json()
+      return data.result || []
+    } catch (error) {
+      console.error("[Qdrant Memory] Error retrieving points:", error)
+      return null
+    }
+  },
+
+  async searchPoints(collectionName, request, requestOptions = {}) {
+    const response = await qdrantFetch(
+      `${settings.qdrantUrl}/collections/${collectionName}/points/search`,
+      {
+        method: "POST",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify(request),
+      },
+      requestOptions,
+    )
+
+    if (!response.ok) {
+      console.error("[Qdrant Memory] Search failed:", response.statusText)
+      return null
     }
 
-    const response = await fetch(`${settings.qdrantUrl}/collections/${collectionName}/points/search`, {
+    const data = await response.json()
+    return data.result || []
+  },
+
+  async searchPointsBatch(collectionName, requests) {
+    const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}/points/search/batch`, {
       method: "POST",
       headers: getQdrantHeaders(),
-      body: JSON.stringify(searchPayload),
+      body: JSON.stringify({ searches: requests }),
     })
 
     if (!response.ok) {
-      console.error("[Qdrant Memory] Search failed:", response.statusText)
-      return []
+      console.error("[Qdrant Memory] Batch search failed:", response.statusText)
+      return null
     }
 
     const data = await response.json()
-    let results = data.result || []
+    return data.result || []
+  },
+
+  // Query API batch (used for sparse vectors); returns one point list per search
+  async queryPointsBatch(collectionName, searches, requestOptions = {}) {
+    const response = await qdrantFetch(
+      `${settings.qdrantUrl}/collections/${collectionName}/points/query/batch`,
+      {
+        method: "POST",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify({ searches }),
+      },
+      requestOptions,
+    )
 
-    // FIXED: Filter out chunks that contain any excluded message IDs
-    if (excludedMessageIds.size > 0) {
-      const beforeFilterCount = results.length
-      
-      results = results.filter(memory => {
-        const messageIds = memory.payload.messageIds || ""
-        const chunkMessageIds = messageIds.split(",")
-        
-        // Check if any of the chunk's message IDs are in the excluded set
-        const hasExcludedMessage = chunkMessageIds.some(id => excludedMessageIds.has(id.trim()))
-        
-        if (hasExcludedMessage && settings.debugMode) {
-          console.log(`[Qdrant Memory] Filtered out chunk containing recent message: ${messageIds}`)
-        }
-        
-        return !hasExcludedMessage
+    if (!response.ok) {
+      console.error("[Qdrant Memory] Query failed:", response.statusText)
+      return null
+    }
+
+    const data = await response.json()
+    return (data.result || []).map((entry) => entry?.points || [])
+  },
+
+  async listAliases() {
+    try {
+      const response = await qdrantFetch(`${settings.qdrantUrl}/aliases`, {
+        headers: getQdrantHeaders(),
       })
 
-      if (settings.debugMode) {
-        console.log(`[Qdrant Memory] Filtered ${beforeFilterCount - results.length} chunks with recent messages`)
+      if (!response.ok) return null
+
+      const data = await response.json()
+      return data.result?.aliases || []
+    } catch (error) {
+      console.error("[Qdrant Memory] Error listing aliases:", error)
+      return null
+    }
+  },
+
+  // Qdrant applies all actions of one request atomically
+  async updateAliases(actions) {
+    try {
+      const response = await qdrantFetch(`${settings.qdrantUrl}/collections/aliases`, {
+        method: "POST",
+        headers: getQdrantHeaders(),
+        body: JSON.stringify({ actions }),
+      })
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => "")
+        console.error(`[Qdrant Memory] Failed to update aliases: ${response.status} ${response.statusText}`, errorText)
+        return false
       }
+
+      return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error updating aliases:", error)
+      return false
     }
+  },
 
-    // Deduplicate results based on text similarity
-const uniqueResults = []
-const seenTexts = new Set()
+  async listSnapshots(collectionName) {
+    const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}/snapshots`, {
+      headers: getQdrantHeaders(),
+    })
 
-for (const result of results) {
-  const text = result.payload?.text || ""
-  
-  // Create a normalized version for comparison (remove dates, extra whitespace)
-  const normalizedText = text
-    .replace(/\[[\d-]+\]/g, '') // Remove date markers
-    .replace(/\s+/g, ' ')        // Normalize whitespace
-    .trim()
-    .substring(0, 200)           // Compare first 200 chars
-  
-  // Only add if we haven't seen very similar text
-  if (!seenTexts.has(normalizedText)) {
-    seenTexts.add(normalizedText)
-    uniqueResults.push(result)
-  } else if (settings.debugMode) {
-    console.log(`[Qdrant Memory] Filtered duplicate search result: "${normalizedText.substring(0, 50)}..."`)  // ← FIXED: use () not backticks
-  }
-  
-  // Stop if we have enough unique results
-  if (uniqueResults.length >= settings.memoryLimit) {
-    break
-  }
-}
+    if (!response.ok) {
+      throw new Error(`Failed to list snapshots (${response.status} ${response.statusText})`)
+    }
 
-results = uniqueResults
+    const data = await response.json()
+    return data.result || []
+  },
+
+  async createSnapshot(collectionName) {
+    // Snapshotting a large collection takes a while, and a retry would start a second one
+    const response = await qdrantFetch(
+      `${settings.qdrantUrl}/collections/${collectionName}/snapshots?wait=true`,
+      { method: "POST", headers: getQdrantHeaders() },
+      { timeoutMs: SNAPSHOT_TIMEOUT_MS, retries: 0 },
+    )
 
-if (settings.debugMode) {
-  console.log(`[Qdrant Memory] Found ${results.length} unique memories (after deduplication)`)  // ← FIXED: use () not backticks
-}
+    if (!response.ok) {
+      throw new Error(`Failed to create snapshot (${response.status} ${response.statusText})`)
+    }
 
-    return results
-  } catch (error) {
-    console.error("[Qdrant Memory] Error searching memories:", error)
-    return []
-  }
-}
+    const data = await response.json()
+    return data.result
+  },
 
-// Format memories for display
-function formatMemories(memories) {
-  if (!memories || memories.length === 0) return ""
+  async fetchSnapshot(collectionName, snapshotName) {
+    const response = await qdrantFetch(
+      `${settings.qdrantUrl}/collections/${collectionName}/snapshots/${encodeURIComponent(snapshotName)}`,
+      { headers: getQdrantHeaders() },
+    )
 
-  let formatted = "\n[Past chat memories]\n\n"
-  
-  // Get persona name for display
-  const personaName = getPersonaName()
+    if (!response.ok) {
+      throw new Error(`Failed to download snapshot (${response.status} ${response.statusText})`)
+    }
 
-  memories.forEach((memory) => {
-    const payload = memory.payload
+    return await response.blob()
+  },
 
-    let speakerLabel
-    if (payload.isChunk) {
-      // For conversation chunks, show all speakers
-      speakerLabel = `Conversation (${payload.speakers})`
-    } else {
-      // For individual messages (legacy format), use persona name
-      speakerLabel = payload.speaker === "user" 
-        ? `${personaName} said`   // ← CHANGED: Use personaName instead of "User"
-        : "Character said"
+  async deleteSnapshot(collectionName, snapshotName) {
+    const response = await qdrantFetch(
+      `${settings.qdrantUrl}/collections/${collectionName}/snapshots/${encodeURIComponent(snapshotName)}?wait=true`,
+      { method: "DELETE", headers: getQdrantHeaders() },
+    )
+
+    if (!response.ok) {
+      throw new Error(`Failed to delete snapshot (${response.status} ${response.statusText})`)
     }
+  },
+
+  async restoreSnapshot(collectionName, snapshotBlob, fileName) {
+    const formData = new FormData()
+    formData.append("snapshot", snapshotBlob, fileName)
+
+    // Let the browser set the multipart Content-Type (with boundary)
+    const { "Content-Type": _contentType, ...headers } = getQdrantHeaders()
+    const response = await qdrantFetch(
+      `${settings.qdrantUrl}/collections/${collectionName}/snapshots/upload?priority=snapshot&wait=true`,
+      { method: "POST", headers, body: formData },
+      { timeoutMs: SNAPSHOT_TIMEOUT_MS, retries: 0 },
+    )
 
-    let text = payload.text.replace(/\n/g, " ") // flatten newlines
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "")
+      throw new Error(`Failed to restore snapshot (${response.status} ${response.statusText}) ${errorText}`.trim())
+    }
+  },
+
+  // Restore from a snapshot already on the server, without moving it through
+  // the browser: Qdrant fetches it from its own snapshot download URL
+  async recoverSnapshot(collectionName, snapshotName) {
+    const location = `${settings.qdrantUrl}/collections/${collectionName}/snapshots/${encodeURIComponent(snapshotName)}`
+    const body = { location, priority: "snapshot", ...(settings.qdrantApiKey ? { api_key: settings.qdrantApiKey } : {}) }
+    const response = await qdrantFetch(
+      `${settings.qdrantUrl}/collections/${collectionName}/snapshots/recover?wait=true`,
+      { method: "PUT", headers: getQdrantHeaders(), body: JSON.stringify(body) },
+      { timeoutMs: SNAPSHOT_TIMEOUT_MS, retries: 0 },
+    )
 
-    const score = (memory.score * 100).toFixed(0)
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "")
+      throw new Error(`Failed to recover snapshot (${response.status} ${response.statusText}) ${errorText}`.trim())
+    }
+  },
+
+  // Create payload indexes for the fields used in filters. Creating an index
+  // that already exists is a no-op, so this is safe to repeat.
+  async createPayloadIndexes(collectionName) {
+    let created = 0
+
+    for (const [fieldName, fieldSchema] of Object.entries(PAYLOAD_INDEXES)) {
+      try {
+        const response = await qdrantFetch(`${settings.qdrantUrl}/collections/${collectionName}/index`, {
+          method: "PUT",
+          headers: getQdrantHeaders(),
+          body: JSON.stringify({ field_name: fieldName, field_schema: fieldSchema }),
+        })
+
+        if (response.ok) {
+          created++
+        } else if (settings.debugMode) {
+          console.warn(`[Qdrant Memory] Failed to index payload field ${fieldName} on ${collectionName}: ${response.status}`)
+        }
+      } catch (error) {
+        console.warn(`[Qdrant Memory] Error indexing payload field ${fieldName}:`, error)
+      }
+    }
 
-    formatted += `• ${speakerLabel}: "${text}" (score: ${score}%)\n\n`
-  })
+    return created === Object.keys(PAYLOAD_INDEXES).length
+  },
 
-  return formatted
+  async testConnection() {
+    const collections = await this.listCollections()
+    if (!collections) {
+      return { ok: false, message: "Connection failed. Check URL." }
+    }
+    return { ok: true, message: `Connected! Found ${collections.length} collections.` }
+  },
 }
 
 // ============================================================================
-// MESSAGE CHUNKING AND BUFFERING
+// INDEXEDDB BACKEND
 // ============================================================================
 
-function getChatParticipants() {
-  const context = getContext()
-  const characterName = context.name2
-
-  // Check if this is a group chat
-  const characters = context.characters || []
-  const chat = context.chat || []
+// A zero-infrastructure vector store in the browser. Search is brute-force
+// cosine similarity over the whole collection, which is fine for the few
+// thousand memories a character typically has.
 
-  // For group chats, get all unique character names from recent messages
-  if (characters.length > 1) {
-    const participants = new Set()
+const LOCAL_STORE_DB_NAME = `${extensionName}-vectors`
+const LOCAL_STORE_DB_VERSION = 1
 
-    // Add the main character
-    if (characterName) {
-      participants.add(characterName)
-    }
+// Database name -> promise of an open connection
+const openDatabases = new Map()
 
-    // Look through recent messages to find all participants
-    chat.slice(-50).forEach((msg) => {
-      if (!msg.is_user && msg.name && msg.name !== "System") {
-        participants.add(msg.name)
+// Open an IndexedDB database, running `upgrade(db, oldVersion)` when it is
+// created or its version increases. Connections are shared per database.
+function openDatabase(name, version, upgrade) {
+  if (!openDatabases.has(name)) {
+    const promise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available in this browser"))
+        return
       }
+
+      const request = window.indexedDB.open(name, version)
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion)
+      request.onsuccess = () => {
+        const db = request.result
+        // Let another tab upgrade the database instead of blocking it
+        db.onversionchange = () => {
+          db.close()
+          openDatabases.delete(name)
+        }
+        resolve(db)
+      }
+      request.onerror = () => reject(request.error)
+      request.onblocked = () => console.warn(`[Qdrant Memory] Opening ${name} is blocked by another tab`)
     })
 
-    return Array.from(participants)
+    promise.catch(() => openDatabases.delete(name))
+    openDatabases.set(name, promise)
   }
 
-  // Single character chat
-  return characterName ? [characterName] : []
+  return openDatabases.get(name)
 }
 
-function createChunkFromBuffer() {
-  if (messageBuffer.length === 0) return null
+// Promise for the result of an IDBRequest
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
 
-  let chunkText = ""
-  const speakers = new Set()
-  const messageIds = []
-  let totalLength = 0
-  const currentTimestamp = Date.now()
-  
-  // NEW: Get the persona name once for this chunk
-  const personaName = getPersonaName()
+// Promise that settles when a transaction commits or fails
+function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error("IndexedDB transaction aborted"))
+  })
+}
 
-  // Build chunk text with speaker labels
-  messageBuffer.forEach((msg) => {
-    const speaker = msg.isUser ? personaName : msg.characterName  // ← CHANGED: Use personaName
-    speakers.add(speaker)
-    messageIds.push(msg.messageId)
+// Walk a cursor request, calling `visit(value)` for each record until it returns false
+function idbIterate(request, visit) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (!cursor || visit(cursor.value) === false) {
+        resolve()
+        return
+      }
+      cursor.continue()
+    }
+    request.onerror = () => reject(request.error)
+  })
+}
 
-    const line = `${speaker}: ${msg.text}\n`
-    chunkText += line
-    totalLength += line.length
+function openLocalStore() {
+  return openDatabase(LOCAL_STORE_DB_NAME, LOCAL_STORE_DB_VERSION, (db) => {
+    if (!db.objectStoreNames.contains("collections")) {
+      db.createObjectStore("collections", { keyPath: "name" })
+    }
+    if (!db.objectStoreNames.contains("points")) {
+      db.createObjectStore("points", { keyPath: ["collection", "id"] })
+    }
+    if (!db.objectStoreNames.contains("aliases")) {
+      db.createObjectStore("aliases", { keyPath: "alias_name" })
+    }
   })
+}
 
-  // Format date prefix
-  let finalText = chunkText.trim()
-  const dateStr = formatDateForChunk(currentTimestamp)
-  finalText = `[${dateStr}]\n${finalText}`
+// Key range over the points of one collection, optionally starting at a point ID.
+// Arrays sort after every number and string, so [name, []] is an upper bound.
+function localPointRange(collectionName, fromId = null) {
+  const lower = fromId === null || fromId === undefined ? [collectionName] : [collectionName, fromId]
+  return IDBKeyRange.bound(lower, [collectionName, []])
+}
 
-  return {
-    text: finalText,
-    speakers: Array.from(speakers),
-    messageIds: messageIds,
-    messageCount: messageBuffer.length,
-    timestamp: currentTimestamp,
+// Alias-aware lookup of the collection a name refers to
+async function resolveLocalCollection(db, name) {
+  const alias = await idbRequest(db.transaction("aliases").objectStore("aliases").get(name))
+  return alias ? alias.collection_name : name
+}
+
+// Payload values at a (dotted) key. Array values are flattened, so a condition
+// matches when any element matches, as in Qdrant.
+function getPayloadValues(payload, key) {
+  let values = [payload]
+  for (const part of String(key).split(".")) {
+    values = values.flatMap((value) => {
+      const next = value?.[part]
+      if (next === undefined || next === null) return []
+      return Array.isArray(next) ? next : [next]
+    })
   }
+  return values
 }
 
-async function saveChunkToQdrant(chunk, participants) {
-  if (!settings.enabled) return false
-  if (!chunk || !participants || participants.length === 0) return false
+function matchesCondition(point, condition) {
+  if (condition.must || condition.should || condition.must_not) {
+    return matchesFilter(point, condition)
+  }
 
-  try {
-    // Generate embedding for the chunk text
-    const embedding = await generateEmbedding(chunk.text)
-    if (!embedding) {
-      console.error("[Qdrant Memory] Cannot save chunk - embedding generation failed")
-      return false
-    }
+  if (Array.isArray(condition.has_id)) {
+    return condition.has_id.includes(point.id)
+  }
 
-    // NEW: Check for duplicates before saving
-    let alreadyExists = false
-    
-    for (const characterName of participants) {
-      const collectionName = getCollectionName(characterName)
-      const collectionReady = await ensureCollection(characterName, embedding.length)
-      
-      if (!collectionReady) {
-        console.error(`[Qdrant Memory] Cannot check duplicates - collection creation failed for ${characterName}`)
-        continue
-      }
+  if (condition.is_empty) {
+    return getPayloadValues(point.payload, condition.is_empty.key).length === 0
+  }
 
-      const exists = await chunkExistsInCollection(
-        collectionName, 
-        embedding, 
-        chunk.text, 
-        settings.dedupeThreshold
-      )
-      
-      if (exists) {
-        alreadyExists = true
-        if (settings.debugMode) {
-          console.log(`[Qdrant Memory] Duplicate chunk detected in ${characterName}'s collection, skipping save`)
-        }
-        break
+  const values = getPayloadValues(point.payload, condition.key)
+  const { match, range } = condition
+
+  if (match) {
+    if ("value" in match) return values.some((value) => value === match.value)
+    if ("any" in match) return values.some((value) => match.any.includes(value))
+    if ("except" in match) return values.some((value) => !match.except.includes(value))
+    if ("text" in match) return values.some((value) => typeof value === "string" && value.includes(match.text))
+  }
+
+  if (range) {
+    return values.some(
+      (value) =>
+        typeof value === "number" &&
+        (range.gt === undefined || value > range.gt) &&
+        (range.gte === undefined || value >= range.gte) &&
+        (range.lt === undefined || value < range.lt) &&
+        (range.lte === undefined || value <= range.lte),
+    )
+  }
+
+  console.warn("[Qdrant Memory] Unsupported filter condition in local store:", condition)
+  return false
+}
+
+// Evaluate a Qdrant filter (must / should / must_not) against a stored point
+function matchesFilter(point, filter) {
+  if (!filter) return true
+
+  const asList = (conditions) => (Array.isArray(conditions) ? conditions : conditions ? [conditions] : [])
+  const must = asList(filter.must)
+  const should = asList(filter.should)
+  const mustNot = asList(filter.must_not)
+
+  return (
+    must.every((condition) => matchesCondition(point, condition)) &&
+    (should.length === 0 || should.some((condition) => matchesCondition(point, condition))) &&
+    !mustNot.some((condition) => matchesCondition(point, condition))
+  )
+}
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return null
+
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+
+  if (normA === 0 || normB === 0) return 0
+  return dot / Math.sqrt(normA * normB)
+}
+
+// Shape a stored record like a Qdrant point, honouring with_payload / with_vector
+function toLocalPoint(record, withPayload, withVector, score) {
+  const point = { id: record.id }
+  if (score !== undefined) {
+    point.score = score
+  }
+  if (Array.isArray(withPayload)) {
+    point.payload = Object.fromEntries(
+      withPayload.filter((key) => key in (record.payload || {})).map((key) => [key, record.payload[key]]),
+    )
+  } else if (withPayload) {
+    point.payload = record.payload
+  }
+  if (withVector) {
+    point.vector = record.vector
+  }
+  return point
+}
+
+const indexedDbBackend = {
+  id: "indexeddb",
+  label: "Browser (IndexedDB)",
+  capabilities: { aliases: true, snapshots: false, sparse: false, quantization: false },
+
+  async getCollectionInfo(collectionName) {
+    try {
+      const db = await openLocalStore()
+      const name = await resolveLocalCollection(db, collectionName)
+      const transaction = db.transaction(["collections", "points"])
+      const collection = await idbRequest(transaction.objectStore("collections").get(name))
+      if (!collection) return null
+
+      const pointsCount = await idbRequest(transaction.objectStore("points").count(localPointRange(name)))
+      return {
+        status: "green",
+        points_count: pointsCount,
+        config: { params: { vectors: { size: collection.vectorSize, distance: "Cosine" } } },
       }
+    } catch (error) {
+      console.error("[Qdrant Memory] Error getting local collection info:", error)
+      return null
     }
+  },
 
-    if (alreadyExists) {
-      if (settings.showMemoryNotifications) {
-        const toastr = window.toastr
-        toastr.info("Similar conversation already saved", "Qdrant Memory", { timeOut: 1500 })
+  async createCollection(collectionName, { size }) {
+    try {
+      const db = await openLocalStore()
+      const transaction = db.transaction(["collections", "aliases"], "readwrite")
+      const done = idbTransactionDone(transaction)
+      const existing =
+        (await idbRequest(transaction.objectStore("collections").get(collectionName))) ||
+        (await idbRequest(transaction.objectStore("aliases").get(collectionName)))
+
+      if (existing) {
+        transaction.abort()
+        await done.catch(() => {})
+        console.error(`[Qdrant Memory] Failed to create collection: ${collectionName} already exists`)
+        return false
       }
+
+      transaction.objectStore("collections").put({ name: collectionName, vectorSize: size, createdAt: Date.now() })
+      await done
+      return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error creating local collection:", error)
       return false
     }
+  },
 
-    const pointId = generateUUID()
-
-    // Prepare payload
-    const payload = {
-      text: chunk.text,
-      speakers: chunk.speakers.join(", "),
-      messageCount: chunk.messageCount,
-      timestamp: chunk.timestamp,
-      messageIds: chunk.messageIds.join(","),
-      isChunk: true,
+  async deleteCollection(collectionName) {
+    try {
+      const db = await openLocalStore()
+      const transaction = db.transaction(["collections", "points", "aliases"], "readwrite")
+      const done = idbTransactionDone(transaction)
+      const collection = await idbRequest(transaction.objectStore("collections").get(collectionName))
+
+      transaction.objectStore("collections").delete(collectionName)
+      transaction.objectStore("points").delete(localPointRange(collectionName))
+      // Like Qdrant, deleting a collection removes the aliases pointing at it
+      const aliases = await idbRequest(transaction.objectStore("aliases").getAll())
+      aliases
+        .filter((alias) => alias.collection_name === collectionName)
+        .forEach((alias) => transaction.objectStore("aliases").delete(alias.alias_name))
+
+      await done
+      return Boolean(collection)
+    } catch (error) {
+      console.error("[Qdrant Memory] Error deleting local collection:", error)
+      return false
     }
+  },
 
-    // Save to all participant collections
-    const savePromises = participants.map(async (characterName) => {
-      const collectionName = getCollectionName(characterName)
+  async listCollections() {
+    try {
+      const db = await openLocalStore()
+      return (await idbRequest(db.transaction("collections").objectStore("collections").getAllKeys())).map(String)
+    } catch (error) {
+      console.error("[Qdrant Memory] Error listing local collections:", error)
+      return null
+    }
+  },
 
-      // Ensure collection exists
-      const collectionReady = await ensureCollection(characterName, embedding.length)
-      if (!collectionReady) {
-        console.error(`[Qdrant Memory] Cannot save chunk - collection creation failed for ${characterName}`)
+  async upsertPoints(collectionName, points) {
+    try {
+      const db = await openLocalStore()
+      const name = await resolveLocalCollection(db, collectionName)
+      const transaction = db.transaction(["collections", "points"], "readwrite")
+      const done = idbTransactionDone(transaction)
+      const collection = await idbRequest(transaction.objectStore("collections").get(name))
+
+      const invalid = collection
+        ? points.find((point) => getDenseVector(point)?.length !== collection.vectorSize)
+        : null
+      if (!collection || invalid) {
+        transaction.abort()
+        await done.catch(() => {})
+        console.error(
+          `[Qdrant Memory] Failed to upsert ${points.length} points into ${collectionName}: ${
+            collection ? `expected vectors of size ${collection.vectorSize}` : "collection not found"
+          }`,
+        )
         return false
       }
 
-      // Add character name to payload only if using shared collection
-      const characterPayload = settings.usePerCharacterCollections 
-        ? payload 
-        : { ...payload, character: characterName }
-
-      // Save to Qdrant
-      const response = await fetch(`${settings.qdrantUrl}/collections/${collectionName}/points`, {
-        method: "PUT",
-        headers: getQdrantHeaders(),
-        body: JSON.stringify({
-          points: [
-            {
-              id: pointId,
-              vector: embedding,
-              payload: characterPayload,
-            },
-          ],
-        }),
+      const store = transaction.objectStore("points")
+      points.forEach((point) => {
+        store.put({ collection: name, id: point.id, vector: getDenseVector(point), payload: point.payload ?? {} })
       })
 
-      if (!response.ok) {
-        console.error(
-          `[Qdrant Memory] Failed to save chunk to ${characterName}: ${response.status} ${response.statusText}`,
-        )
-        return false
+      await done
+      return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error upserting local points:", error)
+      return false
+    }
+  },
+
+  async deletePoints(collectionName, ids) {
+    try {
+      const db = await openLocalStore()
+      const name = await resolveLocalCollection(db, collectionName)
+      const transaction = db.transaction("points", "readwrite")
+      const done = idbTransactionDone(transaction)
+      ids.forEach((id) => transaction.objectStore("points").delete([name, id]))
+      await done
+      return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error deleting local points:", error)
+      return false
+    }
+  },
+
+  async overwritePayloads(collectionName, updates) {
+    try {
+      const db = await openLocalStore()
+      const name = await resolveLocalCollection(db, collectionName)
+      const transaction = db.transaction("points", "readwrite")
+      const done = idbTransactionDone(transaction)
+      const store = transaction.objectStore("points")
+
+      for (const { id, payload } of updates) {
+        const record = await idbRequest(store.get([name, id]))
+        if (record) {
+          store.put({ ...record, payload })
+        }
       }
 
-      if (settings.debugMode) {
-        console.log(
-          `[Qdrant Memory] Saved chunk to ${characterName}'s collection (${chunk.messageCount} messages, ${chunk.text.length} chars)`,
-        )
+      await done
+      return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error updating local payloads:", error)
+      return false
+    }
+  },
+
+  async setPayloads(collectionName, updates) {
+    try {
+      const db = await openLocalStore()
+      const name = await resolveLocalCollection(db, collectionName)
+      const transaction = db.transaction("points", "readwrite")
+      const done = idbTransactionDone(transaction)
+      const store = transaction.objectStore("points")
+
+      for (const { id, payload } of updates) {
+        const record = await idbRequest(store.get([name, id]))
+        if (record) {
+          store.put({ ...record, payload: { ...record.payload, ...payload } })
+        }
       }
 
+      await done
       return true
-    })
+    } catch (error) {
+      console.error("[Qdrant Memory] Error setting local payload fields:", error)
+      return false
+    }
+  },
 
-    const results = await Promise.all(savePromises)
-    const successCount = results.filter((r) => r).length
+  async scrollPoints(collectionName, { offset, limit, filter, withPayload, withVector }) {
+    try {
+      const db = await openLocalStore()
+      const name = await resolveLocalCollection(db, collectionName)
+      const points = []
+      let nextOffset = null
+
+      const request = db.transaction("points").objectStore("points").openCursor(localPointRange(name, offset))
+      await idbIterate(request, (record) => {
+        if (!matchesFilter(record, filter)) return true
+        if (points.length >= limit) {
+          nextOffset = record.id
+          return false
+        }
+        points.push(toLocalPoint(record, withPayload, withVector))
+        return true
+      })
 
-    if (settings.debugMode) {
-      console.log(`[Qdrant Memory] Chunk saved to ${successCount}/${participants.length} collections`)
+      return { points, nextOffset }
+    } catch (error) {
+      console.error("[Qdrant Memory] Error scrolling local points:", error)
+      return null
     }
+  },
 
-    return successCount > 0
-  } catch (err) {
-    console.error("[Qdrant Memory] Error saving chunk:", err)
-    return false
-  }
-}
+  async countPoints(collectionName, filter) {
+    try {
+      const db = await openLocalStore()
+      const name = await resolveLocalCollection(db, collectionName)
+      const store = db.transaction("points").objectStore("points")
 
-async function processMessageBuffer() {
-  if (!settings.enabled) return
-  if (messageBuffer.length === 0) return
+      if (!filter) {
+        return await idbRequest(store.count(localPointRange(name)))
+      }
 
-  const chunk = createChunkFromBuffer()
-  if (!chunk) return
+      let count = 0
+      await idbIterate(store.openCursor(localPointRange(name)), (record) => {
+        if (matchesFilter(record, filter)) count++
+      })
+      return count
+    } catch (error) {
+      console.error("[Qdrant Memory] Error counting local points:", error)
+      return null
+    }
+  },
 
-  // Get all participants (for group chats)
-  const participants = getChatParticipants()
+  async retrievePoints(collectionName, ids, { withPayload, withVector }) {
+    try {
+      const db = await openLocalStore()
+      const name = await resolveLocalCollection(db, collectionName)
+      const store = db.transaction("points").objectStore("points")
+      const records = await Promise.all(ids.map((id) => idbRequest(store.get([name, id]))))
+      return records.filter(Boolean).map((record) => toLocalPoint(record, withPayload, withVector))
+    } catch (error) {
+      console.error("[Qdrant Memory] Error retrieving local points:", error)
+      return null
+    }
+  },
 
-  if (participants.length === 0) {
-    console.error("[Qdrant Memory] No participants found for chunk")
-    messageBuffer = []
-    return
-  }
+  async searchPoints(collectionName, request) {
+    const results = await this.searchPointsBatch(collectionName, [request])
+    return results ? results[0] : null
+  },
 
-  // Save chunk to all participant collections
-  await saveChunkToQdrant(chunk, participants)
+  // Brute-force cosine search; the collection is read once for the whole batch
+  async searchPointsBatch(collectionName, requests) {
+    let records
+    try {
+      const db = await openLocalStore()
+      const name = await resolveLocalCollection(db, collectionName)
+      records = await idbRequest(db.transaction("points").objectStore("points").getAll(localPointRange(name)))
+    } catch (error) {
+      console.warn("[Qdrant Memory] Error searching local points, returning no results:", error)
+      return requests.map(() => [])
+    }
 
-  // Clear buffer after saving
-  messageBuffer = []
-}
+    return requests.map((request) => {
+      const queryVector = Array.isArray(request.vector) ? request.vector : request.vector?.vector
+      const threshold = request.score_threshold ?? -Infinity
+      const hits = []
 
-function bufferMessage(text, characterName, isUser, messageId) {
-  if (!settings.enabled) return
-  if (!settings.autoSaveMemories) return
-  if (getEmbeddingProviderError()) return
-  if (text.length < settings.minMessageLength) return
+      for (const record of records) {
+        if (!matchesFilter(record, request.filter)) continue
+        const score = cosineSimilarity(queryVector, record.vector)
+        if (score !== null && score >= threshold) {
+          hits.push({ record, score })
+        }
+      }
 
-  // Check if we should save this type of message
-  if (isUser && !settings.saveUserMessages) return
-  if (!isUser && !settings.saveCharacterMessages) return
+      return hits
+        .sort((a, b) => b.score - a.score)
+        .slice(0, request.limit ?? 10)
+        .map(({ record, score }) => toLocalPoint(record, request.with_payload, request.with_vector, score))
+    })
+  },
 
-  // Add to buffer
-  messageBuffer.push({ text, characterName, isUser, messageId })
-  lastMessageTime = Date.now()
+  async listAliases() {
+    try {
+      const db = await openLocalStore()
+      return await idbRequest(db.transaction("aliases").objectStore("aliases").getAll())
+    } catch (error) {
+      console.error("[Qdrant Memory] Error listing local aliases:", error)
+      return null
+    }
+  },
 
-  // Calculate current buffer size
-  let bufferSize = 0
-  messageBuffer.forEach((msg) => {
-    bufferSize += msg.text.length + msg.characterName.length + 4 // +4 for ": " and "\n"
-  })
+  // All actions run in one transaction, so they apply atomically as in Qdrant
+  async updateAliases(actions) {
+    try {
+      const db = await openLocalStore()
+      const transaction = db.transaction(["collections", "aliases"], "readwrite")
+      const done = idbTransactionDone(transaction)
+      const aliases = transaction.objectStore("aliases")
+
+      try {
+        for (const action of actions) {
+          if (action.create_alias) {
+            const { alias_name, collection_name } = action.create_alias
+            const target = await idbRequest(transaction.objectStore("collections").get(collection_name))
+            if (!target) {
+              throw new Error(`Collection ${collection_name} does not exist`)
+            }
+            aliases.put({ alias_name, collection_name })
+          } else if (action.delete_alias) {
+            aliases.delete(action.delete_alias.alias_name)
+          } else if (action.rename_alias) {
+            const { old_alias_name, new_alias_name } = action.rename_alias
+            const alias = await idbRequest(aliases.get(old_alias_name))
+            if (!alias) {
+              throw new Error(`Alias ${old_alias_name} does not exist`)
+            }
+            aliases.delete(old_alias_name)
+            aliases.put({ alias_name: new_alias_name, collection_name: alias.collection_name })
+          }
+        }
+      } catch (error) {
+        // Roll back the actions already applied
+        transaction.abort()
+        await done.catch(() => {})
+        throw error
+      }
 
-  if (settings.debugMode) {
-    console.log(`[Qdrant Memory] Buffer: ${messageBuffer.length} messages, ${bufferSize} chars`)
-  }
+      await done
+      return true
+    } catch (error) {
+      console.error("[Qdrant Memory] Error updating local aliases:", error)
+      return false
+    }
+  },
 
-  // Clear existing timer
-  if (chunkTimer) {
-    clearTimeout(chunkTimer)
-  }
+  // Filters are evaluated in memory, so there is nothing to index
+  async createPayloadIndexes() {
+    return true
+  },
 
-  // If buffer exceeds max size, process it now
-  if (bufferSize >= settings.chunkMaxSize) {
-    if (settings.debugMode) {
-      console.log(`[Qdrant Memory] Buffer reached max size (${bufferSize}), processing chunk`)
+  async testConnection() {
+    const collections = await this.listCollections()
+    if (!collections) {
+      return { ok: false, message: "Browser storage (IndexedDB) is not available." }
     }
-    processMessageBuffer()
-  }
-  // If buffer is at least min size, set a short timer
-  else if (bufferSize >= settings.chunkMinSize) {
-    chunkTimer = setTimeout(() => {
-      if (settings.debugMode) {
-        console.log(`[Qdrant Memory] Buffer reached min size and timeout, processing chunk`)
-      }
-      processMessageBuffer()
-    }, 5000) // 5 seconds after reaching min size
-  }
-  // Otherwise, set a longer timer
-  else {
-    chunkTimer = setTimeout(() => {
-      if (settings.debugMode) {
-        console.log(`[Qdrant Memory] Buffer timeout reached, processing chunk`)
-      }
-      processMessageBuffer()
-    }, settings.chunkTimeout)
-  }
+    return { ok: true, message: `Using browser storage. Found ${collections.length} collections.` }
+  },
 }
 
 // ============================================================================
-// CHAT INDEXING FUNCTIONS
+// STORAGE BACKEND
 // ============================================================================
 
-async function getCharacterChats(characterName) {
-  try {
-    const context = getContext()
+const STORAGE_BACKENDS = {
+  qdrant: qdrantBackend,
+  indexeddb: indexedDbBackend,
+}
 
-    if (settings.debugMode) {
-      console.log("[Qdrant Memory] Getting chats for character:", characterName)
-    }
+function getStorageBackend() {
+  return STORAGE_BACKENDS[settings.storageBackend] || qdrantBackend
+}
 
-    // Try to get the character's avatar URL
-    let avatar_url = `${characterName}.png`
-    if (context.characters && Array.isArray(context.characters)) {
-      const char = context.characters.find((c) => c.name === characterName)
-      if (char && char.avatar) {
-        avatar_url = char.avatar
-      }
-    }
+// Vector size and layout from a collection's info
+function parseCollectionLayout(info) {
+  const params = info?.config?.params
+  const named = Number.isFinite(params?.vectors?.[DENSE_VECTOR_NAME]?.size)
+  const vectorSize =
+    params?.vectors?.size ??
+    params?.vectors?.[DENSE_VECTOR_NAME]?.size ??
+    params?.vectors?.default?.size ??
+    info?.vectors?.size ??
+    null
+  const hybrid = named && Boolean(params?.sparse_vectors?.[SPARSE_VECTOR_NAME])
+  const quantizationConfig =
+    info?.config?.quantization_config ?? params?.vectors?.[DENSE_VECTOR_NAME]?.quantization_config ?? null
+  const quantization = quantizationConfig ? Object.keys(quantizationConfig)[0] || null : null
+
+  return { vectorSize, named, hybrid, quantization }
+}
 
-    const response = await fetch("/api/characters/chats", {
-      method: "POST",
-      headers: getSillyTavernHeaders(),
-      credentials: "include",
-      body: JSON.stringify({
-        avatar_url: avatar_url,
-      }),
-    })
+// Check if collection exists
+async function collectionExists(collectionName) {
+  const info = await getStorageBackend().getCollectionInfo(collectionName)
+  if (!info) {
+    return { exists: false, vectorSize: null }
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error("[Qdrant Memory] Failed to get chat list:", response.status, response.statusText)
-      console.error("[Qdrant Memory] Error response:", errorText)
-      return []
-    }
+  const { vectorSize, named, hybrid, quantization } = parseCollectionLayout(info)
+  collectionLayouts.set(collectionName, { named, hybrid, quantization })
 
-    const data = await response.json()
+  return { exists: true, vectorSize, hybrid }
+}
 
-    // Handle different response formats - extract just the filenames
-    let chatFiles = []
-    
-    if (Array.isArray(data)) {
-      if (typeof data[0] === 'string') {
-        chatFiles = data
-      } else if (data[0] && data[0].file_name) {
-        chatFiles = data.map(item => item.file_name)
-      } else {
-        chatFiles = data.map(item => {
-          if (typeof item === 'string') return item
-          if (item.file_name) return item.file_name
-          if (item.filename) return item.filename
-          return null
-        }).filter(f => f !== null)
-      }
-    } else if (data && Array.isArray(data.files)) {
-      chatFiles = data.files.map(item => {
-        if (typeof item === 'string') return item
-        if (item.file_name) return item.file_name
-        if (item.filename) return item.filename
-        return null
-      }).filter(f => f !== null)
-    } else if (data && Array.isArray(data.chats)) {
-      chatFiles = data.chats.map(item => {
-        if (typeof item === 'string') return item
-        if (item.file_name) return item.file_name
-        if (item.filename) return item.filename
-        return null
-      }).filter(f => f !== null)
-    }
+async function getCollectionInfo(collectionName) {
+  return await getStorageBackend().getCollectionInfo(collectionName)
+}
 
-    if (settings.debugMode) {
-      console.log("[Qdrant Memory] Extracted filenames:", chatFiles)
-    }
+// Vector layout of a collection, as last seen by collectionExists/createCollection.
+// Collections created before hybrid search use a single unnamed vector.
+function getCollectionLayout(collectionName) {
+  return collectionLayouts.get(collectionName) || { named: false, hybrid: false, quantization: null }
+}
 
-    return chatFiles
-  } catch (error) {
-    console.error("[Qdrant Memory] Error getting character chats:", error)
-    return []
+// Vector field for a point being written to the given collection
+function buildPointVector(collectionName, embedding, text) {
+  const layout = getCollectionLayout(collectionName)
+  if (!layout.named) {
+    return embedding
+  }
+
+  const vector = { [DENSE_VECTOR_NAME]: embedding }
+  if (layout.hybrid) {
+    vector[SPARSE_VECTOR_NAME] = buildSparseVector(text, "document")
   }
+  return vector
 }
 
-async function loadChatFile(characterName, chatFile) {
-  try {
-    if (settings.debugMode) {
-      console.log("[Qdrant Memory] Loading chat file:", chatFile, "for character:", characterName)
-    }
+// Dense embedding of a point returned with `with_vector`, for either layout
+function getDenseVector(point) {
+  const vector = point?.vector
+  if (Array.isArray(vector)) {
+    return vector
+  }
+  if (vector && typeof vector === "object") {
+    return vector[DENSE_VECTOR_NAME] ?? vector.default ?? Object.values(vector).find(Array.isArray) ?? null
+  }
+  return null
+}
 
-    // Ensure chatFile is a string
-    if (typeof chatFile !== 'string') {
-      console.error("[Qdrant Memory] chatFile is not a string:", chatFile)
-      if (chatFile && chatFile.file_name) {
-        chatFile = chatFile.file_name
-      } else {
-        return null
-      }
-    }
+// Vector field for a /points/search request against the given collection
+function buildSearchVector(collectionName, embedding) {
+  const layout = getCollectionLayout(collectionName)
+  return layout.named ? { name: DENSE_VECTOR_NAME, vector: embedding } : embedding
+}
 
-    // Remove .jsonl extension as the API adds it back
-    const fileNameWithoutExt = chatFile.replace(/\.jsonl$/, '')
+// Create collection for a character. `options.hybrid` overrides the hybrid
+// search setting, e.g. when copying a collection with a known layout.
+async function createCollection(collectionName, vectorSize, options = {}) {
+  const dimensions = Number.isFinite(vectorSize) && vectorSize > 0 ? vectorSize : getEmbeddingDimensions()
 
-    const context = getContext()
+  if (!Number.isFinite(dimensions) || dimensions <= 0) {
+    console.error(`[Qdrant Memory] Cannot create collection ${collectionName} - invalid embedding dimensions`)
+    return false
+  }
 
-    
+  const backend = getStorageBackend()
+  const hybrid = Boolean(options.hybrid ?? settings.hybridSearch) && backend.capabilities.sparse
+  const quantization = backend.capabilities.quantization ? getQuantizationSetting() : null
+  const created = await backend.createCollection(collectionName, {
+    size: dimensions,
+    hybrid,
+    quantization: quantization || "none",
+    onDisk: backend.capabilities.quantization && Boolean(settings.vectorsOnDisk),
+  })
 
-    // Try to get the character's avatar URL
-    let avatar_url = `${characterName}.png`
-    if (context.characters && Array.isArray(context.characters)) {
-      const char = context.characters.find((c) => c.name === characterName)
-      if (char && char.avatar) {
-        avatar_url = char.avatar
-      }
+  if (created) {
+    collectionLayouts.set(collectionName, { named: hybrid, hybrid, quantization })
+    if (settings.debugMode) {
+      console.log(
+        `[Qdrant Memory] Created ${hybrid ? "hybrid " : ""}collection: ${collectionName}${quantization ? ` (${quantization} quantization)` : ""}`,
+      )
     }
+  }
 
-    const response = await fetch("/api/chats/get", {
-      method: "POST",
-      headers: getSillyTavernHeaders(),
-      credentials: "include",
-      body: JSON.stringify({
-        ch_name: characterName,
-        file_name: fileNameWithoutExt,
-        avatar_url: avatar_url,
-      }),
-    })
+  return created
+}
 
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error("[Qdrant Memory] Failed to load chat file:", response.status, response.statusText)
-      console.error("[Qdrant Memory] Error response:", errorText)
-      return null
-    }
+// Ensure collection exists (create if needed)
+async function ensureCollection(characterName, vectorSize) {
+  const collectionName = getCollectionName(characterName)
+  const { exists, vectorSize: existingSize } = await collectionExists(collectionName)
 
-    const chatData = await response.json()
-    
-    // Handle different response formats
-    let messages = null
-    if (Array.isArray(chatData)) {
-      messages = chatData
-    } else if (chatData && Array.isArray(chatData.chat)) {
-      messages = chatData.chat
-    } else if (chatData && Array.isArray(chatData.messages)) {
-      messages = chatData.messages
-    } else if (chatData && typeof chatData === 'object') {
-      messages = [chatData]
-    }
-    
-    if (settings.debugMode) {
-      console.log("[Qdrant Memory] Loaded chat with", messages?.length || 0, "messages")
+  if (exists) {
+    if (
+      Number.isFinite(existingSize) &&
+      Number.isFinite(vectorSize) &&
+      existingSize > 0 &&
+      vectorSize > 0 &&
+      existingSize !== vectorSize
+    ) {
+      console.error(
+        `[Qdrant Memory] Collection ${collectionName} has dimension ${existingSize}, but embedding returned ${vectorSize}. Open the Memory Viewer and migrate the collection to the current model.`,
+      )
+      return false
     }
-    
-    return messages
-  } catch (error) {
-    console.error("[Qdrant Memory] Error loading chat file:", error)
-    return null
+
+    return true
   }
-}
 
-async function chunkExists(collectionName, messageIds) {
-  try {
-    // Search for any of the message IDs in the chunk
-    const response = await fetch(`${settings.qdrantUrl}/collections/${collectionName}/points/scroll`, {
-      method: "POST",
-      headers: getQdrantHeaders(),
-      body: JSON.stringify({
-        filter: {
-          should: messageIds.map((id) => ({
-            key: "messageIds",
-            match: { text: id },
-          })),
-        },
-        limit: 1,
-        with_payload: false,
-      }),
-    })
+  if (settings.debugMode) {
+    console.log(`[Qdrant Memory] Collection doesn't exist, creating: ${collectionName}`)
+  }
 
-    if (!response.ok) return false
+  return await createCollection(collectionName, vectorSize)
+}
 
-    const data = await response.json()
-    return data.result?.points?.length > 0
-  } catch (error) {
-    console.error("[Qdrant Memory] Error checking chunk existence:", error)
-    return false
-  }
+async function deleteCollection(collectionName) {
+  // Deleting through an alias is not supported; delete the collection it points to
+  const targetName = await resolveCollectionAlias(collectionName)
+  const deleted = await getStorageBackend().deleteCollection(targetName)
+  collectionLayouts.delete(collectionName)
+  collectionLayouts.delete(targetName)
+  return deleted
 }
 
-function createChunksFromChat(messages, characterName) {
-  const chunks = []
-  let currentChunk = []
-  let currentSize = 0
+// Index the payload fields used in filters (see PAYLOAD_INDEXES)
+async function createPayloadIndexes(collectionName) {
+  return await getStorageBackend().createPayloadIndexes(collectionName)
+}
 
-  for (const msg of messages) {
-    // Skip system messages
-    if (msg.is_system) continue
+// Upsert many points in a single request
+async function upsertPoints(collectionName, points) {
+  if (!Array.isArray(points) || points.length === 0) return true
+  return await getStorageBackend().upsertPoints(collectionName, points)
+}
 
-    const text = msg.mes?.trim()
-    if (!text || text.length < settings.minMessageLength) continue
+// Delete points by ID
+async function deletePoints(collectionName, ids) {
+  if (!Array.isArray(ids) || ids.length === 0) return true
+  return await getStorageBackend().deletePoints(collectionName, ids)
+}
 
-    // Check if we should save this type of message
-    const isUser = msg.is_user || false
-    if (isUser && !settings.saveUserMessages) continue
-    if (!isUser && !settings.saveCharacterMessages) continue
+// Replace the payloads of many points in one request. `updates` is a list of
+// { id, payload } entries.
+async function overwritePayloads(collectionName, updates) {
+  if (!Array.isArray(updates) || updates.length === 0) return true
+  return await getStorageBackend().overwritePayloads(collectionName, updates)
+}
 
-    // Normalize send_date before using it
-    const normalizedDate = normalizeTimestamp(msg.send_date || Date.now())
-    
-    if (settings.debugMode) {
-      console.log("[Qdrant Memory] Message date - raw:", msg.send_date, "normalized:", normalizedDate, "formatted:", formatDateForChunk(normalizedDate))
-    }
+// Set some payload fields of many points, keeping the others. `updates` is a
+// list of { id, payload } entries.
+async function setPayloads(collectionName, updates) {
+  if (!Array.isArray(updates) || updates.length === 0) return true
+  return await getStorageBackend().setPayloads(collectionName, updates)
+}
 
-    // Create message object
-    const messageObj = {
-      text: text,
-      characterName: characterName,
-      isUser: isUser,
-      messageId: `${characterName}_${normalizedDate}_${messages.indexOf(msg)}`,
-      timestamp: normalizedDate,
-    }
+// Page through a collection. Returns { points, nextOffset } or null on failure.
+async function scrollPoints(collectionName, { offset = null, limit = 100, filter = null, withPayload = true, withVector = false } = {}) {
+  return await getStorageBackend().scrollPoints(collectionName, { offset, limit, filter, withPayload, withVector })
+}
 
-    const messageSize = text.length + characterName.length + 4
+// Exact number of points in a collection (optionally filtered). Returns null on failure.
+async function countPoints(collectionName, filter = null) {
+  return await getStorageBackend().countPoints(collectionName, filter)
+}
 
-    // If adding this message would exceed max size, save current chunk
-    if (currentSize + messageSize > settings.chunkMaxSize && currentChunk.length > 0) {
-      chunks.push(createChunkFromMessages(currentChunk))
-      currentChunk = []
-      currentSize = 0
-    }
+// Fetch points by ID. Returns an array (possibly empty) or null on failure.
+async function retrievePoints(collectionName, ids, { withPayload = false, withVector = false } = {}) {
+  if (!Array.isArray(ids) || ids.length === 0) return []
+  return await getStorageBackend().retrievePoints(collectionName, ids, { withPayload, withVector })
+}
 
-    currentChunk.push(messageObj)
-    currentSize += messageSize
+// Quantization for new collections: "scalar", "binary" or null
+function getQuantizationSetting() {
+  return ["scalar", "binary"].includes(settings.quantization) ? settings.quantization : null
+}
 
-    // If we've reached min size and have a good number of messages, consider chunking
-    if (currentSize >= settings.chunkMinSize && currentChunk.length >= 3) {
-      chunks.push(createChunkFromMessages(currentChunk))
-      currentChunk = []
-      currentSize = 0
-    }
+// Dense searches on a quantized collection oversample with the compressed
+// vectors and rescore the candidates with the originals, so scores (and the
+// score threshold) stay exact. Binary vectors are coarser and need more.
+function withQuantizationParams(collectionName, search) {
+  const { quantization } = getCollectionLayout(collectionName)
+  if (!quantization || search.params || search.using === SPARSE_VECTOR_NAME) {
+    return search
   }
+  const oversampling = quantization === "binary" ? 3 : 1.5
+  return { ...search, params: { quantization: { rescore: true, oversampling } } }
+}
 
-  // Save any remaining messages
-  if (currentChunk.length > 0) {
-    chunks.push(createChunkFromMessages(currentChunk))
-  }
+// Vector search with a /points/search request body. Returns null if it failed.
+// `requestOptions` (timeoutMs, retries) override the defaults of fetchWithRetry.
+async function searchPoints(collectionName, request, requestOptions = {}) {
+  return await getStorageBackend().searchPoints(
+    collectionName,
+    withQuantizationParams(collectionName, request),
+    requestOptions,
+  )
+}
 
-  return chunks
+// Several searches in one request; returns one hit list per search, or null
+async function searchPointsBatch(collectionName, requests) {
+  if (requests.length === 0) return []
+  return await getStorageBackend().searchPointsBatch(
+    collectionName,
+    requests.map((request) => withQuantizationParams(collectionName, request)),
+  )
 }
 
-function createChunkFromMessages(messages) {
-  let chunkText = ""
-  const speakers = new Set()
-  const messageIds = []
-  let oldestTimestamp = Number.POSITIVE_INFINITY
-  
-  // NEW: Get the persona name once for all messages
-  const personaName = getPersonaName()
+// Query API batch for sparse and hybrid searches. Returns null when the
+// backend has no sparse vectors or the request failed.
+async function queryPointsBatch(collectionName, searches, requestOptions = {}) {
+  const backend = getStorageBackend()
+  if (!backend.capabilities.sparse) return null
+  return await backend.queryPointsBatch(
+    collectionName,
+    searches.map((search) => withQuantizationParams(collectionName, search)),
+    requestOptions,
+  )
+}
 
-  messages.forEach((msg) => {
-    const speaker = msg.isUser ? personaName : msg.characterName  // ← CHANGED: Use personaName
-    speakers.add(speaker)
-    messageIds.push(msg.messageId)
+// List every collection name in the store. Returns null on failure.
+async function listCollections() {
+  return await getStorageBackend().listCollections()
+}
 
-    const line = `${speaker}: ${msg.text}\n`
-    chunkText += line
+// ============================================================================
+// COLLECTION ALIASES
+// ============================================================================
 
-    if (msg.timestamp < oldestTimestamp) {
-      oldestTimestamp = msg.timestamp
+// List all aliases as { alias_name, collection_name } entries. Returns null on failure.
+async function listAliases() {
+  return await getStorageBackend().listAliases()
+}
+
+// Resolve an alias to the collection it points to. Plain collection names
+// (and unknown names) are returned unchanged.
+async function resolveCollectionAlias(name) {
+  const aliases = await listAliases()
+  const match = aliases?.find((alias) => alias.alias_name === name)
+  return match ? match.collection_name : name
+}
+
+// Apply alias actions (create_alias / delete_alias / rename_alias) atomically
+async function updateAliases(actions) {
+  return await getStorageBackend().updateAliases(actions)
+}
+
+// Point `aliasName` at `collectionName`, replacing any previous target. Other
+// aliases of the previous target (left by character renames) move with it.
+async function switchAlias(aliasName, collectionName) {
+  const aliases = await listAliases()
+  if (!aliases) return false
+
+  const previousTarget = aliases.find((alias) => alias.alias_name === aliasName)?.collection_name
+  const moving = previousTarget
+    ? aliases.filter((alias) => alias.collection_name === previousTarget).map((alias) => alias.alias_name)
+    : [aliasName]
+
+  const actions = []
+  moving.forEach((name) => {
+    if (previousTarget) {
+      actions.push({ delete_alias: { alias_name: name } })
     }
+    actions.push({ create_alias: { collection_name: collectionName, alias_name: name } })
   })
 
-  // Format date prefix for the chunk
-  let finalText = chunkText.trim()
-  if (oldestTimestamp !== Number.POSITIVE_INFINITY) {
-    const dateStr = formatDateForChunk(oldestTimestamp)
-    finalText = `[${dateStr}]\n${finalText}`
+  const success = await updateAliases(actions)
+  if (success) {
+    moving.forEach((name) => collectionLayouts.delete(name))
   }
+  return success
+}
 
-  return {
-    text: finalText,
-    speakers: Array.from(speakers),
-    messageIds: messageIds,
-    messageCount: messages.length,
-    timestamp: oldestTimestamp !== Number.POSITIVE_INFINITY ? oldestTimestamp : Date.now(),
+// Copy every collection and alias from the browser store to the Qdrant server.
+// Local data is left in place, so an interrupted copy can simply be rerun.
+// Returns { collections, copied, failed } or null if cancelled.
+async function migrateLocalStoreToQdrant(progress) {
+  const collections = await indexedDbBackend.listCollections()
+  if (!collections) {
+    throw new Error("Could not read the browser memory store")
   }
-}
 
-async function indexCharacterChats() {
-  const context = getContext()
-  const characterName = context.name2
-  const toastr = window.toastr
-  const $ = window.$
+  const remoteCollections = await qdrantBackend.listCollections()
+  if (!remoteCollections) {
+    throw new Error(`Could not reach Qdrant at ${settings.qdrantUrl}`)
+  }
 
-  if (!characterName) {
-    toastr.warning("No character selected", "Qdrant Memory")
-    return
+  const counts = await Promise.all(collections.map((name) => indexedDbBackend.countPoints(name, null)))
+  const total = counts.reduce((sum, count) => sum + (count || 0), 0)
+  const result = { collections: 0, copied: 0, failed: [] }
+  let processed = 0
+
+  for (const [index, collectionName] of collections.entries()) {
+    if (progress.isCancelled()) return null
+    progress.setStatus(`Copying ${collectionName} (${index + 1}/${collections.length})...`)
+
+    const localCount = counts[index] || 0
+    const localSize = parseCollectionLayout(await indexedDbBackend.getCollectionInfo(collectionName)).vectorSize
+    const remoteInfo = await qdrantBackend.getCollectionInfo(collectionName)
+    let layout
+
+    if (remoteInfo) {
+      layout = parseCollectionLayout(remoteInfo)
+      if (layout.vectorSize !== localSize) {
+        result.failed.push(`${collectionName} (dimension ${layout.vectorSize} on Qdrant, ${localSize} locally)`)
+        processed += localCount
+        continue
+      }
+    } else {
+      const hybrid = Boolean(settings.hybridSearch)
+      const quantization = getQuantizationSetting()
+      const created = await qdrantBackend.createCollection(collectionName, {
+        size: localSize,
+        hybrid,
+        quantization: quantization || "none",
+        onDisk: Boolean(settings.vectorsOnDisk),
+      })
+      if (!created) {
+        result.failed.push(`${collectionName} (could not create collection)`)
+        processed += localCount
+        continue
+      }
+      layout = { named: hybrid, hybrid, quantization }
+    }
+
+    let offset = null
+    do {
+      if (progress.isCancelled()) return null
+
+      const page = await indexedDbBackend.scrollPoints(collectionName, {
+        offset,
+        limit: 100,
+        filter: null,
+        withPayload: true,
+        withVector: true,
+      })
+      if (!page) {
+        throw new Error(`Failed to read ${collectionName} from the browser store`)
+      }
+
+      const points = page.points.map((point) => {
+        let vector = point.vector
+        if (layout.named) {
+          vector = { [DENSE_VECTOR_NAME]: point.vector }
+          if (layout.hybrid) {
+            vector[SPARSE_VECTOR_NAME] = buildSparseVector(point.payload?.text || "", "document")
+          }
+        }
+        return { id: point.id, vector, payload: point.payload }
+      })
+
+      if (points.length > 0 && !(await qdrantBackend.upsertPoints(collectionName, points))) {
+        throw new Error(`Failed to write ${collectionName} to Qdrant`)
+      }
+
+      processed += points.length
+      result.copied += points.length
+      progress.setProgress(total > 0 ? (processed / total) * 100 : 100)
+      progress.setDetails(`Copied: ${result.copied} / ${total}`)
+      offset = page.nextOffset
+    } while (offset !== null)
+
+    const remoteCount = await qdrantBackend.countPoints(collectionName, null)
+    if (remoteCount === null || remoteCount < localCount) {
+      result.failed.push(`${collectionName} (verification failed: ${remoteCount ?? "?"} of ${localCount} points)`)
+      continue
+    }
+
+    result.collections++
   }
 
-  const providerError = getEmbeddingProviderError()
-  if (providerError) {
-    toastr.error(providerError, "Qdrant Memory")
-    return
+  // Recreate aliases left by embedding-model migrations
+  const localAliases = (await indexedDbBackend.listAliases()) || []
+  const remoteAliases = (await qdrantBackend.listAliases()) || []
+  const aliasActions = localAliases
+    .filter(
+      (alias) =>
+        !remoteAliases.some((remote) => remote.alias_name === alias.alias_name) &&
+        !remoteCollections.includes(alias.alias_name),
+    )
+    .map((alias) => ({ create_alias: { alias_name: alias.alias_name, collection_name: alias.collection_name } }))
+
+  if (aliasActions.length > 0 && !(await qdrantBackend.updateAliases(aliasActions))) {
+    result.failed.push("aliases")
   }
 
-  // Create progress modal
-  const modalHtml = `
-    <div id="qdrant_index_modal" style="
-      position: fixed;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%);
-      background: white;
-      padding: 30px;
-      border-radius: 10px;
-      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
-      z-index: 10000;
-      max-width: 500px;
-      width: 90%;
-    ">
-      <div style="color: #333;">
-        <h3 style="margin-top: 0;">Indexing Chats - ${characterName}</h3>
-        <p id="qdrant_index_status">Scanning for chat files...</p>
-        <div style="background: #f0f0f0; border-radius: 5px; height: 20px; margin: 15px 0; overflow: hidden;">
-          <div id="qdrant_index_progress" style="background: #4CAF50; height: 100%; width: 0%; transition: width 0.3s;"></div>
-        </div>
-        <p id="qdrant_index_details" style="font-size: 0.9em; color: #666;"></p>
-        <button id="qdrant_index_cancel" class="menu_button" style="margin-top: 15px;">Cancel</button>
-      </div>
-    </div>
-    <div id="qdrant_index_overlay" style="
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      background: rgba(0,0,0,0.5);
-      z-index: 9999;
-    "></div>
-  `
+  return result
+}
 
-  $("body").append(modalHtml)
+// ============================================================================
+// CHARACTER COLLECTION BINDING
+// ============================================================================
 
-  const closeModal = () => {
-    $("#qdrant_index_modal").remove()
-    $("#qdrant_index_overlay").remove()
+// Each character is bound to its collection through the card's extension data
+// (data.extensions.qdrant_memory = { id, collection, name }), which survives
+// renames. Bindings are mirrored in the settings, keyed by avatar, in case the
+// card cannot be written. Unbound characters use the name-derived collection.
+const BINDING_EXTENSION_KEY = "qdrant_memory"
+
+// Characters taking part in the current chat (the group members in a group chat)
+function getActiveCharacters() {
+  const context = getContext()
+  const characters = context.characters || []
+
+  if (context.groupId) {
+    const group = context.groups?.find((candidate) => candidate.id === context.groupId)
+    return (group?.members || [])
+      .map((avatar) => characters.find((character) => character.avatar === avatar))
+      .filter(Boolean)
   }
 
-  const setCancelButtonToClose = () => {
-    $("#qdrant_index_cancel")
-      .prop("disabled", false)
-      .text("Close")
-      .off("click")
-      .on("click", closeModal)
+  const current = characters[context.characterId]
+  return current ? [current] : []
+}
+
+// Character card for a display name. Names are not unique, so prefer the
+// characters of the current chat.
+function findCharacterByName(characterName) {
+  const matches = (getContext().characters || []).filter((character) => character.name === characterName)
+  if (matches.length <= 1) {
+    return matches[0] ?? null
   }
+  return getActiveCharacters().find((character) => character.name === characterName) ?? matches[0]
+}
 
-  let cancelled = false
-  $("#qdrant_index_cancel").on("click", () => {
-    cancelled = true
-    $("#qdrant_index_cancel").text("Cancelling...").prop("disabled", true)
-  })
+function getCollectionBinding(character) {
+  if (!character) return null
+
+  const binding = character.data?.extensions?.[BINDING_EXTENSION_KEY]
+  if (binding?.collection) {
+    return binding
+  }
+  return settings.collectionBindings?.[character.avatar] ?? null
+}
+
+async function saveCollectionBinding(character, binding) {
+  // The avatar changes on rename, so drop mirrors stored under an old one
+  const bindings = Object.fromEntries(
+    Object.entries(settings.collectionBindings || {}).filter(([, existing]) => existing.id !== binding.id),
+  )
+  bindings[character.avatar] = binding
+  settings.collectionBindings = bindings
+  saveSettings()
+
+  const context = getContext()
+  const characterIndex = (context.characters || []).indexOf(character)
+  if (characterIndex < 0 || typeof context.writeExtensionField !== "function") return
 
   try {
-    // Get all chat files for this character
-    const chatFiles = await getCharacterChats(characterName)
+    await context.writeExtensionField(characterIndex, BINDING_EXTENSION_KEY, binding)
+  } catch (error) {
+    console.warn(`[Qdrant Memory] Could not store the collection binding in ${character.name}'s card:`, error)
+  }
+}
 
-    if (chatFiles.length === 0) {
-      $("#qdrant_index_status").text("No chat files found")
-      setCancelButtonToClose()
-      setTimeout(() => {
-        closeModal()
-      }, 2000)
-      return
+// Collection name -> avatar of the character bound to it. With
+// `includeUnbound`, characters not bound yet claim their name-derived collection.
+function getBoundCollections(includeUnbound = false) {
+  const bound = new Map()
+  for (const character of getContext().characters || []) {
+    const collection =
+      getCollectionBinding(character)?.collection ?? (includeUnbound ? getDefaultCollectionName(character.name) : null)
+    if (collection) {
+      bound.set(collection, character.avatar)
     }
+  }
+  return bound
+}
 
-    $("#qdrant_index_status").text(`Found ${chatFiles.length} chat files`)
+// Another character with a claim on `collection`: one bound to it, or one not
+// bound yet whose name derives it and that was added before `character`
+// (older cards own the memories saved before bindings existed)
+function findCollectionClaimant(collection, character) {
+  const characters = getContext().characters || []
+  const others = characters.filter((other) => other !== character && other.avatar !== character.avatar)
+
+  const bound = others.find((other) => getCollectionBinding(other)?.collection === collection)
+  if (bound) return bound
+
+  const addedAt = (candidate) => Number(candidate.date_added) || Number.POSITIVE_INFINITY
+  return (
+    others.find((other) => {
+      if (getCollectionBinding(other) || getDefaultCollectionName(other.name) !== collection) return false
+      if (addedAt(other) !== addedAt(character)) return addedAt(other) < addedAt(character)
+      return characters.indexOf(other) < characters.indexOf(character)
+    }) ?? null
+  )
+}
 
-    const collectionName = getCollectionName(characterName)
+// After a rename, make the name-derived collection name an alias of the bound
+// collection, so lookups by the new name (e.g. if the binding is lost) still
+// find the memories
+async function ensureNameAlias(binding, characterName) {
+  const aliasName = getDefaultCollectionName(characterName)
+  if (aliasName === binding.collection) return
 
-    let totalChunks = 0
-    let savedChunks = 0
-    let skippedChunks = 0
+  const [collections, aliases] = await Promise.all([listCollections(), listAliases()])
+  if (!collections || !aliases) return
 
-    // Process each chat file
-    for (let i = 0; i < chatFiles.length; i++) {
-      if (cancelled) break
+  const target = aliases.find((alias) => alias.alias_name === binding.collection)?.collection_name ?? binding.collection
+  if (!collections.includes(target)) return
 
-      const chatFile = chatFiles[i]
-      const progress = ((i / chatFiles.length) * 100).toFixed(0)
+  const existing = aliases.find((alias) => alias.alias_name === aliasName)
+  if (existing?.collection_name === target) return
+  if (existing || collections.includes(aliasName)) {
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] ${aliasName} is already in use, not aliasing it to ${target}`)
+    }
+    return
+  }
 
-      $("#qdrant_index_progress").css("width", `${progress}%`)
-      $("#qdrant_index_status").text(`Processing chat ${i + 1}/${chatFiles.length}`)
-      $("#qdrant_index_details").text(`File: ${chatFile}`)
+  if (await updateAliases([{ create_alias: { collection_name: target, alias_name: aliasName } }])) {
+    console.log(`[Qdrant Memory] Character renamed to ${characterName}: aliased ${aliasName} -> ${target}`)
+  }
+}
 
-      // Load chat file
-      const chatData = await loadChatFile(characterName, chatFile)
-      if (!chatData || !Array.isArray(chatData)) continue
+// Bind a character to its collection on first use and follow renames.
+// Returns the binding.
+async function bindCharacterCollection(character) {
+  const binding = getCollectionBinding(character)
+
+  if (!binding) {
+    const id = uuidV5(`${character.avatar}|${Date.now()}`, POINT_ID_NAMESPACE)
+    let collection = getDefaultCollectionName(character.name)
+
+    // Another character already owns the name-derived collection (same or
+    // similar name); keep the two apart so neither sees the other's memories
+    const claimant = findCollectionClaimant(collection, character)
+    if (claimant) {
+      const ownCollection = `${collection}_${id.slice(0, 8)}`
+      console.warn(
+        `[Qdrant Memory] ${collection} belongs to ${claimant.name} (${claimant.avatar}); ${character.name} (${character.avatar}) gets ${ownCollection}`,
+      )
+      collection = ownCollection
+    }
 
-      // Create chunks from messages
-      const chunks = createChunksFromChat(chatData, characterName)
-      totalChunks += chunks.length
+    const created = { id, collection, name: character.name }
+    await saveCollectionBinding(character, created)
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] Bound ${character.name} (${character.avatar}) to ${collection}`)
+    }
+    return created
+  }
 
-      // Save each chunk
-      for (const chunk of chunks) {
-        if (cancelled) break
+  await ensureNameAlias(binding, character.name)
 
-        // Check if chunk already exists
-        const exists = await chunkExists(collectionName, chunk.messageIds)
-        if (exists) {
-          skippedChunks++
-          continue
-        }
+  const mirrored = settings.collectionBindings?.[character.avatar]
+  if (binding.name !== character.name || mirrored?.collection !== binding.collection) {
+    const updated = { ...binding, name: character.name }
+    await saveCollectionBinding(character, updated)
+    return updated
+  }
 
-        // Get participants (for group chats)
-        const participants = [characterName]
+  return binding
+}
 
-        // Save chunk
-        const success = await saveChunkToQdrant(chunk, participants)
-        if (success) {
-          savedChunks++
-        }
+// Bind every character of the current chat. Called on chat changes.
+async function syncCharacterCollections() {
+  if (!settings.usePerCharacterCollections) return
 
-        $("#qdrant_index_details").text(`Saved: ${savedChunks} | Skipped: ${skippedChunks} | Total: ${totalChunks}`)
-      }
+  for (const character of getActiveCharacters()) {
+    try {
+      await bindCharacterCollection(character)
+    } catch (error) {
+      console.warn(`[Qdrant Memory] Failed to bind ${character.name}'s collection:`, error)
     }
+  }
+}
 
-    // Complete
-    $("#qdrant_index_progress").css("width", "100%")
+// Per-character collections (or aliases) not bound to any existing character.
+// Versioned migration collections are left out; they belong to their alias.
+async function findOrphanedCollections() {
+  const [collections, aliases] = await Promise.all([listCollections(), listAliases()])
+  if (!collections || !aliases) return null
+
+  const resolve = (name) => aliases.find((alias) => alias.alias_name === name)?.collection_name ?? name
+  const boundTargets = new Set()
+  for (const collection of getBoundCollections(true).keys()) {
+    boundTargets.add(collection)
+    boundTargets.add(resolve(collection))
+  }
 
-    if (cancelled) {
-      $("#qdrant_index_status").text("Indexing cancelled")
-      toastr.info(`Indexed ${savedChunks} chunks before cancelling`, "Qdrant Memory")
-    } else {
-      $("#qdrant_index_status").text("Indexing complete!")
-      toastr.success(`Indexed ${savedChunks} new chunks, skipped ${skippedChunks} existing`, "Qdrant Memory")
-    }
+  const prefix = `${settings.collectionName}_`
+  return [...collections, ...aliases.map((alias) => alias.alias_name)]
+    .filter((name) => name.startsWith(prefix) && !/__v\d+$/.test(name))
+    .filter((name) => !boundTargets.has(name) && !boundTargets.has(resolve(name)))
+    .sort()
+}
 
-    setCancelButtonToClose()
-  } catch (error) {
-    console.error("[Qdrant Memory] Error indexing chats:", error)
-    $("#qdrant_index_status").text("Error during indexing")
-    $("#qdrant_index_details").text(error.message)
-    toastr.error("Failed to index chats", "Qdrant Memory")
-    setCancelButtonToClose()
-  }
+// Bind a character to an existing collection. Its previous collection is left
+// untouched and shows up as orphaned.
+async function relinkCollection(character, collectionName) {
+  const binding = getCollectionBinding(character)
+  const id = binding?.id ?? uuidV5(`${character.avatar}|${Date.now()}`, POINT_ID_NAMESPACE)
+  const updated = { id, collection: collectionName, name: character.name }
+
+  await saveCollectionBinding(character, updated)
+  await ensureNameAlias(updated, character.name)
+  return updated
 }
 
 // ============================================================================
-// GENERATION INTERCEPTOR
+// EMBEDDING INSTRUCTION TEMPLATES
 // ============================================================================
 
-// FIXED: Prevent duplicate memory injection
-globalThis.qdrantMemoryInterceptor = async (chat, contextSize, abort, type) => {
-  if (!settings.enabled) {
-    if (settings.debugMode) {
-      console.log("[Qdrant Memory] Extension disabled, skipping")
-    }
-    return
-  }
+// Asymmetric embedders are trained with different prefixes for search queries
+// and for the documents being searched. The template is applied in
+// generateEmbeddings, so every save, index, sync and search path agrees, and
+// its version is stored with each memory so a change can be detected later.
+// Bump a preset's version whenever its strings change.
+const EMBEDDING_TEMPLATE_PRESETS = {
+  none: { label: "None", version: 1, query: "", document: "" },
+  nomic: { label: "Nomic (search_query / search_document)", version: 1, query: "search_query: ", document: "search_document: " },
+  e5: { label: "E5 (query / passage)", version: 1, query: "query: ", document: "passage: " },
+  bge: {
+    label: "BGE (query instruction)",
+    version: 1,
+    query: "Represent this sentence for searching relevant passages: ",
+    document: "",
+  },
+  mxbai: {
+    label: "mxbai (query instruction)",
+    version: 1,
+    query: "Represent this sentence for searching relevant passages: ",
+    document: "",
+  },
+  qwen3: {
+    label: "Qwen3-Embedding (Instruct / Query)",
+    version: 1,
+    query: "Instruct: Given a roleplay chat message, retrieve past conversation excerpts relevant to it\nQuery:",
+    document: "",
+  },
+  gemma: {
+    label: "EmbeddingGemma (task / title)",
+    version: 1,
+    query: "task: search result | query: ",
+    document: "title: none | text: ",
+  },
+}
 
-  // NEW: Use chat hash instead of WeakMap
-  if (settings.preventDuplicateInjection) {
-    const chatHash = getChatHash(chat)
-    
-    if (memoryInjectionTracker.has(chatHash)) {
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] Memories already injected for this chat state, skipping")
-      }
-      return
-    }
-    
-    // Mark this chat state as having memories injected
-    memoryInjectionTracker.add(chatHash)
-    
-    // Clean up old hashes to prevent memory leaks (keep last 50)
-    if (memoryInjectionTracker.size > 50) {
-      const oldestHash = memoryInjectionTracker.values().next().value
-      memoryInjectionTracker.delete(oldestHash)
-    }
+// Providers with their own query/document switch (input_type, taskType)
+const INPUT_TYPE_PROVIDERS = ["cohere", "gemini", "voyage"]
+
+// Preset that suits a target's model, for the "auto" setting. Providers with
+// their own query/document switch need no prefixes.
+function detectEmbeddingTemplate(target = getPrimaryEmbeddingTarget()) {
+  if (INPUT_TYPE_PROVIDERS.includes(target.provider)) return "none"
+
+  // Local endpoints and KoboldCpp only know the model name the user typed in;
+  // without one there is nothing to detect from
+  const model = getEmbeddingModelIdentity(target) || ""
+  if (model.includes("nomic-embed")) return "nomic"
+  if (/(^|[/_-])e5-/.test(model)) return "e5"
+  if (model.includes("mxbai-embed")) return "mxbai"
+  if (model.includes("qwen3-embedding")) return "qwen3"
+  if (model.includes("embeddinggemma")) return "gemma"
+  if (/bge-(small|base|large)/.test(model)) return "bge"
+  return "none"
+}
+
+// The template in effect: `{ id, query, document, version }`, where `version`
+// is what gets recorded in payloads. `target` only matters for "auto".
+function resolveEmbeddingTemplate(target = getPrimaryEmbeddingTarget()) {
+  if (settings.embeddingTemplate === "custom") {
+    const query = settings.customQueryPrefix || ""
+    const document = settings.customDocumentPrefix || ""
+    const hash = bytesToHex(sha1(new TextEncoder().encode(`${query}\n${document}`))).slice(0, 8)
+    return { id: "custom", query, document, version: query || document ? `custom@${hash}` : "none" }
   }
 
-  try {
-    const context = getContext()
-    const characterName = context.name2
+  const id = EMBEDDING_TEMPLATE_PRESETS[settings.embeddingTemplate] ? settings.embeddingTemplate : detectEmbeddingTemplate(target)
+  const preset = EMBEDDING_TEMPLATE_PRESETS[id]
+  return { id, query: preset.query, document: preset.document, version: id === "none" ? "none" : `${id}@${preset.version}` }
+}
 
-    // Skip if no character is selected
-    if (!characterName) {
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] No character selected, skipping")
-      }
-      return
-    }
+function getEmbeddingTemplateVersion() {
+  return resolveEmbeddingTemplate().version
+}
 
-    // Find the last user message to use as the query
-    const lastUserMsg = chat
-      .slice()
-      .reverse()
-      .find((msg) => msg.is_user)
-    if (!lastUserMsg || !lastUserMsg.mes) {
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] No user message found, skipping")
-      }
-      return
-    }
+function applyEmbeddingTemplate(text, purpose, template = resolveEmbeddingTemplate()) {
+  const prefix = purpose === "query" ? template.query : template.document
+  return prefix ? `${prefix}${text}` : text
+}
 
-    const query = lastUserMsg.mes
+// ============================================================================
+// EMBEDDING CACHE
+// ============================================================================
 
-    if (settings.debugMode) {
-      console.log("[Qdrant Memory] Generation interceptor triggered")
-      console.log("[Qdrant Memory] Type:", type)
+// Content-addressed cache of embedding vectors in IndexedDB, so regenerating,
+// swiping and re-indexing do not pay for the same text twice. Entries are keyed
+// by a hash of the model fingerprint and the text, and the least recently used
+// ones are evicted once the cache grows past its limit.
+
+const EMBEDDING_CACHE_DB_NAME = `${extensionName}-embedding-cache`
+const EMBEDDING_CACHE_DB_VERSION = 1
+
+// Lookups served from / missing in the cache this session
+const embeddingCacheStats = { hits: 0, misses: 0 }
+
+function openEmbeddingCache() {
+  return openDatabase(EMBEDDING_CACHE_DB_NAME, EMBEDDING_CACHE_DB_VERSION, (db) => {
+    if (!db.objectStoreNames.contains("entries")) {
+      const entries = db.createObjectStore("entries", { keyPath: "key" })
+      entries.createIndex("lastUsed", "lastUsed")
+    }
+  })
+}
+
+// Everything that decides which vector a text gets. It is part of every cache
+// key, so switching models misses instead of returning the old vectors, and
+// switching back finds them again. Providers that detect their size only use
+// the requested reduction, since the detected size comes from the model and
+// fills in after the first response, which would orphan the first entries.
+function getEmbeddingFingerprint() {
+  const provider = settings.embeddingProvider || "openai"
+  const dimensions = providerDetectsDimensions(provider) ? getReducedDimensions() : getEmbeddingDimensions()
+  const parts = [provider, settings.embeddingModel, dimensions ?? ""]
+  // Custom endpoints often ignore the model name, so the URL identifies the model
+  if (provider === "local") {
+    parts.push((settings.localEmbeddingUrl || "").trim())
+  } else if (provider === "koboldcpp") {
+    parts.push(getKoboldCppUrl())
+  }
+  return parts.join("|")
+}
+
+function isEmbeddingCacheEnabled() {
+  return Boolean(settings.embeddingCacheEnabled && window.indexedDB)
+}
+
+// Queries and documents are cached apart, since some providers embed them
+// differently. Documents keep the key used before queries were told apart, so
+// vectors cached back then are still found.
+function getEmbeddingCacheKey(fingerprint, purpose, text) {
+  const key = purpose === "document" ? `${fingerprint}\n${text}` : `${fingerprint}\n${purpose}\n${text}`
+  return bytesToHex(sha1(new TextEncoder().encode(key)))
+}
+
+// Open the cache along with the fingerprint of the current model. Entries of
+// other models stay put and age out through the LRU limit.
+async function getEmbeddingCache() {
+  const db = await openEmbeddingCache()
+  return { db, fingerprint: getEmbeddingFingerprint() }
+}
+
+// Cached vectors aligned with `texts`; entries are null where nothing is cached
+async function getCachedEmbeddings(texts, purpose) {
+  const vectors = texts.map(() => null)
+  if (!isEmbeddingCacheEnabled()) return vectors
+
+  try {
+    const { db, fingerprint } = await getEmbeddingCache()
+    const dimensions = getEmbeddingDimensions()
+    const transaction = db.transaction("entries", "readwrite")
+    const store = transaction.objectStore("entries")
+    const now = Date.now()
+
+    texts.forEach((text, index) => {
+      store.get(getEmbeddingCacheKey(fingerprint, purpose, text)).onsuccess = (event) => {
+        const entry = event.target.result
+        if (!entry || (dimensions && entry.vector.length !== dimensions)) return
+        vectors[index] = Array.from(entry.vector)
+        entry.lastUsed = now
+        store.put(entry)
+      }
+    })
+    await idbTransactionDone(transaction)
+  } catch (error) {
+    console.warn("[Qdrant Memory] Embedding cache lookup failed:", error)
+  }
+
+  const hits = vectors.filter(Boolean).length
+  embeddingCacheStats.hits += hits
+  embeddingCacheStats.misses += texts.length - hits
+  updateEmbeddingCacheStatsUI()
+
+  return vectors
+}
+
+// Remember freshly generated vectors. `fingerprint` is the one in effect when
+// they were requested; if the model changed meanwhile they are not cached.
+async function storeCachedEmbeddings(texts, vectors, fingerprint, purpose) {
+  if (!isEmbeddingCacheEnabled() || fingerprint !== getEmbeddingFingerprint()) return
+
+  const entries = texts
+    .map((text, index) => ({ text, vector: vectors[index] }))
+    .filter((entry) => Array.isArray(entry.vector))
+  if (entries.length === 0) return
+
+  try {
+    const { db } = await getEmbeddingCache()
+    const transaction = db.transaction("entries", "readwrite")
+    const store = transaction.objectStore("entries")
+    const now = Date.now()
+    for (const { text, vector } of entries) {
+      store.put({ key: getEmbeddingCacheKey(fingerprint, purpose, text), vector: Float32Array.from(vector), lastUsed: now })
+    }
+    await idbTransactionDone(transaction)
+
+    await evictEmbeddingCache(db)
+  } catch (error) {
+    console.warn("[Qdrant Memory] Could not write to the embedding cache:", error)
+  }
+
+  updateEmbeddingCacheStatsUI()
+}
+
+// Drop the least recently used entries beyond the configured limit
+async function evictEmbeddingCache(db) {
+  const limit = Math.max(0, Number.parseInt(settings.embeddingCacheMaxEntries, 10) || 0)
+  let excess = (await idbRequest(db.transaction("entries").objectStore("entries").count())) - limit
+  if (excess <= 0) return
+
+  const transaction = db.transaction("entries", "readwrite")
+  const store = transaction.objectStore("entries")
+  await idbIterate(store.index("lastUsed").openCursor(), (entry) => {
+    store.delete(entry.key)
+    excess -= 1
+    return excess > 0
+  })
+  await idbTransactionDone(transaction)
+
+  if (settings.debugMode) {
+    console.log(`[Qdrant Memory] Evicted old embeddings to keep the cache at ${limit} entries`)
+  }
+}
+
+async function clearEmbeddingCache() {
+  const db = await openEmbeddingCache()
+  const transaction = db.transaction("entries", "readwrite")
+  transaction.objectStore("entries").clear()
+  await idbTransactionDone(transaction)
+
+  embeddingCacheStats.hits = 0
+  embeddingCacheStats.misses = 0
+}
+
+async function countCachedEmbeddings() {
+  const db = await openEmbeddingCache()
+  return await idbRequest(db.transaction("entries").objectStore("entries").count())
+}
+
+// Refresh the cache statistics line in the settings panel, if it is open
+async function updateEmbeddingCacheStatsUI() {
+  const $stats = window.$?.("#qdrant_embedding_cache_stats")
+  if (!$stats?.length) return
+
+  if (!window.indexedDB) {
+    $stats.text("IndexedDB is not available in this browser")
+    return
+  }
+
+  const entries = await countCachedEmbeddings().catch(() => null)
+  const { hits, misses } = embeddingCacheStats
+  const lookups = hits + misses
+  const hitRate = lookups > 0 ? ` (${Math.round((hits / lookups) * 100)}% hit rate)` : ""
+  $stats.text(
+    `${entries ?? "?"} of ${settings.embeddingCacheMaxEntries} cached · ${hits} hits, ${misses} misses this session${hitRate}`,
+  )
+}
+
+// ============================================================================
+// EMBEDDING PROVIDER FALLBACK
+// ============================================================================
+
+// When the primary provider cannot embed (outage, rate limit, paused circuit
+// breaker), the texts it failed on go down an ordered list of fallback
+// providers. A fallback is only used when its vectors can share collections
+// with the primary's: the same model, under whatever name that provider gives
+// it, told queries from documents the same way, and the same dimensions. Each
+// provider has its own circuit breaker.
+
+// Provider -> { served, failed, lastServedAt, lastError } for this session
+const embeddingProviderStats = new Map()
+
+// The configured provider and model. Local endpoints and KoboldCpp are not
+// chosen from a model list, so the model name the user gave is sent instead.
+function getPrimaryEmbeddingTarget() {
+  const provider = settings.embeddingProvider || "openai"
+  const localModel = (settings.localEmbeddingModel || "").trim()
+  const model = providerDetectsDimensions(provider) && localModel ? localModel : settings.embeddingModel
+  return { provider, model, primary: true }
+}
+
+// Configured fallbacks in the order they are tried
+function getFallbackTargets() {
+  return (settings.embeddingFallbacks || [])
+    .filter((entry) => entry?.provider)
+    .map((entry) => ({ provider: entry.provider, model: (entry.model || "").trim(), primary: false }))
+}
+
+// Model behind a target, named the same whichever provider serves it
+// ("openai/text-embedding-3-large" on OpenRouter is "text-embedding-3-large").
+// Null when it is not known, e.g. a local endpoint without a model name.
+function getEmbeddingModelIdentity(target) {
+  const declared =
+    target.primary && providerDetectsDimensions(target.provider) ? settings.localEmbeddingModel : target.model
+  let name = String(declared || "").trim().toLowerCase()
+  if (target.provider === "openrouter") {
+    name = name.slice(name.indexOf("/") + 1)
+  }
+  return name.replace(/:latest$/, "") || null
+}
+
+// Why a fallback cannot stand in for the primary provider, or null if it can
+function getFallbackIncompatibility(target) {
+  const primary = getPrimaryEmbeddingTarget()
+  if (target.provider === primary.provider) {
+    return "it is the primary provider"
+  }
+
+  const configError = getEmbeddingProviderError(target)
+  if (configError) {
+    return configError
+  }
+
+  const identity = getEmbeddingModelIdentity(primary)
+  if (!identity) {
+    return "the primary provider's model name is not set"
+  }
+  if (getEmbeddingModelIdentity(target) !== identity) {
+    return `it serves ${target.model || "an unnamed model"}, not ${identity}`
+  }
+
+  // The same model gives other query vectors with and without a task type,
+  // e.g. Gemini natively versus through OpenRouter
+  const convention = getEmbeddingConvention(primary)
+  if (getEmbeddingConvention(target) !== convention) {
+    return `it embeds with ${getEmbeddingConvention(target)}, not ${convention}`
+  }
+
+  // A fallback's vectors could not be checked against a size the primary has
+  // not reported yet; it learns it from its first response
+  const expected = getEmbeddingDimensions(primary)
+  if (!expected) {
+    return "the primary provider's dimensions are not known until it has answered once"
+  }
+
+  // Unknown sizes (local endpoints) are checked on every response instead
+  const dimensions = getEmbeddingDimensions(target)
+  if (dimensions && dimensions !== expected) {
+    return `it returns ${dimensions} dimensions, not ${expected}`
+  }
+  return null
+}
+
+// How a target tells search queries from documents: the provider's own input
+// type switch, or the prefixes of the template in front of the text
+function getEmbeddingConvention(target) {
+  if (INPUT_TYPE_PROVIDERS.includes(target.provider)) {
+    return `${EMBEDDING_PROVIDER_LABELS[target.provider]} input types`
+  }
+  const { version } = resolveEmbeddingTemplate(target)
+  return version === "none" ? "no prefixes" : `${version} prefixes`
+}
+
+// Primary provider first, then the fallbacks that are compatible with it
+function getEmbeddingTargets() {
+  return [getPrimaryEmbeddingTarget(), ...getFallbackTargets().filter((target) => !getFallbackIncompatibility(target))]
+}
+
+// Circuit breaker key for a provider
+function getEmbeddingService(target) {
+  return `embedding:${target.provider}`
+}
+
+function describeEmbeddingTarget(target) {
+  const label = EMBEDDING_PROVIDER_LABELS[target.provider] || target.provider
+  return target.model && !(target.primary && target.provider === "koboldcpp") ? `${label} (${target.model})` : label
+}
+
+function recordEmbeddingProviderUse(target, served, failed, error) {
+  const stats = embeddingProviderStats.get(target.provider) || { served: 0, failed: 0, lastServedAt: 0, lastError: null }
+  stats.served += served
+  stats.failed += failed
+  if (served > 0) {
+    stats.lastServedAt = Date.now()
+  }
+  if (failed > 0) {
+    stats.lastError = error || getServiceHealth(getEmbeddingService(target)).lastError
+  }
+  embeddingProviderStats.set(target.provider, stats)
+  updateEmbeddingProviderStatusUI()
+}
+
+// Embed texts with the primary provider and pass whatever it could not embed
+// down the fallback chain. Returns vectors aligned with `texts`, null where
+// no provider managed.
+async function requestEmbeddingsWithFallback(texts, purpose, requestOptions = {}) {
+  const vectors = texts.map(() => null)
+  const expectedDimensions = getEmbeddingDimensions()
+  let pending = texts.map((text, index) => index)
+
+  for (const target of getEmbeddingTargets()) {
+    if (pending.length === 0) break
+    // A paused provider would refuse every request; go straight to the next one
+    if (!isServiceAvailable(getEmbeddingService(target))) continue
+
+    const batchLimit = EMBEDDING_BATCH_LIMITS[target.provider] || pending.length
+    const results = []
+    for (let start = 0; start < pending.length; start += batchLimit) {
+      const batch = pending.slice(start, start + batchLimit).map((index) => texts[index])
+      results.push(...(await requestEmbeddings(batch, purpose, target, requestOptions)))
+    }
+
+    let served = 0
+    let error = null
+    pending = pending.filter((textIndex, position) => {
+      const vector = results[position]
+      if (!Array.isArray(vector)) return true
+
+      // The primary decides the dimensions; a fallback has to match them
+      if (!target.primary && vector.length !== expectedDimensions) {
+        error = `returned ${vector.length} dimensions instead of ${expectedDimensions}`
+        return true
+      }
+
+      vectors[textIndex] = vector
+      served++
+      return false
+    })
+
+    const label = describeEmbeddingTarget(target)
+    recordEmbeddingProviderUse(target, served, results.length - served, error)
+    if (error) {
+      console.warn(`[Qdrant Memory] Fallback provider ${label} ${error}; its vectors were discarded`)
+    }
+    if (served > 0 && !target.primary) {
+      console.warn(`[Qdrant Memory] ${served} embedding(s) served by fallback provider ${label}`)
+    } else if (served > 0 && settings.debugMode) {
+      console.log(`[Qdrant Memory] ${served} embedding(s) served by ${label}`)
+    }
+  }
+
+  // Say why fallbacks that were set up did not step in
+  if (pending.length > 0) {
+    for (const target of getFallbackTargets()) {
+      const problem = getFallbackIncompatibility(target)
+      if (problem) {
+        console.warn(`[Qdrant Memory] Fallback provider ${describeEmbeddingTarget(target)} was not tried: ${problem}`)
+      }
+    }
+  }
+
+  return vectors
+}
+
+// Show each provider in the chain, whether it can be used and what it served
+function updateEmbeddingProviderStatusUI() {
+  const $status = window.$?.("#qdrant_embedding_provider_status")
+  if (!$status?.length) return
+
+  const lines = [getPrimaryEmbeddingTarget(), ...getFallbackTargets()].map((target) => {
+    const label = `${describeEmbeddingTarget(target)}${target.primary ? " [primary]" : ""}`
+    const problem = target.primary ? null : getFallbackIncompatibility(target)
+    if (problem) {
+      return `${label}: not used, ${problem}`
+    }
+
+    const stats = embeddingProviderStats.get(target.provider)
+    if (!stats) {
+      return `${label}: not used yet`
+    }
+    const parts = [`${stats.served} served`]
+    if (stats.lastServedAt) parts.push(`last at ${new Date(stats.lastServedAt).toLocaleTimeString()}`)
+    if (stats.failed) parts.push(`${stats.failed} failed${stats.lastError ? ` (${stats.lastError})` : ""}`)
+    return `${label}: ${parts.join(", ")}`
+  })
+
+  $status.text(lines.join("\n"))
+}
+
+// ============================================================================
+// EMBEDDING GENERATION
+// ============================================================================
+
+// Providers that rejected an array `input`, keyed by provider and URL, so the
+// per-item fallback is only probed once per session
+const batchEmbeddingUnsupported = new Set()
+
+// Most inputs a provider accepts in one request; larger batches are split
+const EMBEDDING_BATCH_LIMITS = {
+  cohere: 96,
+  gemini: 100,
+  voyage: 1000,
+}
+
+// KoboldCpp server used by the KoboldCpp provider: the extension's override,
+// or the server configured for KoboldCpp in SillyTavern's Text Completion API
+function getKoboldCppUrl() {
+  const override = (settings.koboldCppUrl || "").trim()
+  if (override) return override
+  return (getContext()?.textCompletionSettings?.server_urls?.koboldcpp || "").trim()
+}
+
+// Build the URL, headers and body for an embedding request. `input` may be a
+// single string or an array of strings. `purpose` ("query" or "document") is
+// passed on to providers that embed search queries differently from documents.
+// `target` picks the provider and model, the primary one unless falling back.
+function buildEmbeddingRequest(input, purpose = "document", target = getPrimaryEmbeddingTarget()) {
+  const { provider, model } = target
+  let url = "https://api.openai.com/v1/embeddings"
+  const headers = {
+    "Content-Type": "application/json",
+  }
+  let body = {
+    model,
+    input,
+  }
+
+  if (provider === "openai") {
+    headers.Authorization = `Bearer ${settings.openaiApiKey}`
+  } else if (provider === "openrouter") {
+    url = "https://openrouter.ai/api/v1/embeddings"
+    headers.Authorization = `Bearer ${settings.openRouterApiKey}`
+    if (window?.location?.origin) {
+      headers["HTTP-Referer"] = window.location.origin
+    }
+    if (document?.title) {
+      headers["X-Title"] = document.title
+    }
+  } else if (provider === "ollama") {
+    url = `${settings.ollamaUrl.trim().replace(/\/+$/, "")}/api/embed`
+  } else if (provider === "cohere") {
+    url = "https://api.cohere.com/v2/embed"
+    headers.Authorization = `Bearer ${settings.cohereApiKey.trim()}`
+    body = {
+      model,
+      texts: [].concat(input),
+      input_type: purpose === "query" ? "search_query" : "search_document",
+      embedding_types: ["float"],
+    }
+  } else if (provider === "gemini") {
+    const modelPath = `models/${model}`
+    const taskType = purpose === "query" ? "RETRIEVAL_QUERY" : "RETRIEVAL_DOCUMENT"
+    headers["x-goog-api-key"] = settings.geminiApiKey.trim()
+    if (Array.isArray(input)) {
+      url = `https://generativelanguage.googleapis.com/v1beta/${modelPath}:batchEmbedContents`
+      body = { requests: input.map((text) => ({ model: modelPath, content: { parts: [{ text }] }, taskType })) }
+    } else {
+      url = `https://generativelanguage.googleapis.com/v1beta/${modelPath}:embedContent`
+      body = { content: { parts: [{ text: input }] }, taskType }
+    }
+  } else if (provider === "voyage") {
+    url = "https://api.voyageai.com/v1/embeddings"
+    headers.Authorization = `Bearer ${settings.voyageApiKey.trim()}`
+    body.input_type = purpose === "query" ? "query" : "document"
+  } else if (provider === "koboldcpp") {
+    // Goes through SillyTavern's KoboldCpp passthrough, which needs no key here.
+    // SillyTavern's own vector sources embed and store on the server and have
+    // no endpoint that returns the vectors, so they cannot be used.
+    url = "/api/backends/kobold/embed"
+    Object.assign(headers, getSillyTavernHeaders())
+    body = { server: getKoboldCppUrl(), items: [].concat(input) }
+  } else if (provider === "local") {
+    url = settings.localEmbeddingUrl.trim()
+    if (settings.localEmbeddingApiKey && settings.localEmbeddingApiKey.trim()) {
+      headers.Authorization = `Bearer ${settings.localEmbeddingApiKey.trim()}`
+    }
+  } else {
+    console.error(`[Qdrant Memory] Unsupported embedding provider: ${provider}`)
+    return null
+  }
+
+  // Ask for shorter vectors where the API can produce them
+  const reduced = getReducedDimensions()
+  const reduction = getDimensionReduction(target)
+  if (reduced && reduction?.mode === "request") {
+    const targets = Array.isArray(body.requests) ? body.requests : [body]
+    targets.forEach((target) => {
+      target[reduction.field] = reduced
+    })
+  }
+
+  return { provider, url, headers, body }
+}
+
+// Extract the list of vectors from an embedding response, in input order
+function parseEmbeddingResponse(data, provider) {
+  if (provider === "cohere") {
+    const vectors = data?.embeddings?.float
+    return Array.isArray(vectors) && vectors.length > 0 && vectors.every(Array.isArray) ? vectors : null
+  }
+
+  if (provider === "gemini") {
+    const items = Array.isArray(data?.embeddings) ? data.embeddings : data?.embedding ? [data.embedding] : []
+    const vectors = items.map((item) => item?.values)
+    return vectors.length > 0 && vectors.every(Array.isArray) ? vectors : null
+  }
+
+  if (Array.isArray(data?.data)) {
+    const items = data.data.every((item) => Number.isFinite(item?.index))
+      ? [...data.data].sort((a, b) => a.index - b.index)
+      : data.data
+    const vectors = items.map((item) => item?.embedding ?? item?.vector)
+    if (vectors.length > 0 && vectors.every(Array.isArray)) {
+      return vectors
+    }
+  }
+
+  if (Array.isArray(data?.embedding) && !Array.isArray(data.embedding[0])) {
+    return [data.embedding]
+  }
+
+  if (Array.isArray(data?.embeddings)) {
+    if (Array.isArray(data.embeddings[0])) {
+      return data.embeddings
+    }
+    if (data.embeddings.length > 0 && !Array.isArray(data.embeddings[0])) {
+      return [data.embeddings]
+    }
+  }
+
+  return null
+}
+
+// Generate embedding using the configured provider, from the cache when the
+// same text was embedded before. `purpose` is "document" for text being stored
+// and "query" for search queries.
+async function generateEmbedding(text, purpose = "document") {
+  return (await generateEmbeddings([text], purpose))[0]
+}
+
+// Request one embedding from the configured provider
+async function requestEmbedding(text, purpose, target = getPrimaryEmbeddingTarget(), requestOptions = {}) {
+  try {
+    const request = buildEmbeddingRequest(text, purpose, target)
+    if (!request) return null
+
+    const response = await fetchWithRetry(
+      request.url,
+      {
+        method: "POST",
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+      },
+      { service: getEmbeddingService(target), ...requestOptions },
+    )
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      console.error(
+        `[Qdrant Memory] ${request.provider} embedding API error:`,
+        response.statusText,
+        errorData
+      )
+      return null
+    }
+
+    const data = await response.json()
+    const embeddingVector = reduceEmbedding(parseEmbeddingResponse(data, request.provider)?.[0], target)
+
+    if (!Array.isArray(embeddingVector)) {
+      console.error("[Qdrant Memory] Unable to parse embedding response", data)
+      return null
+    }
+
+    if (target.primary) {
+      updateLocalEmbeddingDimensions(embeddingVector)
+    }
+
+    return embeddingVector
+  } catch (error) {
+    console.error("[Qdrant Memory] Error generating embedding:", error)
+    return null
+  }
+}
+
+// Embed one item at a time; used when the provider does not accept arrays
+async function generateEmbeddingsSequentially(texts, purpose, target, requestOptions = {}) {
+  const vectors = []
+  for (const text of texts) {
+    vectors.push(await requestEmbedding(text, purpose, target, requestOptions))
+  }
+  return vectors
+}
+
+// Generate embeddings for many texts, taking what it can from the cache and
+// requesting the rest in one batch. Returns an array aligned with `texts`;
+// entries are null for texts that could not be embedded. `requestOptions`
+// (timeoutMs, retries) override the defaults of fetchWithRetry.
+async function generateEmbeddings(texts, purpose = "document", requestOptions = {}) {
+  if (!Array.isArray(texts) || texts.length === 0) return []
+
+  const providerError = getEmbeddingProviderError()
+  if (providerError) {
+    console.error(`[Qdrant Memory] ${providerError}`)
+    return texts.map(() => null)
+  }
+
+  const template = resolveEmbeddingTemplate()
+  const inputs = texts.map((text) => applyEmbeddingTemplate(text, purpose, template))
+
+  const fingerprint = getEmbeddingFingerprint()
+  const vectors = await getCachedEmbeddings(inputs, purpose)
+  const missing = [...new Set(inputs.filter((input, index) => !vectors[index]))]
+  if (missing.length === 0) {
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] Served ${inputs.length} embedding(s) from the cache`)
+    }
+    return vectors
+  }
+
+  const fresh = await requestEmbeddingsWithFallback(missing, purpose, requestOptions)
+  await storeCachedEmbeddings(missing, fresh, fingerprint, purpose)
+
+  const freshByInput = new Map(missing.map((input, index) => [input, fresh[index]]))
+  return inputs.map((input, index) => vectors[index] ?? freshByInput.get(input) ?? null)
+}
+
+// Whether a rejected batch failed on its size (a 413, or a token or context
+// limit named in the error) rather than on being a batch
+function isEmbeddingBatchTooLarge(status, errorData) {
+  if (status === 413) return true
+  if (![400, 422].includes(status)) return false
+  return /token|context.?length|too (long|large|many)|max(imum)?[ _-]?(input|length|batch)|exceed/i.test(
+    JSON.stringify(errorData ?? ""),
+  )
+}
+
+// Request embeddings for many texts in one call, falling back to one request
+// per text if the provider does not accept an array
+async function requestEmbeddings(texts, purpose, target = getPrimaryEmbeddingTarget(), requestOptions = {}) {
+  if (texts.length === 1) {
+    return [await requestEmbedding(texts[0], purpose, target, requestOptions)]
+  }
+
+  const request = buildEmbeddingRequest(texts, purpose, target)
+  if (!request) return texts.map(() => null)
+
+  const batchKey = `${request.provider}|${request.url}`
+  if (batchEmbeddingUnsupported.has(batchKey)) {
+    return generateEmbeddingsSequentially(texts, purpose, target, requestOptions)
+  }
+
+  try {
+    const response = await fetchWithRetry(
+      request.url,
+      {
+        method: "POST",
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+      },
+      { service: getEmbeddingService(target), ...requestOptions },
+    )
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+
+      // The batch was too big (too many tokens or too large a body), not
+      // unsupported: send it again in two halves
+      if (isEmbeddingBatchTooLarge(response.status, errorData)) {
+        console.warn(
+          `[Qdrant Memory] ${request.provider} rejected a batch of ${texts.length} as too large (${response.status}), splitting it`,
+          errorData,
+        )
+        const middle = Math.ceil(texts.length / 2)
+        return [
+          ...(await requestEmbeddings(texts.slice(0, middle), purpose, target, requestOptions)),
+          ...(await requestEmbeddings(texts.slice(middle), purpose, target, requestOptions)),
+        ]
+      }
+
+      // These statuses usually mean the endpoint does not accept an array input
+      if ([400, 404, 405, 415, 422].includes(response.status)) {
+        console.warn(
+          `[Qdrant Memory] ${request.provider} rejected batched embeddings (${response.status}), falling back to per-item requests`,
+          errorData,
+        )
+        batchEmbeddingUnsupported.add(batchKey)
+        return generateEmbeddingsSequentially(texts, purpose, target, requestOptions)
+      }
+
+      console.error(
+        `[Qdrant Memory] ${request.provider} batch embedding API error:`,
+        response.statusText,
+        errorData
+      )
+      return texts.map(() => null)
+    }
+
+    const data = await response.json()
+    const vectors = parseEmbeddingResponse(data, request.provider)?.map((vector) => reduceEmbedding(vector, target))
+
+    if (!vectors || vectors.length !== texts.length) {
+      console.warn(
+        `[Qdrant Memory] Batch embedding response had ${vectors?.length ?? 0} vectors for ${texts.length} inputs, falling back to per-item requests`,
+      )
+      batchEmbeddingUnsupported.add(batchKey)
+      return generateEmbeddingsSequentially(texts, purpose, target, requestOptions)
+    }
+
+    if (target.primary) {
+      updateLocalEmbeddingDimensions(vectors[0])
+    }
+
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] Generated ${vectors.length} embeddings in one request`)
+    }
+
+    return vectors
+  } catch (error) {
+    console.error("[Qdrant Memory] Error generating batch embeddings:", error)
+    return texts.map(() => null)
+  }
+}
+
+// ============================================================================
+// SPARSE (BM25-STYLE) VECTORS
+// ============================================================================
+
+// BM25 term-frequency saturation parameters. IDF is applied by Qdrant through
+// the sparse vector's `idf` modifier, which keeps document-frequency stats for
+// the whole collection up to date as points are added or removed.
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+const BM25_AVG_DOC_LENGTH = 256
+const RRF_K = 60
+
+const SPARSE_STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "if", "in", "into", "is", "it",
+  "of", "on", "or", "so", "that", "the", "their", "then", "there", "these", "they", "this", "to",
+  "was", "were", "will", "with",
+])
+
+// Lowercased word tokens; keeps letters and digits from any script so names
+// and invented words survive
+function tokenizeForSparse(text) {
+  const tokens = (text || "")
+    .toLowerCase()
+    .normalize("NFKC")
+    .match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || []
+
+  return tokens.filter((token) => token.length > 1 && !SPARSE_STOPWORDS.has(token))
+}
+
+// 32-bit FNV-1a hash, used as the sparse vector dimension for a token
+function hashToken(token) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// Build a sparse vector for Qdrant. Documents get BM25 term-frequency weights;
+// queries weigh every distinct term equally and let IDF do the ranking.
+function buildSparseVector(text, purpose) {
+  const tokens = tokenizeForSparse(text)
+  const counts = new Map()
+
+  tokens.forEach((token) => {
+    const index = hashToken(token)
+    counts.set(index, (counts.get(index) || 0) + 1)
+  })
+
+  const indices = []
+  const values = []
+  const lengthNorm = 1 - BM25_B + BM25_B * (tokens.length / BM25_AVG_DOC_LENGTH)
+
+  counts.forEach((count, index) => {
+    indices.push(index)
+    if (purpose === "query") {
+      values.push(1)
+    } else {
+      values.push((count * (BM25_K1 + 1)) / (count + BM25_K1 * lengthNorm))
+    }
+  })
+
+  return { indices, values }
+}
+
+// Weighted reciprocal rank fusion of the dense and sparse result lists.
+// Scores are normalized so a point ranked first in both lists scores 1.0.
+function fuseHybridResults(denseResults, sparseResults, denseWeight) {
+  const weight = Math.min(1, Math.max(0, Number(denseWeight)))
+  const fused = new Map()
+
+  const addResults = (results, listWeight, scoreKey) => {
+    results.forEach((point, rank) => {
+      const key = String(point.id)
+      const entry = fused.get(key) || { ...point, fusedScore: 0 }
+      entry.fusedScore += listWeight / (RRF_K + rank + 1)
+      entry[scoreKey] = point.score
+      fused.set(key, entry)
+    })
+  }
+
+  addResults(denseResults, weight, "denseScore")
+  addResults(sparseResults, 1 - weight, "sparseScore")
+
+  const maxScore = 1 / (RRF_K + 1)
+  return Array.from(fused.values())
+    .map((entry) => ({ ...entry, score: entry.fusedScore / maxScore }))
+    .sort((a, b) => b.score - a.score)
+}
+
+// ============================================================================
+// MEMORY SEARCH AND RETRIEVAL
+// ============================================================================
+
+// NEW: Check if chunk already exists (deduplication)
+async function chunkExistsInCollection(collectionName, embedding, text, dedupeThreshold) {
+  try {
+    const results = await searchPoints(collectionName, {
+      vector: buildSearchVector(collectionName, embedding),
+      limit: 1,
+      score_threshold: dedupeThreshold,
+      with_payload: true,
+    })
+
+    if (results?.length > 0) {
+      if (settings.debugMode) {
+        console.log(`[Qdrant Memory] Found similar chunk with score: ${results[0].score.toFixed(4)}`)
+        console.log(`[Qdrant Memory] Existing: "${results[0].payload?.text?.substring(0, 80)}..."`)
+        console.log(`[Qdrant Memory] New: "${text.substring(0, 80)}..."`)
+      }
+      return true
+    }
+
+    return false
+  } catch (error) {
+    console.warn('[Qdrant Memory] Deduplication check failed:', error)
+    return false
+  }
+}
+
+// Dense-only vector search. Returns null if the request failed.
+async function searchDense(collectionName, embedding, limit, filter, requestOptions = {}) {
+  const searchPayload = {
+    vector: buildSearchVector(collectionName, embedding),
+    limit,
+    score_threshold: settings.scoreThreshold,
+    with_payload: true,
+    with_vector: getCollectionLayout(collectionName).named ? [DENSE_VECTOR_NAME] : true,
+  }
+
+  if (filter) {
+    searchPayload.filter = filter
+  }
+
+  return await searchPoints(collectionName, searchPayload, requestOptions)
+}
+
+// Dense + sparse search through the Query API, fused client-side with
+// weighted RRF. Returns null if the request failed.
+async function searchHybrid(collectionName, embedding, query, limit, filter, requestOptions = {}) {
+  const sparseQuery = buildSparseVector(query, "query")
+  const searches = [
+    {
+      query: embedding,
+      using: DENSE_VECTOR_NAME,
+      limit,
+      score_threshold: settings.scoreThreshold,
+      with_payload: true,
+      with_vector: [DENSE_VECTOR_NAME],
+    },
+  ]
+
+  if (sparseQuery.indices.length > 0) {
+    searches.push({
+      query: sparseQuery,
+      using: SPARSE_VECTOR_NAME,
+      limit,
+      with_payload: true,
+      with_vector: [DENSE_VECTOR_NAME],
+    })
+  }
+
+  if (filter) {
+    searches.forEach((search) => {
+      search.filter = filter
+    })
+  }
+
+  const results = await queryPointsBatch(collectionName, searches, requestOptions)
+  if (!results) {
+    console.error("[Qdrant Memory] Hybrid search failed")
+    return null
+  }
+
+  const [denseResults = [], sparseResults = []] = results
+  const fused = fuseHybridResults(denseResults, sparseResults, settings.hybridDenseWeight)
+
+  if (settings.debugMode) {
+    console.log(
+      `[Qdrant Memory] Hybrid search: ${denseResults.length} dense, ${sparseResults.length} sparse, ${fused.length} fused`,
+    )
+  }
+
+  return fused.slice(0, limit)
+}
+
+// Search Qdrant for relevant memories. `queries` come from
+// buildRetrievalQueries; with more than one, each is searched and a memory
+// keeps its best weighted score.
+async function searchMemories(queries, characterName) {
+  if (!settings.enabled) return []
+
+  try {
+    const collectionName = getCollectionName(characterName)
+    const requestOptions = getRetrievalRequestOptions()
+
+    const embeddings = await embedRetrievalQueries(queries, requestOptions)
+    const dimensions = embeddings.find(Boolean)?.length
+    if (!dimensions) return []
+
+    const collectionReady = await ensureCollection(characterName, dimensions)
+    if (!collectionReady) {
+      if (settings.debugMode) {
+        console.log(`[Qdrant Memory] Collection not ready: ${collectionName}`)
+      }
+      return []
+    }
+
+    // FIXED: Improved retain logic - get ALL message IDs that should be excluded
+    const context = getContext()
+    const chat = context.chat || []
+    const excludedMessageIds = new Set()
+
+    if (settings.retainRecentMessages > 0) {
+      // Get the last N messages
+      const recentMessages = chat.slice(-settings.retainRecentMessages)
+      
+      recentMessages.forEach(msg => {
+        // Create all possible message ID formats this message might have been saved as
+        const normalizedDate = normalizeTimestamp(msg.send_date || Date.now())
+        const msgIndex = chat.indexOf(msg)
+        
+        // Add multiple ID formats to catch all variations
+        excludedMessageIds.add(`${characterName}_${normalizedDate}_${msgIndex}`)
+        excludedMessageIds.add(`${characterName}_${msg.send_date}_${msgIndex}`)
+        
+        if (settings.debugMode && excludedMessageIds.size <= 5) {
+          console.log(`[Qdrant Memory] Excluding message ID: ${characterName}_${normalizedDate}_${msgIndex}`)
+        }
+      })
+
+      if (settings.debugMode) {
+        console.log(`[Qdrant Memory] Excluding ${excludedMessageIds.size} recent message IDs from search`)
+      }
+    }
+
+    const filterConditions = []
+
+    // Add character filter if using shared collection
+    if (!settings.usePerCharacterCollections) {
+      filterConditions.push({
+        key: "character",
+        match: { value: characterName },
+      })
+    }
+
+    // Only add filter if we have conditions
+    const filter = filterConditions.length > 0 ? { must: filterConditions } : null
+    // Fetch a candidate pool for filtering, ranking and MMR to choose from
+    const limit = settings.memoryLimit * getCandidateMultiplier()
+
+    const useHybrid = settings.hybridSearch && getCollectionLayout(collectionName).hybrid
+    if (settings.hybridSearch && !useHybrid && settings.debugMode) {
+      console.log(`[Qdrant Memory] ${collectionName} has no sparse vectors, using dense search only`)
+    }
+
+    const resultsById = new Map()
+    let searched = false
+    for (const [index, query] of queries.entries()) {
+      const embedding = embeddings[index]
+      if (!embedding) continue
+
+      const found = useHybrid
+        ? await searchHybrid(collectionName, embedding, query.text, limit, filter, requestOptions)
+        : await searchDense(collectionName, embedding, limit, filter, requestOptions)
+      if (!found) continue
+      searched = true
+
+      for (const result of found) {
+        const score = result.score * query.weight
+        const existing = resultsById.get(String(result.id))
+        if (!existing || score > existing.score) {
+          resultsById.set(String(result.id), { ...result, score })
+        }
+      }
+    }
+
+    if (!searched) {
+      return []
+    }
+
+    let results = Array.from(resultsById.values()).sort((a, b) => b.score - a.score)
+
+    // FIXED: Filter out chunks that contain any excluded message IDs
+    if (excludedMessageIds.size > 0) {
+      const beforeFilterCount = results.length
+      
+      results = results.filter(memory => {
+        const chunkMessageIds = getPayloadMessageIds(memory.payload)
+        
+        // Check if any of the chunk's message IDs are in the excluded set
+        const hasExcludedMessage = chunkMessageIds.some(id => excludedMessageIds.has(id))
+        
+        if (hasExcludedMessage && settings.debugMode) {
+          console.log(`[Qdrant Memory] Filtered out chunk containing recent message: ${chunkMessageIds.join(",")}`)
+        }
+        
+        return !hasExcludedMessage
+      })
+
+      if (settings.debugMode) {
+        console.log(`[Qdrant Memory] Filtered ${beforeFilterCount - results.length} chunks with recent messages`)
+      }
+    }
+
+    if (settings.rerankEnabled) {
+      const rerankQuery = [...new Set(queries.map((query) => query.text.trim()))].join("\n")
+      results = await rerankMemories(rerankQuery, results)
+    }
+
+    if (settings.rankingEnabled) {
+      results = rankMemories(results)
+    }
+
+    const candidateCount = results.length
+    results = selectDiverseMemories(results, settings.memoryLimit)
+
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] Selected ${results.length} of ${candidateCount} candidates (MMR, lambda ${getMmrLambda()})`)
+    }
+
+    return results
+  } catch (error) {
+    console.error("[Qdrant Memory] Error searching memories:", error)
+    return []
+  }
+}
+
+// Format memories for display
+function formatMemories(memories) {
+  if (!memories || memories.length === 0) return ""
+
+  let formatted = "\n[Past chat memories]\n\n"
+  
+  memories.forEach((memory) => {
+    const payload = normalizePayload(memory.payload)
+
+    const speakerLabel = `Conversation (${payload.speakers.join(", ")})`
+
+    let text = payload.text.replace(/\n/g, " ") // flatten newlines
+
+    // The similarity, not the re-ranked score with recency and the like mixed in
+    const score = ((memory.similarity ?? memory.score) * 100).toFixed(0)
+
+    formatted += `• ${speakerLabel}: "${text}" (score: ${score}%)\n\n`
+  })
+
+  return formatted
+}
+
+// ============================================================================
+// RETRIEVAL QUERY CONSTRUCTION
+// ============================================================================
+
+// Ways to turn the end of the chat into search queries:
+// - last_user: the last user message
+// - window: the last N messages from both sides as one text, newer messages
+//   given more of the room
+// - split: the user's turn and the character's last reply as two queries
+// - average: the last N messages embedded one by one, vectors averaged with
+//   newer messages weighing more
+const QUERY_MODES = {
+  last_user: "Last user message",
+  window: "Recent messages (weighted window)",
+  split: "User and character turns, searched separately",
+  average: "Averaged message embeddings",
+}
+
+// The last `count` messages with text, oldest first
+function getQueryMessages(chat, count) {
+  const messages = []
+  for (let index = chat.length - 1; index >= 0 && messages.length < count; index--) {
+    const message = chat[index]
+    if (message?.is_system || !message?.mes?.trim()) continue
+    messages.unshift(message)
+  }
+  return messages
+}
+
+// Weight of each of `count` messages, oldest first, falling by `decay` per step back
+function getRecencyWeights(count, decay) {
+  const factor = Math.min(1, Math.max(0.05, Number(decay) || 1))
+  return Array.from({ length: count }, (_, index) => factor ** (count - 1 - index))
+}
+
+// The end of `text` that fits in `maxTokens`, starting at a word break
+function takeLastTokens(text, maxTokens) {
+  let clipped = text.trim()
+  let tokens = countTokens(clipped)
+  while (tokens > maxTokens && clipped) {
+    clipped = clipped.slice(clipped.length - Math.floor(((clipped.length * maxTokens) / tokens) * 0.95))
+    const wordBreak = clipped.search(/\s/)
+    if (wordBreak >= 0 && clipped.slice(wordBreak).trim()) {
+      clipped = clipped.slice(wordBreak)
+    }
+    clipped = clipped.trim()
+    tokens = countTokens(clipped)
+  }
+  return clipped
+}
+
+function getQuerySpeaker(message) {
+  return message.name || (message.is_user ? getPersonaName() : getContext().name2) || "Unknown"
+}
+
+// Build the queries for the configured mode from the chat about to be sent.
+// Each query is { label, text, weight }; averaged queries also list the
+// { text, weight } parts whose vectors are combined. Queries are clipped to
+// the chunk size so they match stored text and fit the embedding model.
+function buildRetrievalQueries(chat) {
+  const limit = getChunkTokenLimit()
+
+  if (settings.queryMode === "window") {
+    const messages = getQueryMessages(chat, Math.max(1, Number.parseInt(settings.queryWindowMessages, 10) || 1))
+    if (messages.length === 0) return []
+
+    // Share the room out from the newest message back, so room a short
+    // message leaves unused goes to the older ones
+    const weights = getRecencyWeights(messages.length, settings.queryWindowDecay)
+    let remainingWeight = weights.reduce((sum, weight) => sum + weight, 0)
+    let remainingTokens = limit
+    const lines = []
+    for (let index = messages.length - 1; index >= 0 && remainingTokens > 0; index--) {
+      const room = Math.max(1, Math.floor((remainingTokens * weights[index]) / remainingWeight))
+      const line = `${getQuerySpeaker(messages[index])}: ${takeLastTokens(messages[index].mes, room)}`
+      lines.unshift(line)
+      remainingTokens -= countTokens(line)
+      remainingWeight -= weights[index]
+    }
+    return [{ label: "window", text: lines.join("\n"), weight: 1 }]
+  }
+
+  if (settings.queryMode === "split") {
+    const messages = getQueryMessages(chat, chat.length)
+    const lastReply = messages.findLast((message) => !message.is_user)
+
+    // The user's turn is their run of messages at the end of the chat
+    const userTurn = []
+    for (let index = messages.length - 1; index >= 0 && messages[index].is_user; index--) {
+      userTurn.unshift(messages[index].mes.trim())
+    }
+
+    const queries = []
+    if (userTurn.length > 0) {
+      queries.push({ label: "user turn", text: takeLastTokens(userTurn.join("\n"), limit), weight: 1 })
+    }
+    if (lastReply) {
+      const weight = Math.min(1, Math.max(0, Number(settings.querySplitCharacterWeight) || 0))
+      if (weight > 0) {
+        queries.push({ label: "character turn", text: takeLastTokens(lastReply.mes, limit), weight })
+      }
+    }
+    return queries
+  }
+
+  if (settings.queryMode === "average") {
+    const messages = getQueryMessages(chat, Math.max(1, Number.parseInt(settings.queryAverageMessages, 10) || 1))
+    if (messages.length === 0) return []
+
+    const weights = getRecencyWeights(messages.length, settings.queryAverageDecay)
+    const parts = messages.map((message, index) => ({ text: takeLastTokens(message.mes, limit), weight: weights[index] }))
+    return [{ label: "average", text: parts.map((part) => part.text).join("\n"), weight: 1, parts }]
+  }
+
+  const lastUserMsg = chat.findLast((msg) => msg.is_user && msg.mes)
+  return lastUserMsg ? [{ label: "last user message", text: lastUserMsg.mes, weight: 1 }] : []
+}
+
+// Weighted mean of the vectors that are present, at unit length. A single
+// vector is returned as it is.
+function averageVectors(vectors, weights) {
+  const present = vectors.map((vector, index) => [vector, weights[index]]).filter(([vector]) => vector)
+  if (present.length === 0) return null
+  if (vectors.length === 1) return vectors[0]
+
+  const sum = new Array(present[0][0].length).fill(0)
+  for (const [vector, weight] of present) {
+    vector.forEach((value, index) => {
+      sum[index] += value * weight
+    })
+  }
+  return normalizeVector(sum)
+}
+
+// Embed every query in one request; averaged queries combine their parts
+async function embedRetrievalQueries(queries, requestOptions = {}) {
+  const parts = queries.map((query) => query.parts ?? [{ text: query.text, weight: 1 }])
+  const vectors = await generateEmbeddings(parts.flat().map((part) => part.text), "query", requestOptions)
+
+  let offset = 0
+  return parts.map((queryParts) => {
+    const queryVectors = vectors.slice(offset, offset + queryParts.length)
+    offset += queryParts.length
+    return averageVectors(queryVectors, queryParts.map((part) => part.weight))
+  })
+}
+
+function logRetrievalQueries(queries) {
+  console.log(`[Qdrant Memory] Query mode: ${settings.queryMode}`)
+  for (const query of queries) {
+    console.log(`[Qdrant Memory] Query (${query.label}, weight ${Number(query.weight.toFixed(2))}):\n${query.text}`)
+    query.parts?.forEach((part, index) => {
+      console.log(`[Qdrant Memory]   Part ${index + 1} (weight ${Number(part.weight.toFixed(2))}): ${part.text}`)
+    })
+  }
+}
+
+// ============================================================================
+// QUERY REWRITING
+// ============================================================================
+
+// The chat LLM rewrites the end of the conversation into standalone queries
+// through SillyTavern's background generation (generateRaw, which does not go
+// through the generate interceptors). {{conversation}} and {{count}} are
+// filled in here; other macros such as {{char}} and {{user}} by SillyTavern.
+const DEFAULT_QUERY_REWRITE_PROMPT = `Rewrite the end of this conversation between {{user}} and {{char}} as up to {{count}} short, standalone search queries for finding related past events in the story. Replace pronouns and vague references ("her", "that place", "do it again") with the names and things they refer to. Write one query per line, with no numbering, quotes or other text.
+
+{{conversation}}`
+
+// Chat state + prompt -> pending or finished rewrite (array of queries, or null)
+const queryRewriteCache = new Map()
+const QUERY_REWRITE_CACHE_SIZE = 50
+
+// The rewrite being generated right now; only one is sent at a time
+let queryRewriteInFlight = null
+
+// Room for each requested query in the rewrite's reply
+const QUERY_REWRITE_TOKENS_PER_QUERY = 40
+
+function getQueryRewritePrompt() {
+  return settings.queryRewritePrompt?.trim() || DEFAULT_QUERY_REWRITE_PROMPT
+}
+
+// Send a prompt through SillyTavern's generateRaw. Newer versions take an
+// options object (and declare no positional parameters), which carries the
+// response length for this call only. Older ones take (prompt, api,
+// instructOverride, quietToLoud, systemPrompt) and get no response length,
+// since they would apply it by changing the user's own setting.
+async function generateBackgroundText(prompt, responseLength) {
+  const generateRaw = getContext().generateRaw
+  if (typeof generateRaw !== "function") {
+    throw new Error("This SillyTavern version has no background generation (generateRaw)")
+  }
+
+  if (generateRaw.length === 0) {
+    return await generateRaw({ prompt, responseLength })
+  }
+  return await generateRaw(prompt, null, false, false, "")
+}
+
+// Turn the LLM's reply into queries: one per line, list markers and quotes removed
+function parseRewrittenQueries(reply, maxQueries) {
+  const seen = new Set()
+  return String(reply || "")
+    .split(/\n+/)
+    .map((line) =>
+      line
+        .replace(/^\s*(?:[-*\u2022]|\d+[.)]|query\s*\d*:)\s*/i, "")
+        .replace(/^["'\u201c]+|["'\u201d]+$/g, "")
+        .trim(),
+    )
+    .filter((line) => {
+      const key = line.toLowerCase()
+      if (!line || seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .slice(0, maxQueries)
+}
+
+async function requestQueryRewrite(chat) {
+  const limit = getChunkTokenLimit()
+  const messages = getQueryMessages(chat, Math.max(1, Number.parseInt(settings.queryRewriteMessages, 10) || 1))
+  if (messages.length === 0) return null
+
+  const maxQueries = Math.max(1, Number.parseInt(settings.queryRewriteMaxQueries, 10) || 1)
+  const conversation = messages
+    .map((message) => `${getQuerySpeaker(message)}: ${takeLastTokens(message.mes, limit)}`)
+    .join("\n")
+
+  // Macros are resolved before the chat text goes in, so messages are sent as written
+  const context = getContext()
+  let prompt = getQueryRewritePrompt().replaceAll("{{count}}", String(maxQueries))
+  if (typeof context.substituteParams === "function") {
+    prompt = context.substituteParams(prompt)
+  }
+  prompt = prompt.includes("{{conversation}}")
+    ? prompt.replaceAll("{{conversation}}", conversation)
+    : `${prompt}\n\n${conversation}`
+
+  // The prompt asks for a few short lines; anything past them is dropped here
+  const reply = await generateBackgroundText(prompt, QUERY_REWRITE_TOKENS_PER_QUERY * maxQueries)
+  const queries = parseRewrittenQueries(reply, maxQueries)
+
+  if (settings.debugMode) {
+    console.log("[Qdrant Memory] Query rewrite prompt:\n" + prompt)
+    console.log("[Qdrant Memory] Query rewrite reply:\n" + reply)
+  }
+
+  return queries.length > 0 ? queries : null
+}
+
+// Rewritten queries for this chat state, or null if there are none (rewrite
+// off, failed, too slow or another one still generating). A rewrite that
+// misses the timeout is cached when it finishes, so a regenerate or swipe can
+// still use it. Nothing here waits past the timeout.
+async function getRewrittenQueries(chat) {
+  if (!settings.queryRewrite) return null
+
+  const key = `${getChatHash(chat)}\u0000${settings.queryRewriteMessages}\u0000${settings.queryRewriteMaxQueries}\u0000${getQueryRewritePrompt()}`
+  let pending = queryRewriteCache.get(key)
+  if (!pending && queryRewriteInFlight) {
+    console.warn("[Qdrant Memory] An earlier query rewrite is still generating, using the normal query")
+    return null
+  }
+
+  if (pending) {
+    if (settings.debugMode) {
+      console.log("[Qdrant Memory] Using cached query rewrite for this chat state")
+    }
+  } else {
+    pending = requestQueryRewrite(chat).catch((error) => {
+      console.warn("[Qdrant Memory] Query rewrite failed:", error)
+      queryRewriteCache.delete(key)
+      return null
+    })
+    queryRewriteCache.set(key, pending)
+
+    const inFlight = pending.finally(() => {
+      if (queryRewriteInFlight === inFlight) {
+        queryRewriteInFlight = null
+      }
+    })
+    queryRewriteInFlight = inFlight
+
+    if (queryRewriteCache.size > QUERY_REWRITE_CACHE_SIZE) {
+      queryRewriteCache.delete(queryRewriteCache.keys().next().value)
+    }
+  }
+
+  const timeoutMs = Math.max(500, Number(settings.queryRewriteTimeoutMs) || defaultSettings.queryRewriteTimeoutMs)
+  let timer = null
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(undefined), timeoutMs)
+  })
+  const result = await Promise.race([pending, timedOut])
+  clearTimeout(timer)
+
+  if (result === undefined) {
+    console.warn(`[Qdrant Memory] Query rewrite took longer than ${timeoutMs / 1000}s, using the normal query`)
+    return null
+  }
+  return result
+}
+
+// The queries to search with: the rewritten ones (plus the normal ones if
+// kept), or the normal ones when there is no rewrite
+async function buildSearchQueries(chat) {
+  const queries = buildRetrievalQueries(chat)
+  const rewritten = await getRewrittenQueries(chat)
+  if (!rewritten) return queries
+
+  const rewrittenQueries = rewritten.map((text, index) => ({ label: `rewrite ${index + 1}`, text, weight: 1 }))
+  return settings.queryRewriteKeepOriginal ? [...queries, ...rewrittenQueries] : rewrittenQueries
+}
+
+// ============================================================================
+// RECENCY AND IMPORTANCE RANKING
+// ============================================================================
+
+// Search results are re-scored on the client from a larger candidate set:
+//
+//   score = (similarity + wR * recency + wI * importance + wC * retrieved) / (1 + wR + wI + wC)
+//
+// recency = 0.5 ^ (age in days / half-life), importance is the payload's
+// `importance` (0-1, 0.5 when missing) and retrieved grows with the payload's
+// `retrievalCount` on a log scale, reaching 1 at RETRIEVAL_COUNT_SATURATION.
+// Every term is 0-1, so the score stays comparable to a similarity. It only
+// orders the candidates; the similarity is kept apart for display and MMR.
+
+const RETRIEVAL_COUNT_SATURATION = 20
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function getRankingWeight(value) {
+  return Math.max(0, Number(value) || 0)
+}
+
+function getRecencyScore(timestamp, now) {
+  const halfLifeDays = Number(settings.recencyHalfLifeDays)
+  if (!(halfLifeDays > 0) || !Number.isFinite(timestamp)) return 0
+  return 0.5 ** (Math.max(0, now - timestamp) / DAY_MS / halfLifeDays)
+}
+
+function getImportanceScore(payload) {
+  const importance = Number(payload?.importance)
+  return Number.isFinite(importance) ? Math.min(1, Math.max(0, importance)) : 0.5
+}
+
+function getRetrievalCountScore(payload) {
+  const count = Math.max(0, Number(payload?.retrievalCount) || 0)
+  return Math.min(1, Math.log1p(count) / Math.log1p(RETRIEVAL_COUNT_SATURATION))
+}
+
+// Re-score and re-sort results; each keeps its search score as `similarity`
+// and the terms of its new score as `ranking`, where `boost` is the part of
+// the score that does not come from the similarity
+function rankMemories(results) {
+  const now = Date.now()
+  const weights = {
+    recency: Number(settings.recencyHalfLifeDays) > 0 ? getRankingWeight(settings.recencyWeight) : 0,
+    importance: getRankingWeight(settings.importanceWeight),
+    retrievals: getRankingWeight(settings.retrievalCountWeight),
+  }
+  const totalWeight = 1 + weights.recency + weights.importance + weights.retrievals
+
+  const ranked = results
+    .map((result) => {
+      const storedTimestamp = result.payload?.timestamp
+      const timestamp = storedTimestamp === undefined || storedTimestamp === null ? Number.NaN : normalizeTimestamp(storedTimestamp)
+      const ranking = {
+        similarity: result.score,
+        recency: getRecencyScore(timestamp, now),
+        ageDays: Number.isFinite(timestamp) ? (now - timestamp) / DAY_MS : null,
+        importance: getImportanceScore(result.payload),
+        retrievals: getRetrievalCountScore(result.payload),
+        retrievalCount: Number(result.payload?.retrievalCount) || 0,
+      }
+      ranking.boost =
+        (weights.recency * ranking.recency +
+          weights.importance * ranking.importance +
+          weights.retrievals * ranking.retrievals) /
+        totalWeight
+      const score = ranking.similarity / totalWeight + ranking.boost
+      return { ...result, score, similarity: result.score, ranking }
+    })
+    .sort((a, b) => b.score - a.score)
+
+  if (settings.debugMode) {
+    console.log(
+      `[Qdrant Memory] Re-ranked ${ranked.length} candidates: score = (similarity + ${weights.recency} × recency + ${weights.importance} × importance + ${weights.retrievals} × retrieved) / ${totalWeight}, recency half-life ${settings.recencyHalfLifeDays} days`,
+    )
+    ranked.slice(0, settings.memoryLimit * 2).forEach((result) => {
+      const { similarity, recency, ageDays, importance, retrievals, retrievalCount } = result.ranking
+      const age = ageDays === null ? "unknown age" : `${ageDays.toFixed(1)} days old`
+      console.log(
+        `[Qdrant Memory]   ${result.score.toFixed(3)} = (${similarity.toFixed(3)} + ${weights.recency} × ${recency.toFixed(3)} [${age}] + ${weights.importance} × ${importance.toFixed(2)} + ${weights.retrievals} × ${retrievals.toFixed(3)} [${retrievalCount}×]) / ${totalWeight} "${(result.payload?.text || "").substring(0, 60)}..."`,
+      )
+    })
+  }
+
+  return ranked
+}
+
+// Collection -> tail of its queue of retrieval count updates
+const retrievalCountQueues = new Map()
+
+// Count an injection in the payload of each memory used. Runs in the
+// background. Updates to a collection run one at a time and read the current
+// counts first, so overlapping generations do not overwrite each other's
+// increments; another browser tab counting at the same time still can.
+function recordMemoryRetrievals(collectionName, memories) {
+  if (!settings.trackRetrievalCounts || memories.length === 0) return Promise.resolve()
+
+  const previous = retrievalCountQueues.get(collectionName) || Promise.resolve()
+  const task = previous.then(() => writeMemoryRetrievals(collectionName, memories))
+  retrievalCountQueues.set(collectionName, task.catch(() => {}))
+  return task
+}
+
+async function writeMemoryRetrievals(collectionName, memories) {
+  const recorded = memories.filter((memory) => memory.id !== undefined && memory.id !== null)
+  if (recorded.length === 0) return
+
+  // Counts from the search results may be stale; fall back to them if the read fails
+  const stored = await retrievePoints(collectionName, recorded.map((memory) => memory.id), { withPayload: true })
+  const counts = Array.isArray(stored) ? new Map(stored.map((point) => [String(point.id), point.payload?.retrievalCount])) : null
+  const now = Date.now()
+  const updates = recorded.map((memory) => {
+    const current = counts ? counts.get(String(memory.id)) : memory.payload?.retrievalCount
+    return { id: memory.id, payload: { retrievalCount: (Number(current) || 0) + 1, lastRetrievedAt: now } }
+  })
+
+  if (!(await setPayloads(collectionName, updates)) && settings.debugMode) {
+    console.warn(`[Qdrant Memory] Could not update retrieval counts in ${collectionName}`)
+  }
+}
+
+// ============================================================================
+// RERANKING
+// ============================================================================
+
+// A cross-encoder reads the query and each candidate together, which scores
+// relevance more consistently than vector similarity. The top candidates are
+// sent to a /rerank endpoint in one of two request shapes:
+// - cohere: { model, query, documents, top_n } -> { results: [{ index, relevance_score }] }
+//   (Cohere, Jina, LocalAI, vLLM and other compatible servers)
+// - tei: { query, texts } -> [{ index, score }] (Hugging Face Text Embeddings Inference)
+
+function buildRerankRequest(query, documents) {
+  const headers = { "Content-Type": "application/json" }
+  if (settings.rerankApiKey) {
+    headers.Authorization = `Bearer ${settings.rerankApiKey}`
+  }
+
+  const body =
+    settings.rerankFormat === "tei"
+      ? { query, texts: documents, raw_scores: false, truncate: true }
+      : { query, documents, top_n: documents.length }
+  if (settings.rerankModel && settings.rerankFormat !== "tei") {
+    body.model = settings.rerankModel
+  }
+
+  return { url: settings.rerankUrl.trim(), headers, body }
+}
+
+// Scores aligned with `documents`
+async function requestRerankScores(query, documents) {
+  if (!settings.rerankUrl?.trim()) {
+    throw new Error("No reranker URL set")
+  }
+
+  const request = buildRerankRequest(query, documents)
+  // Reranking runs while generation waits, so it gets the retrieval timeout
+  // and a failure falls back at once instead of retrying
+  const response = await fetchWithRetry(
+    request.url,
+    { method: "POST", headers: request.headers, body: JSON.stringify(request.body) },
+    { service: "reranker", ...getRetrievalRequestOptions(), retries: 0 },
+  )
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    const detail = errorData?.message || errorData?.error
+    throw new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ""}`)
+  }
+
+  const data = await response.json()
+  const entries = Array.isArray(data) ? data : data?.results
+  if (!Array.isArray(entries)) {
+    throw new Error("Unexpected response shape")
+  }
+
+  const scores = documents.map(() => null)
+  for (const entry of entries) {
+    const score = Number(entry?.relevance_score ?? entry?.score)
+    if (Number.isInteger(entry?.index) && entry.index < scores.length && Number.isFinite(score)) {
+      scores[entry.index] = score
+    }
+  }
+  if (scores.some((score) => score === null)) {
+    throw new Error(`Scores returned for ${scores.filter((score) => score !== null).length} of ${documents.length} candidates`)
+  }
+  return scores
+}
+
+// Reorder the top candidates by reranker score and drop those under the
+// reranker threshold. Each keeps its vector score as `vectorScore`. When the
+// reranker cannot be reached the candidates come back in vector order.
+async function rerankMemories(query, candidates) {
+  const topK = Math.max(1, Number.parseInt(settings.rerankTopK, 10) || 1)
+  const pool = candidates.slice(0, topK)
+  if (pool.length === 0) return candidates
+
+  let scores
+  try {
+    scores = await requestRerankScores(query, pool.map((candidate) => candidate.payload?.text || ""))
+  } catch (error) {
+    console.warn(`[Qdrant Memory] Reranker unavailable, keeping vector order: ${error.message}`)
+    return candidates
+  }
+
+  const threshold = Number(settings.rerankThreshold) || 0
+  const reranked = pool
+    .map((candidate, index) => ({ ...candidate, score: scores[index], vectorScore: candidate.score }))
+    .sort((a, b) => b.score - a.score)
+
+  if (settings.debugMode) {
+    console.log(`[Qdrant Memory] Reranked ${pool.length} candidates (threshold ${threshold})`)
+    reranked.forEach((candidate) => {
+      console.log(
+        `[Qdrant Memory]   rerank ${candidate.score.toFixed(3)}, vector ${candidate.vectorScore.toFixed(3)}${candidate.score < threshold ? " (dropped)" : ""}: "${(candidate.payload?.text || "").substring(0, 60)}..."`,
+      )
+    })
+  }
+
+  return reranked.filter((candidate) => candidate.score >= threshold)
+}
+
+// ============================================================================
+// DIVERSE RESULT SELECTION (MMR)
+// ============================================================================
+
+// The final memories are picked one at a time with Maximal Marginal Relevance:
+// each pick maximizes lambda * similarity + boost - (1 - lambda) * (highest
+// cosine similarity to a memory already picked), so near-copies of a picked
+// chunk lose to something new. The boost is what re-ranking added for
+// recency, importance and retrievals (0 without it). Candidates at least as similar as the deduplication
+// threshold to a picked one are skipped outright. Memories are also grouped by
+// the conversation (chatId) they came from, and a conversation that already
+// has maxMemoriesPerChat picks waits until the other conversations run out.
+
+function getCandidateMultiplier() {
+  return Math.min(10, Math.max(1, Number.parseInt(settings.candidateMultiplier, 10) || 1))
+}
+
+function getMmrLambda() {
+  const lambda = Number(settings.mmrLambda)
+  return Number.isFinite(lambda) ? Math.min(1, Math.max(0, lambda)) : defaultSettings.mmrLambda
+}
+
+function selectDiverseMemories(candidates, count) {
+  const lambda = getMmrLambda()
+  const perChat = Math.max(0, Number.parseInt(settings.maxMemoriesPerChat, 10) || 0)
+  const vectors = candidates.map((candidate) => getDenseVector(candidate))
+  const redundancy = candidates.map(() => 0)
+  const remaining = new Set(candidates.keys())
+  const picksPerChat = new Map()
+  const selected = []
+
+  const isChatFull = (index) => {
+    const chatId = candidates[index].payload?.chatId
+    return perChat > 0 && chatId != null && (picksPerChat.get(chatId) || 0) >= perChat
+  }
+
+  while (selected.length < count && remaining.size > 0) {
+    // Full conversations only get more picks once nothing else is left
+    const open = [...remaining].filter((index) => !isChatFull(index))
+    const pool = open.length > 0 ? open : [...remaining]
+
+    let best = -1
+    let bestValue = -Infinity
+    for (const index of pool) {
+      const candidate = candidates[index]
+      const relevance = candidate.similarity ?? candidate.score
+      const value = lambda * relevance + (candidate.ranking?.boost ?? 0) - (1 - lambda) * redundancy[index]
+      if (value > bestValue) {
+        best = index
+        bestValue = value
+      }
+    }
+
+    remaining.delete(best)
+    const picked = candidates[best]
+    const { vector, ...memory } = picked
+    selected.push(memory)
+
+    const chatId = picked.payload?.chatId
+    if (chatId != null) {
+      picksPerChat.set(chatId, (picksPerChat.get(chatId) || 0) + 1)
+    }
+
+    if (settings.debugMode) {
+      console.log(
+        `[Qdrant Memory] MMR pick ${selected.length}: similarity ${(picked.similarity ?? picked.score).toFixed(3)}, boost ${(picked.ranking?.boost ?? 0).toFixed(3)}, redundancy ${redundancy[best].toFixed(3)}, chat ${chatId ?? "unknown"}: "${(picked.payload?.text || "").substring(0, 50)}..."`,
+      )
+    }
+
+    for (const index of [...remaining]) {
+      const similarity = cosineSimilarity(vectors[index], vectors[best]) ?? 0
+      if (similarity >= settings.dedupeThreshold) {
+        remaining.delete(index)
+        if (settings.debugMode) {
+          console.log(
+            `[Qdrant Memory] Filtered duplicate search result (${similarity.toFixed(3)}): "${(candidates[index].payload?.text || "").substring(0, 50)}..."`,
+          )
+        }
+      } else {
+        redundancy[index] = Math.max(redundancy[index], similarity)
+      }
+    }
+  }
+
+  return selected
+}
+
+// ============================================================================
+// TOKEN COUNTING AND TEXT SPLITTING
+// ============================================================================
+
+// Chunk sizes are measured in tokens so a chunk always fits the embedding
+// model's input. Counts come from SillyTavern's tokenizer (that of the chat
+// model) or from an estimate tuned to the embedding model's tokenizer family;
+// either way they are approximate, so a margin is kept below the model limit.
+
+// Most tokens each model accepts per input, keyed by model identity (see
+// getEmbeddingModelIdentity). Ollama models are listed with Ollama's context.
+const EMBEDDING_MAX_TOKENS = {
+  "text-embedding-3-large": 8191,
+  "text-embedding-3-small": 8191,
+  "text-embedding-ada-002": 8191,
+  "qwen3-embedding-8b": 32768,
+  "mistral-embed-2312": 8192,
+  "gemini-embedding-001": 2048,
+  "text-embedding-004": 2048,
+  "nomic-embed-text": 2048,
+  "mxbai-embed-large": 512,
+  "bge-m3": 8192,
+  "snowflake-arctic-embed2": 8192,
+  "embeddinggemma": 2048,
+  "qwen3-embedding:0.6b": 32768,
+  "all-minilm": 256,
+  "embed-v4.0": 128000,
+  "embed-english-v3.0": 512,
+  "embed-multilingual-v3.0": 512,
+  "embed-english-light-v3.0": 512,
+  "embed-multilingual-light-v3.0": 512,
+  "voyage-3.5": 32000,
+  "voyage-3-large": 32000,
+  "voyage-3.5-lite": 32000,
+}
+
+// Share of the model limit chunks may use, leaving room for count errors
+const EMBEDDING_TOKEN_MARGIN = 0.9
+
+// BERT-style models split words into more, shorter pieces than BPE tokenizers
+const WORDPIECE_MODEL_PATTERN = /nomic-embed|bge-|(^|[/_-])e5-|mxbai-embed|all-minilm|snowflake-arctic|gte-/
+
+// Characters (CJK ideographs, kana, hangul) that are roughly a token each
+const WIDE_CHARACTER_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g
+
+function approximateTokenCount(text) {
+  const wide = text.match(WIDE_CHARACTER_PATTERN)?.length || 0
+  const model = getEmbeddingModelIdentity(getPrimaryEmbeddingTarget()) || ""
+  const charactersPerToken = WORDPIECE_MODEL_PATTERN.test(model) ? 3.2 : 3.8
+  return wide + Math.ceil((text.length - wide) / charactersPerToken)
+}
+
+// Token count of `text` with the configured counter
+function countTokens(text) {
+  if (!text) return 0
+
+  if (settings.tokenCounter === "sillytavern") {
+    const getTokenCount = getContext()?.getTokenCount
+    if (typeof getTokenCount === "function") {
+      try {
+        const count = getTokenCount(text)
+        if (Number.isFinite(count)) return count
+      } catch (error) {
+        if (settings.debugMode) {
+          console.warn("[Qdrant Memory] SillyTavern tokenizer failed, estimating instead:", error)
+        }
+      }
+    }
+  }
+
+  return approximateTokenCount(text)
+}
+
+// Input limit of the embedding model: the user's override, the known limit,
+// or null for endpoints serving an unknown model
+function getEmbeddingMaxTokens() {
+  const override = Number.parseInt(settings.embeddingMaxTokens, 10)
+  if (Number.isFinite(override) && override > 0) return override
+  return EMBEDDING_MAX_TOKENS[getEmbeddingModelIdentity(getPrimaryEmbeddingTarget())] ?? null
+}
+
+// Largest chunk to build: the chunk size setting, capped so the text plus
+// its instruction prefix stays inside the model's input
+function getChunkTokenLimit() {
+  const configured = Math.max(1, Number.parseInt(settings.chunkMaxTokens, 10) || defaultSettings.chunkMaxTokens)
+  const modelLimit = getEmbeddingMaxTokens()
+  if (!modelLimit) return configured
+
+  const prefixTokens = countTokens(resolveEmbeddingTemplate().document)
+  return Math.max(1, Math.min(configured, Math.floor(modelLimit * EMBEDDING_TOKEN_MARGIN) - prefixTokens))
+}
+
+// Boundaries tried in turn when a text is too long: paragraphs, sentences, words
+const TEXT_SPLIT_LEVELS = [
+  { pattern: /\n\s*\n/, separator: "\n\n" },
+  { pattern: /(?<=[.!?\u2026]["'\u201d\u2019)\]]*)\s+|(?<=[\u3002\uff01\uff1f])\s*/, separator: " " },
+  { pattern: /\s+/, separator: " " },
+]
+
+// Split `text` into pieces of at most `maxTokens`, cutting at the coarsest
+// boundary that works and packing neighbouring pieces back together
+function splitTextByTokens(text, maxTokens, level = 0) {
+  const trimmed = text.trim()
+  if (countTokens(trimmed) <= maxTokens) return trimmed ? [trimmed] : []
+
+  for (let index = level; index < TEXT_SPLIT_LEVELS.length; index++) {
+    const { pattern, separator } = TEXT_SPLIT_LEVELS[index]
+    const pieces = trimmed.split(pattern).filter((piece) => piece.trim())
+    if (pieces.length < 2) continue
+
+    const parts = []
+    let current = ""
+    let currentTokens = 0
+    for (const piece of pieces.flatMap((piece) => splitTextByTokens(piece, maxTokens, index + 1))) {
+      const pieceTokens = countTokens(piece)
+      if (current && currentTokens + pieceTokens + 1 > maxTokens) {
+        parts.push(current)
+        current = ""
+        currentTokens = 0
+      }
+      current = current ? `${current}${separator}${piece}` : piece
+      currentTokens += pieceTokens + (currentTokens > 0 ? 1 : 0)
+    }
+    if (current) parts.push(current)
+    return parts
+  }
+
+  // One unbroken run of text: cut it into even slices
+  const sliceLength = Math.max(1, Math.floor((trimmed.length * maxTokens) / countTokens(trimmed)))
+  const slices = []
+  for (let start = 0; start < trimmed.length; start += sliceLength) {
+    slices.push(trimmed.slice(start, start + sliceLength))
+  }
+  return slices
+}
+
+// ============================================================================
+// MESSAGE CHUNKING AND BUFFERING
+// ============================================================================
+
+function getChatParticipants() {
+  const context = getContext()
+  const characterName = context.name2
+
+  // Check if this is a group chat
+  const characters = context.characters || []
+  const chat = context.chat || []
+
+  // For group chats, get all unique character names from recent messages
+  if (characters.length > 1) {
+    const participants = new Set()
+
+    // Add the main character
+    if (characterName) {
+      participants.add(characterName)
+    }
+
+    // Look through recent messages to find all participants
+    chat.slice(-50).forEach((msg) => {
+      if (!msg.is_user && msg.name && msg.name !== "System") {
+        participants.add(msg.name)
+      }
+    })
+
+    return Array.from(participants)
+  }
+
+  // Single character chat
+  return characterName ? [characterName] : []
+}
+
+// A message too long for one chunk, as copies holding consecutive parts of
+// its text. Each part becomes a chunk of its own; the parts are linked by the
+// message ID they share and by `part` ({ index, count }).
+function splitOversizeMessage(message, speaker, limit) {
+  const overhead = countTokens(`[0000-00-00]\n${speaker}: `)
+  const parts = splitTextByTokens(message.text, Math.max(1, limit - overhead))
+  return parts.map((text, index) => ({ ...message, text, part: { index, count: parts.length } }))
+}
+
+// Chunks for a batch of buffered messages: normally one, but a message too
+// long for a single chunk is saved in parts
+function createChunksFromBuffer(messages) {
+  const limit = getChunkTokenLimit()
+  const personaName = getPersonaName()
+  const groups = []
+  let group = []
+
+  for (const msg of messages) {
+    const speaker = msg.isUser ? personaName : msg.characterName
+    if (countTokens(`${speaker}: ${msg.text}`) <= limit) {
+      group.push(msg)
+      continue
+    }
+
+    if (group.length > 0) {
+      groups.push(group)
+      group = []
+    }
+    splitOversizeMessage(msg, speaker, limit).forEach((part) => groups.push([part]))
+  }
+
+  if (group.length > 0) {
+    groups.push(group)
+  }
+  return groups.map((groupMessages) => createChunkFromBuffer(groupMessages))
+}
+
+function createChunkFromBuffer(messages = messageBuffer) {
+  if (messages.length === 0) return null
+
+  let chunkText = ""
+  const speakers = new Set()
+  const messageIds = []
+  const swipeIds = []
+  let totalLength = 0
+  const currentTimestamp = Date.now()
+  
+  // NEW: Get the persona name once for this chunk
+  const personaName = getPersonaName()
+
+  // Build chunk text with speaker labels
+  messages.forEach((msg) => {
+    const speaker = msg.isUser ? personaName : msg.characterName  // ← CHANGED: Use personaName
+    speakers.add(speaker)
+    messageIds.push(msg.messageId)
+    swipeIds.push(msg.swipeId ?? null)
+
+    const line = `${speaker}: ${msg.text}\n`
+    chunkText += line
+    totalLength += line.length
+  })
+
+  // Format date prefix
+  let finalText = chunkText.trim()
+  const dateStr = formatDateForChunk(currentTimestamp)
+  finalText = `[${dateStr}]\n${finalText}`
+
+  return {
+    text: finalText,
+    speakers: Array.from(speakers),
+    messageIds: messageIds,
+    swipeIds: swipeIds,
+    messageCount: messages.length,
+    timestamp: currentTimestamp,
+    sourceType: "live",
+    chatId: getCurrentChatId(),
+    part: messages.length === 1 ? messages[0].part ?? null : null,
+  }
+}
+
+// Version of the payload layout written by buildChunkPayload:
+// 1 (implicit) - comma-joined messageIds/speakers strings, or single messages
+// 2 - arrays for messageIds/speakers, numeric timestamp, source fields
+//     (later also swipeIds: the swipe kept for each message, aligned with messageIds)
+const PAYLOAD_SCHEMA_VERSION = 2
+
+// Payload fields indexed by Qdrant for filtering
+const PAYLOAD_INDEXES = {
+  messageIds: "keyword",
+  speakers: "keyword",
+  character: "keyword",
+  timestamp: "integer",
+  schemaVersion: "integer",
+  sourceType: "keyword",
+  chatId: "keyword",
+  embeddingTemplate: "keyword",
+}
+
+// Namespace for memory point IDs (UUIDv5)
+const POINT_ID_NAMESPACE = "8f0d6c2e-5a41-4b7e-9c3d-2e6f1a7b9d05"
+
+// Message IDs stored in a payload, as an array
+function getPayloadMessageIds(payload) {
+  const messageIds = payload?.messageIds
+  if (Array.isArray(messageIds)) {
+    return messageIds.map(String)
+  }
+  if (typeof messageIds === "string" && messageIds.trim()) {
+    return messageIds.split(",").map((id) => id.trim()).filter(Boolean)
+  }
+  return []
+}
+
+// Speaker names stored in a payload, as an array. Legacy single-message
+// payloads only recorded whether the user or the character spoke.
+function getPayloadSpeakers(payload) {
+  const speakers = payload?.speakers
+  if (Array.isArray(speakers)) {
+    return speakers.map(String)
+  }
+  if (typeof speakers === "string" && speakers.trim()) {
+    return speakers.split(",").map((speaker) => speaker.trim()).filter(Boolean)
+  }
+  if (payload?.speaker === "user") {
+    return [getPersonaName()]
+  }
+  if (payload?.speaker) {
+    return [payload.character || "Character"]
+  }
+  return []
+}
+
+// Upgrade a payload written by any earlier version to the current schema.
+// Unknown fields (e.g. `character` in shared collections) are kept.
+function normalizePayload(payload) {
+  if (payload?.schemaVersion === PAYLOAD_SCHEMA_VERSION) {
+    return payload
+  }
+
+  const { speaker, ...rest } = payload || {}
+  const messageIds = getPayloadMessageIds(payload)
+
+  return {
+    ...rest,
+    schemaVersion: PAYLOAD_SCHEMA_VERSION,
+    text: payload?.text || "",
+    speakers: getPayloadSpeakers(payload),
+    messageIds,
+    messageCount: Number.isFinite(payload?.messageCount) ? payload.messageCount : Math.max(1, messageIds.length),
+    // Unknown dates stay unknown instead of becoming "now"
+    timestamp: payload?.timestamp == null ? null : normalizeTimestamp(payload.timestamp),
+    isChunk: true,
+    sourceType: payload?.sourceType || "legacy",
+    chatId: payload?.chatId ?? null,
+  }
+}
+
+// Deterministic point ID derived from the collection, the chunk's message IDs
+// and its text, so saving the same chunk again overwrites the existing point.
+// Shared collections hold one copy per character, so the character is part of the key.
+function getPointId(collectionName, payload) {
+  const scope = payload?.character ? `${collectionName}/${payload.character}` : collectionName
+  const messageIds = getPayloadMessageIds(payload).sort()
+  const textHash = bytesToHex(sha1(new TextEncoder().encode(payload?.text || "")))
+  return uuidV5(`${scope}|${messageIds.join(",")}|${textHash}`, POINT_ID_NAMESPACE)
+}
+
+// Build the Qdrant payload stored alongside a chunk's vector
+function buildChunkPayload(chunk) {
+  return {
+    schemaVersion: PAYLOAD_SCHEMA_VERSION,
+    text: chunk.text,
+    speakers: [...chunk.speakers],
+    messageIds: [...chunk.messageIds],
+    swipeIds: chunk.swipeIds ? [...chunk.swipeIds] : chunk.messageIds.map(() => null),
+    messageCount: chunk.messageCount,
+    timestamp: normalizeTimestamp(chunk.timestamp),
+    isChunk: true,
+    sourceType: chunk.sourceType || "live",
+    chatId: chunk.chatId ?? null,
+    embeddingTemplate: getEmbeddingTemplateVersion(),
+    ...(chunk.part ? { partIndex: chunk.part.index, partCount: chunk.part.count } : {}),
+  }
+}
+
+// Save a chunk to every participant's collection. Returns `{ saved, retry, error }`:
+// whether any collection took the chunk, and the participants whose write
+// failed and is worth retrying later.
+async function saveChunkToQdrant(chunk, participants) {
+  if (!settings.enabled) return { saved: false, retry: [] }
+  if (!chunk || !participants || participants.length === 0) return { saved: false, retry: [] }
+
+  try {
+    // Generate embedding for the chunk text
+    const embedding = await generateEmbedding(chunk.text)
+    if (!embedding) {
+      console.error("[Qdrant Memory] Cannot save chunk - embedding generation failed")
+      return { saved: false, retry: participants, error: "Embedding generation failed", retryable: isSaveFailureRetryable() }
+    }
+
+    // NEW: Check for duplicates before saving
+    let alreadyExists = false
+    
+    for (const characterName of participants) {
+      const collectionName = getCollectionName(characterName)
+      const collectionReady = await ensureCollection(characterName, embedding.length)
+      
+      if (!collectionReady) {
+        console.error(`[Qdrant Memory] Cannot check duplicates - collection creation failed for ${characterName}`)
+        continue
+      }
+
+      const exists = await chunkExistsInCollection(
+        collectionName, 
+        embedding, 
+        chunk.text, 
+        settings.dedupeThreshold
+      )
+      
+      if (exists) {
+        alreadyExists = true
+        if (settings.debugMode) {
+          console.log(`[Qdrant Memory] Duplicate chunk detected in ${characterName}'s collection, skipping save`)
+        }
+        break
+      }
+    }
+
+    if (alreadyExists) {
+      if (settings.showMemoryNotifications) {
+        const toastr = window.toastr
+        toastr.info("Similar conversation already saved", "Qdrant Memory", { timeOut: 1500 })
+      }
+      return { saved: false, retry: [] }
+    }
+
+    // Prepare payload
+    const payload = buildChunkPayload(chunk)
+
+    // Save to all participant collections
+    const savePromises = participants.map(async (characterName) => {
+      const collectionName = getCollectionName(characterName)
+
+      // Ensure collection exists
+      const collectionReady = await ensureCollection(characterName, embedding.length)
+      if (!collectionReady) {
+        console.error(`[Qdrant Memory] Cannot save chunk - collection creation failed for ${characterName}`)
+        return false
+      }
+
+      // Add character name to payload only if using shared collection
+      const characterPayload = settings.usePerCharacterCollections 
+        ? payload 
+        : { ...payload, character: characterName }
+
+      // Save to Qdrant
+      const saved = await upsertPoints(collectionName, [
+        {
+          id: getPointId(collectionName, characterPayload),
+          vector: buildPointVector(collectionName, embedding, chunk.text),
+          payload: characterPayload,
+        },
+      ])
+
+      if (!saved) {
+        console.error(`[Qdrant Memory] Failed to save chunk to ${characterName}`)
+        return false
+      }
+
+      if (settings.debugMode) {
+        console.log(
+          `[Qdrant Memory] Saved chunk to ${characterName}'s collection (${chunk.messageCount} messages, ${chunk.text.length} chars)`,
+        )
+      }
+
+      return true
+    })
+
+    const results = await Promise.all(savePromises)
+    const successCount = results.filter((r) => r).length
+    const failed = participants.filter((_, index) => !results[index])
+
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] Chunk saved to ${successCount}/${participants.length} collections`)
+    }
+
+    return {
+      saved: successCount > 0,
+      retry: failed,
+      error: failed.length > 0 ? `Could not write to ${failed.join(", ")}` : undefined,
+      retryable: failed.length > 0 ? isSaveFailureRetryable() : undefined,
+    }
+  } catch (err) {
+    console.error("[Qdrant Memory] Error saving chunk:", err)
+    return { saved: false, retry: participants, error: err.message, retryable: isSaveFailureRetryable() }
+  }
+}
+
+// A save that failed while every service it needs was answering was rejected
+// (bad request, dimension mismatch, ...) and would fail the same way again.
+// Only failures while a service is unreachable are worth retrying.
+function isSaveFailureRetryable() {
+  const services = getEmbeddingTargets().map(getEmbeddingService)
+  if (settings.storageBackend === "qdrant") services.push("qdrant")
+  return services.some((service) => getServiceHealth(service).failures > 0)
+}
+
+async function processMessageBuffer() {
+  if (!settings.enabled) return
+  if (messageBuffer.length === 0) return
+
+  // Take the buffered messages up front, so messages arriving while this
+  // saves start the next chunk instead of being dropped with this one
+  const messages = messageBuffer
+  messageBuffer = []
+
+  // Get all participants (for group chats)
+  const participants = getChatParticipants()
+
+  if (participants.length === 0) {
+    console.error("[Qdrant Memory] No participants found for chunk")
+    return
+  }
+
+  const chunks = createChunksFromBuffer(messages)
+  const save = bufferSaving.then(async () => {
+    // Save chunks to all participant collections; whatever could not be written
+    // goes to the outbox instead of being lost
+    let saved = false
+    for (const chunk of chunks) {
+      const result = await saveChunkToQdrant(chunk, participants)
+      if (result.retry.length > 0) {
+        await addToOutbox(chunk, result.retry, result.error, result.retryable)
+      } else if (result.saved) {
+        saved = true
+      }
+    }
+
+    if (saved) {
+      // The services are reachable again, so anything queued can go now
+      processOutbox({ force: true })
+    }
+  })
+  bufferSaving = save.catch(() => {})
+  await save
+}
+
+function bufferMessage(text, characterName, isUser, messageId, swipeId = null) {
+  if (!settings.enabled) return
+  if (!settings.autoSaveMemories) return
+  if (getEmbeddingProviderError()) return
+  if (text.length < settings.minMessageLength) return
+
+  // Check if we should save this type of message
+  if (isUser && !settings.saveUserMessages) return
+  if (!isUser && !settings.saveCharacterMessages) return
+
+  const personaName = getPersonaName()
+  const countMessageTokens = (msg) => countTokens(`${msg.isUser ? personaName : msg.characterName}: ${msg.text}\n`)
+  const limit = getChunkTokenLimit()
+  const entry = { text, characterName, isUser, messageId, swipeId }
+
+  // Save what is buffered first if this message would take the chunk past the limit
+  const bufferedTokens = messageBuffer.reduce((sum, msg) => sum + countMessageTokens(msg), 0)
+  if (messageBuffer.length > 0 && bufferedTokens + countMessageTokens(entry) > limit) {
+    processMessageBuffer()
+  }
+
+  // Add to buffer
+  messageBuffer.push(entry)
+  lastMessageTime = Date.now()
+
+  // Calculate current buffer size
+  const bufferSize = messageBuffer.reduce((sum, msg) => sum + countMessageTokens(msg), 0)
+
+  if (settings.debugMode) {
+    console.log(`[Qdrant Memory] Buffer: ${messageBuffer.length} messages, ${bufferSize} tokens`)
+  }
+
+  // Clear existing timer
+  if (chunkTimer) {
+    clearTimeout(chunkTimer)
+  }
+
+  // If buffer reached max size, process it now
+  if (bufferSize >= limit) {
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] Buffer reached max size (${bufferSize}), processing chunk`)
+    }
+    processMessageBuffer()
+  }
+  // If buffer is at least min size, set a short timer
+  else if (bufferSize >= settings.chunkMinTokens) {
+    chunkTimer = setTimeout(() => {
+      if (settings.debugMode) {
+        console.log(`[Qdrant Memory] Buffer reached min size and timeout, processing chunk`)
+      }
+      processMessageBuffer()
+    }, 5000) // 5 seconds after reaching min size
+  }
+  // Otherwise, set a longer timer
+  else {
+    chunkTimer = setTimeout(() => {
+      if (settings.debugMode) {
+        console.log(`[Qdrant Memory] Buffer timeout reached, processing chunk`)
+      }
+      processMessageBuffer()
+    }, settings.chunkTimeout)
+  }
+}
+
+// ============================================================================
+// OFFLINE OUTBOX
+// ============================================================================
+
+// Chunks whose save failed (Qdrant or the embedding provider unreachable) are
+// kept in IndexedDB with the participants still missing them, and replayed
+// with exponential backoff until they are written or discarded. Point IDs are
+// deterministic, so a replay never duplicates a memory. Entries that were
+// rejected outright, or still fail after OUTBOX_MAX_ATTEMPTS, are marked
+// failed and only retried from the settings panel.
+
+const OUTBOX_DB_NAME = `${extensionName}-outbox`
+const OUTBOX_DB_VERSION = 1
+const OUTBOX_BASE_DELAY_MS = 30000
+const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000
+const OUTBOX_MAX_ATTEMPTS = 10
+
+let processingOutbox = false
+let outboxTimer = null
+
+function openOutbox() {
+  return openDatabase(OUTBOX_DB_NAME, OUTBOX_DB_VERSION, (db) => {
+    if (!db.objectStoreNames.contains("entries")) {
+      db.createObjectStore("entries", { keyPath: "id", autoIncrement: true })
+    }
+  })
+}
+
+// Delay before the next attempt: doubling per attempt, capped, with +/-20%
+// jitter so several tabs do not retry in lockstep
+function getOutboxDelay(attempts) {
+  const delay = Math.min(OUTBOX_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), OUTBOX_MAX_DELAY_MS)
+  return Math.round(delay * (0.8 + Math.random() * 0.4))
+}
+
+async function listOutboxEntries() {
+  const db = await openOutbox()
+  return await idbRequest(db.transaction("entries").objectStore("entries").getAll())
+}
+
+async function writeOutboxEntries(entries, removedIds = []) {
+  const db = await openOutbox()
+  const transaction = db.transaction("entries", "readwrite")
+  const store = transaction.objectStore("entries")
+  entries.forEach((entry) => store.put(entry))
+  removedIds.forEach((id) => store.delete(id))
+  await idbTransactionDone(transaction)
+}
+
+// Persist a chunk that could not be saved for `participants`
+async function addToOutbox(chunk, participants, error, retryable = true) {
+  try {
+    await writeOutboxEntries([
+      {
+        chunk,
+        participants,
+        attempts: 1,
+        createdAt: Date.now(),
+        nextAttemptAt: Date.now() + getOutboxDelay(1),
+        lastError: error || null,
+        failed: !retryable,
+      },
+    ])
+
+    if (retryable) {
+      console.warn(`[Qdrant Memory] Memory save failed (${error || "unknown error"}), queued for retry`)
+    } else {
+      console.warn(`[Qdrant Memory] Memory save was rejected (${error || "unknown error"}), kept as failed`)
+    }
+
+    if (settings.showMemoryNotifications) {
+      const message = retryable
+        ? "Memory could not be saved, it will be retried automatically"
+        : "Memory could not be saved, see Pending Memory Writes"
+      window.toastr?.warning(message, "Qdrant Memory", {
+        timeOut: 3000,
+      })
+    }
+  } catch (outboxError) {
+    console.error("[Qdrant Memory] Could not queue the memory for retry, it is lost:", outboxError)
+  }
+
+  await scheduleOutbox()
+}
+
+// Replay the entries that are due (all pending ones with `force`, failed ones
+// too with `retryFailed`). When an entry fails completely because a service is
+// unreachable, the rest are postponed with it instead of being tried one by one.
+async function processOutbox({ force = false, retryFailed = false } = {}) {
+  if (processingOutbox || !settings.enabled || !window.indexedDB) return
+  processingOutbox = true
+
+  try {
+    const now = Date.now()
+    const due = (await listOutboxEntries())
+      .filter((entry) => (entry.failed ? retryFailed : force || entry.nextAttemptAt <= now))
+      .sort((a, b) => a.id - b.id)
+
+    let written = 0
+    for (let index = 0; index < due.length; index++) {
+      const entry = due[index]
+      const result = await saveChunkToQdrant(entry.chunk, entry.participants)
+
+      if (result.retry.length === 0) {
+        await writeOutboxEntries([], [entry.id])
+        written += 1
+        continue
+      }
+
+      const attempts = entry.attempts + 1
+      const nextAttemptAt = Date.now() + getOutboxDelay(attempts)
+      const failed = !result.retryable || attempts >= OUTBOX_MAX_ATTEMPTS
+      const updated = { ...entry, participants: result.retry, attempts, nextAttemptAt, lastError: result.error || null, failed }
+
+      if (failed) {
+        console.warn(`[Qdrant Memory] Queued memory failed after ${attempts} attempts (${result.error}), no longer retried automatically`)
+      }
+
+      if (!result.retryable || result.retry.length < entry.participants.length) {
+        await writeOutboxEntries([updated])
+        continue
+      }
+
+      const postponed = due
+        .slice(index + 1)
+        .filter((rest) => !rest.failed)
+        .map((rest) => ({ ...rest, nextAttemptAt: Math.max(rest.nextAttemptAt, nextAttemptAt) }))
+      await writeOutboxEntries([updated, ...postponed])
+
+      if (settings.debugMode) {
+        console.log(
+          `[Qdrant Memory] Outbox replay failed (${result.error}), next attempt in ${Math.round((nextAttemptAt - Date.now()) / 1000)}s`,
+        )
+      }
+      break
+    }
+
+    if (written > 0) {
+      console.log(`[Qdrant Memory] Saved ${written} queued memories from the outbox`)
+      if (settings.showMemoryNotifications) {
+        window.toastr?.success(`Saved ${written} queued memories`, "Qdrant Memory", { timeOut: 2000 })
+      }
+    }
+  } catch (error) {
+    console.error("[Qdrant Memory] Error replaying the outbox:", error)
+  } finally {
+    processingOutbox = false
+  }
+
+  await scheduleOutbox()
+}
+
+// Arm a timer for the earliest pending entry and refresh the settings panel
+async function scheduleOutbox() {
+  clearTimeout(outboxTimer)
+  outboxTimer = null
+
+  const entries = window.indexedDB ? await listOutboxEntries().catch(() => []) : []
+  updateOutboxUI(entries)
+  const pending = entries.filter((entry) => !entry.failed)
+  if (pending.length === 0) return
+
+  const nextAttemptAt = Math.min(...pending.map((entry) => entry.nextAttemptAt))
+  outboxTimer = setTimeout(() => processOutbox(), Math.max(1000, nextAttemptAt - Date.now()))
+}
+
+// Drop every queued memory; returns how many were discarded
+async function discardOutbox() {
+  const entries = await listOutboxEntries()
+  await writeOutboxEntries(
+    [],
+    entries.map((entry) => entry.id),
+  )
+  await scheduleOutbox()
+  return entries.length
+}
+
+function updateOutboxUI(entries) {
+  const $ = window.$
+  const $status = $?.("#qdrant_outbox_status")
+  if (!$status?.length) return
+
+  $("#qdrant_outbox_retry, #qdrant_outbox_discard").prop("disabled", entries.length === 0)
+  if (entries.length === 0) {
+    $status.text("No memories waiting to be saved")
+    return
+  }
+
+  const latest = entries.reduce((a, b) => (b.id > a.id ? b : a))
+  const pending = entries.filter((entry) => !entry.failed)
+  const failed = entries.length - pending.length
+  const parts = []
+  if (pending.length > 0) {
+    const nextAttempt = new Date(Math.min(...pending.map((entry) => entry.nextAttemptAt))).toLocaleTimeString()
+    parts.push(`${pending.length} ${pending.length === 1 ? "memory" : "memories"} waiting to be saved, next retry at ${nextAttempt}.`)
+  }
+  if (failed > 0) {
+    parts.push(`${failed} failed and ${failed === 1 ? "is" : "are"} only retried with Retry Now.`)
+  }
+  if (latest.lastError) {
+    parts.push(`Last error: ${latest.lastError}`)
+  }
+  $status.text(parts.join(" "))
+}
+
+// ============================================================================
+// CHAT INDEXING FUNCTIONS
+// ============================================================================
+
+async function getCharacterChats(characterName) {
+  try {
+    const context = getContext()
+
+    if (settings.debugMode) {
+      console.log("[Qdrant Memory] Getting chats for character:", characterName)
+    }
+
+    // Try to get the character's avatar URL
+    let avatar_url = `${characterName}.png`
+    if (context.characters && Array.isArray(context.characters)) {
+      const char = context.characters.find((c) => c.name === characterName)
+      if (char && char.avatar) {
+        avatar_url = char.avatar
+      }
+    }
+
+    const response = await fetchWithRetry(
+      "/api/characters/chats",
+      {
+        method: "POST",
+        headers: getSillyTavernHeaders(),
+        credentials: "include",
+        body: JSON.stringify({
+          avatar_url: avatar_url,
+        }),
+      },
+      { service: "sillytavern" },
+    )
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      console.error("[Qdrant Memory] Failed to get chat list:", response.status, response.statusText)
+      console.error("[Qdrant Memory] Error response:", errorText)
+      return []
+    }
+
+    const data = await response.json()
+
+    // Handle different response formats - extract just the filenames
+    let chatFiles = []
+    
+    if (Array.isArray(data)) {
+      if (typeof data[0] === 'string') {
+        chatFiles = data
+      } else if (data[0] && data[0].file_name) {
+        chatFiles = data.map(item => item.file_name)
+      } else {
+        chatFiles = data.map(item => {
+          if (typeof item === 'string') return item
+          if (item.file_name) return item.file_name
+          if (item.filename) return item.filename
+          return null
+        }).filter(f => f !== null)
+      }
+    } else if (data && Array.isArray(data.files)) {
+      chatFiles = data.files.map(item => {
+        if (typeof item === 'string') return item
+        if (item.file_name) return item.file_name
+        if (item.filename) return item.filename
+        return null
+      }).filter(f => f !== null)
+    } else if (data && Array.isArray(data.chats)) {
+      chatFiles = data.chats.map(item => {
+        if (typeof item === 'string') return item
+        if (item.file_name) return item.file_name
+        if (item.filename) return item.filename
+        return null
+      }).filter(f => f !== null)
+    }
+
+    if (settings.debugMode) {
+      console.log("[Qdrant Memory] Extracted filenames:", chatFiles)
+    }
+
+    return chatFiles
+  } catch (error) {
+    console.error("[Qdrant Memory] Error getting character chats:", error)
+    return []
+  }
+}
+
+async function loadChatFile(characterName, chatFile) {
+  try {
+    if (settings.debugMode) {
+      console.log("[Qdrant Memory] Loading chat file:", chatFile, "for character:", characterName)
+    }
+
+    // Ensure chatFile is a string
+    if (typeof chatFile !== 'string') {
+      console.error("[Qdrant Memory] chatFile is not a string:", chatFile)
+      if (chatFile && chatFile.file_name) {
+        chatFile = chatFile.file_name
+      } else {
+        return null
+      }
+    }
+
+    // Remove .jsonl extension as the API adds it back
+    const fileNameWithoutExt = chatFile.replace(/\.jsonl$/, '')
+
+    const context = getContext()
+
+    
+
+    // Try to get the character's avatar URL
+    let avatar_url = `${characterName}.png`
+    if (context.characters && Array.isArray(context.characters)) {
+      const char = context.characters.find((c) => c.name === characterName)
+      if (char && char.avatar) {
+        avatar_url = char.avatar
+      }
+    }
+
+    const response = await fetchWithRetry(
+      "/api/chats/get",
+      {
+        method: "POST",
+        headers: getSillyTavernHeaders(),
+        credentials: "include",
+        body: JSON.stringify({
+          ch_name: characterName,
+          file_name: fileNameWithoutExt,
+          avatar_url: avatar_url,
+        }),
+      },
+      { service: "sillytavern" },
+    )
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      console.error("[Qdrant Memory] Failed to load chat file:", response.status, response.statusText)
+      console.error("[Qdrant Memory] Error response:", errorText)
+      return null
+    }
+
+    const chatData = await response.json()
+    
+    // Handle different response formats
+    let messages = null
+    if (Array.isArray(chatData)) {
+      messages = chatData
+    } else if (chatData && Array.isArray(chatData.chat)) {
+      messages = chatData.chat
+    } else if (chatData && Array.isArray(chatData.messages)) {
+      messages = chatData.messages
+    } else if (chatData && typeof chatData === 'object') {
+      messages = [chatData]
+    }
+    
+    if (settings.debugMode) {
+      console.log("[Qdrant Memory] Loaded chat with", messages?.length || 0, "messages")
+    }
+    
+    return messages
+  } catch (error) {
+    console.error("[Qdrant Memory] Error loading chat file:", error)
+    return null
+  }
+}
+
+// Filter matching points that contain any of the given message IDs. Legacy
+// payloads store them as one comma-joined string, so match those by text too.
+function buildMessageIdsFilter(messageIds) {
+  return {
+    should: [
+      { key: "messageIds", match: { any: messageIds } },
+      ...messageIds.map((id) => ({
+        key: "messageIds",
+        match: { text: id },
+      })),
+    ],
+  }
+}
+
+async function chunkExists(collectionName, messageIds) {
+  try {
+    // Search for any of the message IDs in the chunk
+    const page = await scrollPoints(collectionName, {
+      filter: buildMessageIdsFilter(messageIds),
+      limit: 1,
+      withPayload: false,
+    })
+
+    return page?.points.length > 0
+  } catch (error) {
+    console.error("[Qdrant Memory] Error checking chunk existence:", error)
+    return false
+  }
+}
+
+// Batched version of chunkExists: one scroll for every message ID in the batch.
+// Returns the set of chunk indexes that are already stored. Parts of a long
+// message share its ID, so a part only counts as stored if that part is (or
+// the message was stored whole).
+async function findExistingChunks(collectionName, chunks) {
+  const existing = new Set()
+  const allIds = chunks.flatMap((chunk) => chunk.messageIds)
+  if (allIds.length === 0) return existing
+
+  try {
+    const storedIds = new Set()
+    const storedParts = new Set()
+    let offset = null
+    do {
+      const page = await scrollPoints(collectionName, {
+        offset,
+        filter: buildMessageIdsFilter(allIds),
+        limit: allIds.length,
+        withPayload: ["messageIds", "partIndex"],
+      })
+      if (!page) return existing
+
+      page.points.forEach((point) => {
+        const ids = getPayloadMessageIds(point.payload)
+        if (Number.isInteger(point.payload?.partIndex)) {
+          ids.forEach((id) => storedParts.add(`${id}#${point.payload.partIndex}`))
+        } else {
+          ids.forEach((id) => storedIds.add(id))
+        }
+      })
+      offset = page.nextOffset
+    } while (offset !== null)
+
+    chunks.forEach((chunk, index) => {
+      const found = chunk.part
+        ? chunk.messageIds.some((id) => storedIds.has(id) || storedParts.has(`${id}#${chunk.part.index}`))
+        : chunk.messageIds.some((id) => storedIds.has(id))
+      if (found) {
+        existing.add(index)
+      }
+    })
+  } catch (error) {
+    console.error("[Qdrant Memory] Error checking batch chunk existence:", error)
+  }
+
+  return existing
+}
+
+// Batched version of chunkExistsInCollection using one batch search.
+// Returns the set of indexes whose embedding has a near-duplicate stored.
+async function findSimilarChunks(collectionName, embeddings, dedupeThreshold) {
+  const similar = new Set()
+  if (embeddings.length === 0) return similar
+
+  try {
+    const results = await searchPointsBatch(
+      collectionName,
+      embeddings.map((embedding) => ({
+        vector: buildSearchVector(collectionName, embedding),
+        limit: 1,
+        score_threshold: dedupeThreshold,
+        with_payload: false,
+      })),
+    )
+
+    if (!results) return similar
+
+    results.forEach((hits, index) => {
+      if (Array.isArray(hits) && hits.length > 0) {
+        similar.add(index)
+      }
+    })
+  } catch (error) {
+    console.warn("[Qdrant Memory] Batch deduplication check failed:", error)
+  }
+
+  return similar
+}
+
+// Embed and save a batch of chunks for one character: one embedding request,
+// one dedupe search and one upsert per batch
+async function saveChunkBatch(characterName, chunks) {
+  const result = { saved: 0, skipped: 0, failed: 0 }
+  if (chunks.length === 0) return result
+
+  const collectionName = getCollectionName(characterName)
+
+  const embeddings = await generateEmbeddings(chunks.map((chunk) => chunk.text))
+  const embedded = []
+  embeddings.forEach((embedding, index) => {
+    if (Array.isArray(embedding)) {
+      embedded.push({ chunk: chunks[index], embedding })
+    } else {
+      result.failed++
+    }
+  })
+
+  if (embedded.length === 0) return result
+
+  const collectionReady = await ensureCollection(characterName, embedded[0].embedding.length)
+  if (!collectionReady) {
+    console.error(`[Qdrant Memory] Cannot save batch - collection creation failed for ${characterName}`)
+    result.failed += embedded.length
+    return result
+  }
+
+  const similar = await findSimilarChunks(
+    collectionName,
+    embedded.map((item) => item.embedding),
+    settings.dedupeThreshold,
+  )
+
+  const points = []
+  embedded.forEach((item, index) => {
+    if (similar.has(index)) {
+      result.skipped++
+      return
+    }
+
+    const basePayload = buildChunkPayload(item.chunk)
+    const payload = settings.usePerCharacterCollections ? basePayload : { ...basePayload, character: characterName }
+    points.push({
+      id: getPointId(collectionName, payload),
+      vector: buildPointVector(collectionName, item.embedding, item.chunk.text),
+      payload,
+    })
+  })
+
+  if (points.length === 0) return result
+
+  const saved = await upsertPoints(collectionName, points)
+  if (saved) {
+    result.saved += points.length
+  } else {
+    result.failed += points.length
+  }
+
+  if (settings.debugMode) {
+    console.log(
+      `[Qdrant Memory] Batch for ${characterName}: ${result.saved} saved, ${result.skipped} duplicates, ${result.failed} failed`,
+    )
+  }
+
+  return result
+}
+
+function createChunksFromChat(messages, characterName, chatFile = null) {
+  const source = {
+    sourceType: "index",
+    chatId: typeof chatFile === "string" ? chatFile.replace(/\.jsonl$/, "") : null,
+  }
+
+  const chunks = []
+  let currentChunk = []
+  let currentSize = 0
+  const limit = getChunkTokenLimit()
+  const personaName = getPersonaName()
+
+  for (const msg of messages) {
+    // Skip system messages
+    if (msg.is_system) continue
+
+    const text = msg.mes?.trim()
+    if (!text || text.length < settings.minMessageLength) continue
+
+    // Check if we should save this type of message
+    const isUser = msg.is_user || false
+    if (isUser && !settings.saveUserMessages) continue
+    if (!isUser && !settings.saveCharacterMessages) continue
+
+    // Normalize send_date before using it
+    const normalizedDate = normalizeTimestamp(msg.send_date || Date.now())
+    
+    if (settings.debugMode) {
+      console.log("[Qdrant Memory] Message date - raw:", msg.send_date, "normalized:", normalizedDate, "formatted:", formatDateForChunk(normalizedDate))
+    }
+
+    // Create message object
+    const messageObj = {
+      text: text,
+      characterName: characterName,
+      isUser: isUser,
+      messageId: msg.extra?.qdrant_message_id ?? `${characterName}_${normalizedDate}_${messages.indexOf(msg)}`,
+      swipeId: getMessageSwipeId(msg),
+      timestamp: normalizedDate,
+    }
+
+    const speaker = isUser ? personaName : characterName
+    const messageSize = countTokens(`${speaker}: ${text}\n`)
+
+    // Too long for one chunk: save it in parts of its own
+    if (messageSize > limit) {
+      if (currentChunk.length > 0) {
+        chunks.push(createChunkFromMessages(currentChunk, source))
+        currentChunk = []
+        currentSize = 0
+      }
+      splitOversizeMessage(messageObj, speaker, limit).forEach((part) => {
+        chunks.push(createChunkFromMessages([part], source))
+      })
+      continue
+    }
+
+    // If adding this message would exceed max size, save current chunk
+    if (currentSize + messageSize > limit && currentChunk.length > 0) {
+      chunks.push(createChunkFromMessages(currentChunk, source))
+      currentChunk = []
+      currentSize = 0
+    }
+
+    currentChunk.push(messageObj)
+    currentSize += messageSize
+
+    // If we've reached min size and have a good number of messages, consider chunking
+    if (currentSize >= settings.chunkMinTokens && currentChunk.length >= 3) {
+      chunks.push(createChunkFromMessages(currentChunk, source))
+      currentChunk = []
+      currentSize = 0
+    }
+  }
+
+  // Save any remaining messages
+  if (currentChunk.length > 0) {
+    chunks.push(createChunkFromMessages(currentChunk, source))
+  }
+
+  return chunks
+}
+
+function createChunkFromMessages(messages, source = {}) {
+  let chunkText = ""
+  const speakers = new Set()
+  const messageIds = []
+  const swipeIds = []
+  let oldestTimestamp = Number.POSITIVE_INFINITY
+  
+  // NEW: Get the persona name once for all messages
+  const personaName = getPersonaName()
+
+  messages.forEach((msg) => {
+    const speaker = msg.isUser ? personaName : msg.characterName  // ← CHANGED: Use personaName
+    speakers.add(speaker)
+    messageIds.push(msg.messageId)
+    swipeIds.push(msg.swipeId ?? null)
+
+    const line = `${speaker}: ${msg.text}\n`
+    chunkText += line
+
+    if (msg.timestamp < oldestTimestamp) {
+      oldestTimestamp = msg.timestamp
+    }
+  })
+
+  // Format date prefix for the chunk
+  let finalText = chunkText.trim()
+  if (oldestTimestamp !== Number.POSITIVE_INFINITY) {
+    const dateStr = formatDateForChunk(oldestTimestamp)
+    finalText = `[${dateStr}]\n${finalText}`
+  }
+
+  return {
+    text: finalText,
+    speakers: Array.from(speakers),
+    messageIds: messageIds,
+    swipeIds: swipeIds,
+    messageCount: messages.length,
+    timestamp: oldestTimestamp !== Number.POSITIVE_INFINITY ? oldestTimestamp : Date.now(),
+    sourceType: source.sourceType || "index",
+    chatId: source.chatId ?? null,
+    part: messages.length === 1 ? messages[0].part ?? null : null,
+  }
+}
+
+async function indexCharacterChats() {
+  const context = getContext()
+  const characterName = context.name2
+  const toastr = window.toastr
+  const $ = window.$
+
+  if (!characterName) {
+    toastr.warning("No character selected", "Qdrant Memory")
+    return
+  }
+
+  const providerError = getEmbeddingProviderError()
+  if (providerError) {
+    toastr.error(providerError, "Qdrant Memory")
+    return
+  }
+
+  await syncCharacterCollections()
+
+  // Create progress modal
+  const modalHtml = `
+    <div id="qdrant_index_modal" style="
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 30px;
+      border-radius: 10px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+      z-index: 10000;
+      max-width: 500px;
+      width: 90%;
+    ">
+      <div style="color: #333;">
+        <h3 style="margin-top: 0;">Indexing Chats - ${characterName}</h3>
+        <p id="qdrant_index_status">Scanning for chat files...</p>
+        <div style="background: #f0f0f0; border-radius: 5px; height: 20px; margin: 15px 0; overflow: hidden;">
+          <div id="qdrant_index_progress" style="background: #4CAF50; height: 100%; width: 0%; transition: width 0.3s;"></div>
+        </div>
+        <p id="qdrant_index_details" style="font-size: 0.9em; color: #666;"></p>
+        <button id="qdrant_index_cancel" class="menu_button" style="margin-top: 15px;">Cancel</button>
+      </div>
+    </div>
+    <div id="qdrant_index_overlay" style="
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.5);
+      z-index: 9999;
+    "></div>
+  `
+
+  $("body").append(modalHtml)
+
+  const closeModal = () => {
+    $("#qdrant_index_modal").remove()
+    $("#qdrant_index_overlay").remove()
+  }
+
+  const setCancelButtonToClose = () => {
+    $("#qdrant_index_cancel")
+      .prop("disabled", false)
+      .text("Close")
+      .off("click")
+      .on("click", closeModal)
+  }
+
+  let cancelled = false
+  $("#qdrant_index_cancel").on("click", () => {
+    cancelled = true
+    $("#qdrant_index_cancel").text("Cancelling...").prop("disabled", true)
+  })
+
+  try {
+    // Get all chat files for this character
+    const chatFiles = await getCharacterChats(characterName)
+
+    if (chatFiles.length === 0) {
+      $("#qdrant_index_status").text("No chat files found")
+      setCancelButtonToClose()
+      setTimeout(() => {
+        closeModal()
+      }, 2000)
+      return
+    }
+
+    $("#qdrant_index_status").text(`Found ${chatFiles.length} chat files`)
+
+    const collectionName = getCollectionName(characterName)
+
+    let totalChunks = 0
+    let savedChunks = 0
+    let skippedChunks = 0
+    let failedChunks = 0
+
+    // Process each chat file
+    for (let i = 0; i < chatFiles.length; i++) {
+      if (cancelled) break
+
+      const chatFile = chatFiles[i]
+      const progress = ((i / chatFiles.length) * 100).toFixed(0)
+
+      $("#qdrant_index_progress").css("width", `${progress}%`)
+      $("#qdrant_index_status").text(`Processing chat ${i + 1}/${chatFiles.length}`)
+      $("#qdrant_index_details").text(`File: ${chatFile}`)
+
+      // Load chat file
+      const chatData = await loadChatFile(characterName, chatFile)
+      if (!chatData || !Array.isArray(chatData)) continue
+
+      // Create chunks from messages
+      const chunks = createChunksFromChat(chatData, characterName, chatFile)
+      totalChunks += chunks.length
+
+      // Save chunks in batches
+      const batchSize = Math.max(1, Number.parseInt(settings.indexBatchSize, 10) || 1)
+      for (let start = 0; start < chunks.length; start += batchSize) {
+        if (cancelled) break
+
+        const batch = chunks.slice(start, start + batchSize)
+
+        // Skip chunks whose messages are already stored
+        const existing = await findExistingChunks(collectionName, batch)
+        skippedChunks += existing.size
+
+        const newChunks = batch.filter((_, index) => !existing.has(index))
+        const result = await saveChunkBatch(characterName, newChunks)
+        savedChunks += result.saved
+        skippedChunks += result.skipped
+        failedChunks += result.failed
+
+        $("#qdrant_index_details").text(
+          `Saved: ${savedChunks} | Skipped: ${skippedChunks} | Failed: ${failedChunks} | Total: ${totalChunks}`,
+        )
+      }
+    }
+
+    // Complete
+    $("#qdrant_index_progress").css("width", "100%")
+
+    if (cancelled) {
+      $("#qdrant_index_status").text("Indexing cancelled")
+      toastr.info(`Indexed ${savedChunks} chunks before cancelling`, "Qdrant Memory")
+    } else {
+      $("#qdrant_index_status").text("Indexing complete!")
+      const failedNote = failedChunks > 0 ? `, ${failedChunks} failed` : ""
+      toastr.success(`Indexed ${savedChunks} new chunks, skipped ${skippedChunks} existing${failedNote}`, "Qdrant Memory")
+    }
+
+    setCancelButtonToClose()
+  } catch (error) {
+    console.error("[Qdrant Memory] Error indexing chats:", error)
+    $("#qdrant_index_status").text("Error during indexing")
+    $("#qdrant_index_details").text(error.message)
+    toastr.error("Failed to index chats", "Qdrant Memory")
+    setCancelButtonToClose()
+  }
+}
+
+// ============================================================================
+// GENERATION INTERCEPTOR
+// ============================================================================
+
+// FIXED: Prevent duplicate memory injection
+globalThis.qdrantMemoryInterceptor = async (chat, contextSize, abort, type) => {
+  if (!settings.enabled) {
+    if (settings.debugMode) {
+      console.log("[Qdrant Memory] Extension disabled, skipping")
+    }
+    return
+  }
+
+  // Don't hold up generation on a service that keeps failing
+  const retrievalBlocker = getRetrievalBlocker()
+  if (retrievalBlocker) {
+    console.warn(`[Qdrant Memory] Skipping memory retrieval: ${retrievalBlocker}`)
+    return
+  }
+
+  // NEW: Use chat hash instead of WeakMap
+  if (settings.preventDuplicateInjection) {
+    const chatHash = getChatHash(chat)
+    
+    if (memoryInjectionTracker.has(chatHash)) {
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] Memories already injected for this chat state, skipping")
+      }
+      return
+    }
+    
+    // Mark this chat state as having memories injected
+    memoryInjectionTracker.add(chatHash)
+    
+    // Clean up old hashes to prevent memory leaks (keep last 50)
+    if (memoryInjectionTracker.size > 50) {
+      const oldestHash = memoryInjectionTracker.values().next().value
+      memoryInjectionTracker.delete(oldestHash)
+    }
+  }
+
+  try {
+    const context = getContext()
+    const characterName = context.name2
+
+    // Skip if no character is selected
+    if (!characterName) {
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] No character selected, skipping")
+      }
+      return
+    }
+
+    // Build the search queries from the end of the chat. Quiet generations
+    // (summaries and the like from other extensions) are not held up for a rewrite.
+    const queries = type === "quiet" ? buildRetrievalQueries(chat) : await buildSearchQueries(chat)
+    if (queries.length === 0) {
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] No message to build a query from, skipping")
+      }
+      return
+    }
+
+    if (settings.debugMode) {
+      console.log("[Qdrant Memory] Generation interceptor triggered")
+      console.log("[Qdrant Memory] Type:", type)
       console.log("[Qdrant Memory] Context size:", contextSize)
-      console.log("[Qdrant Memory] Searching for:", query)
+      logRetrievalQueries(queries)
       console.log("[Qdrant Memory] Character:", characterName)
     }
 
-    // Search for relevant memories
-    const memories = await searchMemories(query, characterName)
+    // Search for relevant memories
+    const memories = await searchMemories(queries, characterName)
+
+    if (memories.length > 0) {
+      const memoryText = formatMemories(memories)
+
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] Retrieved memories:", memoryText)
+      }
+
+      // Create memory entry
+      const memoryEntry = {
+        name: "System",
+        is_user: false,
+        is_system: true,
+        mes: memoryText,
+        send_date: Date.now(),
+      }
+
+      // Insert memories at the specified position from the end
+      const insertIndex = Math.max(0, chat.length - settings.memoryPosition)
+      chat.splice(insertIndex, 0, memoryEntry)
+
+      if (settings.debugMode) {
+        console.log(`[Qdrant Memory] Injected ${memories.length} memories at position ${insertIndex}`)
+      }
+
+      recordMemoryRetrievals(getCollectionName(characterName), memories).catch((error) => {
+        console.warn("[Qdrant Memory] Failed to record memory retrievals:", error)
+      })
+
+      const toastr = window.toastr
+      if (settings.showMemoryNotifications) {
+        toastr.info(`Retrieved ${memories.length} relevant memories`, "Qdrant Memory", { timeOut: 2000 })
+      }
+    } else {
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] No relevant memories found")
+      }
+    }
+  } catch (error) {
+    console.error("[Qdrant Memory] Error in generation interceptor:", error)
+  }
+}
+
+// ============================================================================
+// AUTOMATIC MEMORY CREATION
+// ============================================================================
+
+function clearPendingAssistantFinalize() {
+  if (pendingAssistantFinalize?.pollTimerId) {
+    clearInterval(pendingAssistantFinalize.pollTimerId)
+  }
+  pendingAssistantFinalize = null
+}
+
+function scheduleFinalizeLastAssistantMessage(messageId, characterName) {
+  const context = getContext()
+  const chat = context.chat || []
+
+  if (chat.length === 0) {
+    if (settings.debugMode) {
+      console.log("[Qdrant Memory] No chat messages to finalize")
+    }
+    return
+  }
+
+  const lastMessage = chat[chat.length - 1]
+  
+  // Safety check: make sure this is actually a character message
+  if (lastMessage.is_user) {
+    if (settings.debugMode) {
+      console.log("[Qdrant Memory] Last message is user message, skipping finalize")
+    }
+    return
+  }
+  
+  const initialText = lastMessage?.mes || ""
+
+  clearPendingAssistantFinalize()
+
+  const pollInterval = settings.streamFinalizePollMs || 250
+  const stableMs = settings.streamFinalizeStableMs || 1200
+  const maxWaitMs = settings.streamFinalizeMaxWaitMs || 300000
+
+  if (settings.debugMode) {
+    console.log("[Qdrant Memory] Starting stream finalize poll for character message")
+    console.log("[Qdrant Memory] Initial text length:", initialText.length)
+  }
+
+  pendingAssistantFinalize = {
+    messageId,
+    characterName,
+    startedAt: Date.now(),
+    lastText: initialText,
+    lastChangeAt: Date.now(),
+    pollTimerId: null,
+  }
+
+  const finalizeAssistant = (text, reason) => {
+    if (!text || text.trim().length === 0) {
+      if (settings.debugMode) {
+        console.warn("[Qdrant Memory] Attempted to finalize empty message, skipping")
+      }
+      clearPendingAssistantFinalize()
+      return
+    }
+
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] Finalizing character message (${reason})`)
+      console.log(`[Qdrant Memory] Final text length: ${text.length}`)
+      console.log(`[Qdrant Memory] Text preview: "${text.substring(0, 100)}..."`)
+    }
+
+    // Buffer the complete message
+    const finalChat = getContext().chat || []
+    bufferMessage(text, characterName, false, messageId, getMessageSwipeId(finalChat[finalChat.length - 1]))
+
+    // Track the finished text; the reply was tracked while it was still streaming
+    queueMessageSync(() => trackChatMessages())
+
+    // Optionally flush the buffer if we have enough messages
+    if (settings.flushAfterAssistant && messageBuffer.length >= 2) {
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] Flushing buffer after assistant message")
+      }
+      processMessageBuffer()
+    }
+
+    clearPendingAssistantFinalize()
+  }
+
+  let pollCount = 0
+  
+  pendingAssistantFinalize.pollTimerId = setInterval(() => {
+    pollCount++
+    
+    const currentContext = getContext()
+    const currentChat = currentContext.chat || []
+    
+    if (currentChat.length === 0) {
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] Chat is empty, cancelling finalize")
+      }
+      clearPendingAssistantFinalize()
+      return
+    }
+    
+    const currentLastMessage = currentChat[currentChat.length - 1] || {}
+    const currentText = currentLastMessage.mes || ""
+    const now = Date.now()
+
+    // Log every 4 seconds (16 polls at 250ms) in debug mode
+    if (settings.debugMode && pollCount % 16 === 0) {
+      console.log(`[Qdrant Memory] Stream poll check #${pollCount}: length=${currentText.length}`)
+    }
+
+    // Detect if the text has changed
+    if (currentText !== pendingAssistantFinalize.lastText) {
+      if (settings.debugMode && pollCount % 4 === 0) {
+        console.log(`[Qdrant Memory] Text changed: ${pendingAssistantFinalize.lastText.length} → ${currentText.length}`)
+      }
+      pendingAssistantFinalize.lastText = currentText
+      pendingAssistantFinalize.lastChangeAt = now
+    }
+
+    const stableDuration = now - pendingAssistantFinalize.lastChangeAt
+    const totalDuration = now - pendingAssistantFinalize.startedAt
+
+    // Check if message switched to user (conversation continued)
+    if (currentLastMessage.is_user) {
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] Detected new user message, finalizing previous assistant message")
+      }
+      finalizeAssistant(pendingAssistantFinalize.lastText, "new user message detected")
+      return
+    }
+
+    // Check if text has been stable for the required duration
+    if (stableDuration >= stableMs) {
+      finalizeAssistant(pendingAssistantFinalize.lastText, `stable for ${stableDuration}ms`)
+      return
+    }
+
+    // Safety: max wait time exceeded
+    if (totalDuration >= maxWaitMs) {
+      if (settings.debugMode) {
+        console.warn(`[Qdrant Memory] Max wait (${maxWaitMs}ms) reached while finalizing assistant message`)
+      }
+      finalizeAssistant(pendingAssistantFinalize.lastText, "max wait reached")
+    }
+  }, pollInterval)
+}
+
+function onMessageSent() {
+  if (!settings.enabled) return
+  if (!settings.autoSaveMemories) return
+
+  try {
+    const context = getContext()
+    const chat = context.chat || []
+    const characterName = context.name2
+
+    if (!characterName || chat.length === 0) {
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] No character or empty chat, skipping save")
+      }
+      return
+    }
+
+    // Get the last message
+    const lastMessage = chat[chat.length - 1]
+
+    // Normalize send_date for messageId
+    const normalizedDate = normalizeTimestamp(lastMessage.send_date || Date.now())
+    
+    // Create a unique ID for this message (or reuse the one it was stamped with)
+    const messageId = lastMessage.extra?.qdrant_message_id ?? `${characterName}_${normalizedDate}_${chat.length - 1}`
+
+    if (!lastMessage.mes || lastMessage.mes.trim().length === 0) {
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] Empty message, skipping")
+      }
+      return
+    }
+
+    const isUser = lastMessage.is_user || false
+    
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] onMessageSent - isUser: ${isUser}, length: ${lastMessage.mes.length}`)
+    }
+
+    // Remember the ID on the message itself, so later edits and deletions
+    // find its chunks even after other messages shift its index
+    stampMessageId(lastMessage, messageId)
+    
+    if (isUser) {
+      // User messages are saved immediately
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] Buffering user message immediately")
+      }
+      bufferMessage(lastMessage.mes, characterName, true, messageId, getMessageSwipeId(lastMessage))
+    } else {
+      // Character messages need to wait for streaming to complete
+      if (settings.debugMode) {
+        console.log("[Qdrant Memory] Character message detected, scheduling finalize poll")
+      }
+      scheduleFinalizeLastAssistantMessage(messageId, characterName)
+    }
+  } catch (error) {
+    console.error("[Qdrant Memory] Error in onMessageSent:", error)
+  }
+}
+
+// ============================================================================
+// MESSAGE SYNC (EDITS, DELETIONS, SWIPES)
+// ============================================================================
+
+// Chat message -> { id, text, swipeId } as last seen. Lets edits be compared
+// with the previous text and keeps each message's ID stable when deletions
+// shift the indexes the IDs were derived from.
+let trackedMessages = new WeakMap()
+let trackedChat = []
+let trackedChatId = null
+
+// Sync jobs run one at a time so overlapping events can't race on a chunk
+let messageSyncQueue = Promise.resolve()
+
+// Message index -> stability poll timer for swipes still being generated
+const pendingSwipeSyncs = new Map()
+
+function getMessageSwipeId(message) {
+  return Number.isInteger(message?.swipe_id) ? message.swipe_id : null
+}
+
+function stampMessageId(message, messageId) {
+  if (!message) return
+  message.extra = message.extra || {}
+  message.extra.qdrant_message_id = messageId
+}
+
+// ID a chat message was (or will be) stored under
+function getStoredMessageId(message, index, characterName = getContext().name2) {
+  return (
+    message?.extra?.qdrant_message_id ??
+    trackedMessages.get(message)?.id ??
+    `${characterName}_${normalizeTimestamp(message?.send_date || Date.now())}_${index}`
+  )
+}
+
+// Remember the current state of every message in the chat
+function trackChatMessages() {
+  const context = getContext()
+  const chat = context.chat || []
+  const chatId = getCurrentChatId()
+
+  if (chatId !== trackedChatId) {
+    trackedMessages = new WeakMap()
+    trackedChatId = chatId
+  }
+
+  const tracked = new WeakMap()
+  chat.forEach((message, index) => {
+    tracked.set(message, {
+      id: getStoredMessageId(message, index, context.name2),
+      text: message.mes || "",
+      swipeId: getMessageSwipeId(message),
+    })
+  })
+
+  trackedMessages = tracked
+  trackedChat = [...chat]
+}
+
+function queueMessageSync(job) {
+  messageSyncQueue = messageSyncQueue.then(job).catch((error) => {
+    console.error("[Qdrant Memory] Failed to sync memories with chat changes:", error)
+  })
+  return messageSyncQueue
+}
+
+// Stored chunks containing any of the message IDs, from every collection the
+// current chat saves to. Returns [{ collectionName, characterName, point }].
+async function findChunksForMessages(messageIds) {
+  const matches = []
+  const seen = new Set()
+
+  for (const characterName of getChatParticipants()) {
+    const collectionName = getCollectionName(characterName)
+    const { exists } = await collectionExists(collectionName)
+    if (!exists) continue
+
+    const filter = settings.usePerCharacterCollections
+      ? buildMessageIdsFilter(messageIds)
+      : { must: [{ key: "character", match: { value: characterName } }, buildMessageIdsFilter(messageIds)] }
+
+    let offset = null
+    do {
+      const page = await scrollPoints(collectionName, { offset, limit: 64, filter, withPayload: true })
+      if (!page) break
+
+      page.points.forEach((point) => {
+        const key = `${collectionName}|${point.id}`
+        if (!seen.has(key)) {
+          seen.add(key)
+          matches.push({ collectionName, characterName, point })
+        }
+      })
+      offset = page.nextOffset
+    } while (offset !== null)
+  }
+
+  return matches
+}
+
+// Rebuild a stored chunk from the current chat. Returns the new payload, null
+// if none of its messages are left, or undefined if it can't be updated safely.
+// `previousTexts` maps the changed message IDs to their text before the change.
+function rebuildChunkPayload(payload, messagesById, removedIds, previousTexts) {
+  const normalized = normalizePayload(payload)
+  const datePrefix =
+    normalized.text.match(/^\[[\d-]+\]\n/)?.[0] ??
+    (normalized.timestamp === null ? "" : `[${formatDateForChunk(normalized.timestamp)}]\n`)
+  const personaName = getPersonaName()
+  const characterName = getContext().name2
+
+  const messageIds = []
+  const swipeIds = []
+  const speakers = new Set()
+  const lines = []
+  let resolved = true
+
+  for (const id of normalized.messageIds) {
+    if (removedIds.has(id)) continue
+
+    const message = messagesById.get(id)
+    if (!message) {
+      resolved = false
+      break
+    }
+
+    const text = (message.mes || "").trim()
+    if (!text) continue
+
+    const speaker = message.is_user ? personaName : message.name || characterName
+    speakers.add(speaker)
+    messageIds.push(id)
+    swipeIds.push(getMessageSwipeId(message))
+    lines.push(`${speaker}: ${text}`)
+  }
+
+  if (resolved) {
+    if (messageIds.length === 0) return null
+    return {
+      ...normalized,
+      text: `${datePrefix}${lines.join("\n")}`,
+      speakers: [...speakers],
+      messageIds,
+      swipeIds,
+      messageCount: messageIds.length,
+    }
+  }
+
+  // Some messages aren't in this chat under the stored IDs (e.g. indexed
+  // before a deletion shifted them), so only patch the changed messages' text
+  let text = normalized.text
+  const patchedIds = [...normalized.messageIds]
+  const patchedSwipeIds = normalized.messageIds.map((_, index) => normalized.swipeIds?.[index] ?? null)
+
+  for (const [id, previousText] of previousTexts) {
+    const position = patchedIds.indexOf(id)
+    if (position < 0) continue
+
+    const oldText = previousText?.trim()
+    const start = oldText ? text.indexOf(oldText) : -1
+    if (start < 0) return undefined
+
+    if (removedIds.has(id)) {
+      // Drop the whole "Speaker: text" line
+      const lineStart = text.lastIndexOf("\n", start) + 1
+      const lineEnd = start + oldText.length + (text[start + oldText.length] === "\n" ? 1 : 0)
+      text = text.slice(0, lineStart) + text.slice(lineEnd)
+      patchedIds.splice(position, 1)
+      patchedSwipeIds.splice(position, 1)
+    } else {
+      const message = messagesById.get(id)
+      text = text.slice(0, start) + (message?.mes || "").trim() + text.slice(start + oldText.length)
+      patchedSwipeIds[position] = getMessageSwipeId(message)
+    }
+  }
+
+  if (patchedIds.length === 0) return null
+  return {
+    ...normalized,
+    text: text.trimEnd(),
+    messageIds: patchedIds,
+    swipeIds: patchedSwipeIds,
+    messageCount: patchedIds.length,
+  }
+}
+
+// A rebuilt chunk that an edit pushed past the chunk limit, as payloads that
+// fit: its messages packed in order, and a message too long on its own split
+// into parts like a freshly buffered one. Returns the payload unchanged if
+// its messages can't all be found in the chat.
+function splitRebuiltPayload(payload, messagesById) {
+  if (!payload.messageIds.every((id) => messagesById.has(id))) return [payload]
+
+  const datePrefix = payload.text.match(/^\[[\d-]+\]\n/)?.[0] ?? ""
+  const limit = getChunkTokenLimit()
+  const personaName = getPersonaName()
+  const characterName = getContext().name2
+  const prefixTokens = countTokens(datePrefix)
+  const groups = []
+  let group = []
+  let groupTokens = prefixTokens
+
+  payload.messageIds.forEach((messageId, index) => {
+    const message = messagesById.get(messageId)
+    const speaker = message.is_user ? personaName : message.name || characterName
+    const entry = { messageId, swipeId: payload.swipeIds?.[index] ?? null, speaker, text: (message.mes || "").trim() }
+    const tokens = countTokens(`${speaker}: ${entry.text}\n`)
+
+    if (group.length > 0 && groupTokens + tokens > limit) {
+      groups.push(group)
+      group = []
+      groupTokens = prefixTokens
+    }
+    if (prefixTokens + tokens > limit) {
+      splitOversizeMessage(entry, speaker, limit).forEach((part) => groups.push([part]))
+      return
+    }
+    group.push(entry)
+    groupTokens += tokens
+  })
+  if (group.length > 0) {
+    groups.push(group)
+  }
+
+  return groups.map((entries) => {
+    const part = entries.length === 1 ? entries[0].part : null
+    return {
+      ...payload,
+      text: `${datePrefix}${entries.map((entry) => `${entry.speaker}: ${entry.text}`).join("\n")}`,
+      speakers: [...new Set(entries.map((entry) => entry.speaker))],
+      messageIds: entries.map((entry) => entry.messageId),
+      swipeIds: entries.map((entry) => entry.swipeId),
+      messageCount: entries.length,
+      ...(part ? { partIndex: part.index, partCount: part.count } : {}),
+    }
+  })
+}
+
+// Re-embed or delete the stored chunks that contain the given messages.
+// Returns the number of chunks changed.
+async function updateStoredChunks(messageIds, { removedIds = new Set(), previousTexts = new Map() } = {}) {
+  const context = getContext()
+  const chat = context.chat || []
+  const messagesById = new Map()
+  chat.forEach((message, index) => {
+    messagesById.set(getStoredMessageId(message, index, context.name2), message)
+  })
+
+  const matches = await findChunksForMessages(messageIds)
+  const embeddings = new Map()
+  let changed = 0
+
+  // The parts of a long message are rebuilt together, since an edit can
+  // change how many parts there are
+  const partGroups = new Map()
+  const wholeMatches = []
+  for (const match of matches) {
+    if (Number.isInteger(match.point.payload?.partIndex)) {
+      const messageId = getPayloadMessageIds(match.point.payload)[0]
+      const key = `${match.collectionName}|${match.characterName}|${messageId}`
+      if (!partGroups.has(key)) partGroups.set(key, [])
+      partGroups.get(key).push(match)
+    } else {
+      wholeMatches.push(match)
+    }
+  }
+
+  for (const group of partGroups.values()) {
+    changed += await updateMessageParts(group, messagesById, removedIds)
+  }
+
+  for (const { collectionName, characterName, point } of wholeMatches) {
+    const payload = rebuildChunkPayload(point.payload, messagesById, removedIds, previousTexts)
+
+    if (payload === undefined) {
+      if (settings.debugMode) {
+        console.log(`[Qdrant Memory] Could not match chunk ${point.id} to the current chat, leaving it unchanged`)
+      }
+      continue
+    }
+
+    if (payload === null) {
+      if (await deletePoints(collectionName, [point.id])) {
+        changed++
+      }
+      continue
+    }
+
+    if (!settings.usePerCharacterCollections) {
+      payload.character = characterName
+    }
+
+    const swipesChanged = JSON.stringify(payload.swipeIds) !== JSON.stringify(point.payload?.swipeIds)
+    if (payload.text === point.payload?.text && !swipesChanged) continue
+    payload.embeddingTemplate = getEmbeddingTemplateVersion()
+
+    // An edit can make the chunk too long to embed, so it is split up again
+    const payloads = countTokens(payload.text) > getChunkTokenLimit() ? splitRebuiltPayload(payload, messagesById) : [payload]
+
+    const missing = [...new Set(payloads.map((entry) => entry.text).filter((text) => !embeddings.has(text)))]
+    if (missing.length > 0) {
+      const fresh = await generateEmbeddings(missing)
+      missing.forEach((text, index) => {
+        if (fresh[index]) embeddings.set(text, fresh[index])
+      })
+    }
+    if (!payloads.every((entry) => embeddings.has(entry.text))) {
+      console.error(`[Qdrant Memory] Failed to re-embed chunk ${point.id} after a chat change`)
+      continue
+    }
+
+    const points = payloads.map((entry) => ({
+      id: getPointId(collectionName, entry),
+      vector: buildPointVector(collectionName, embeddings.get(entry.text), entry.text),
+      payload: entry,
+    }))
+    if (!(await upsertPoints(collectionName, points))) continue
+
+    if (!points.some(({ id }) => id === point.id)) {
+      await deletePoints(collectionName, [point.id])
+    }
+    if (settings.debugMode && points.length > 1) {
+      console.log(`[Qdrant Memory] Chunk ${point.id} grew past the chunk limit and was split into ${points.length}`)
+    }
+    changed++
+  }
+
+  return changed
+}
+
+// Re-split a long message after a change and replace its stored parts.
+// Returns the number of parts written or deleted.
+async function updateMessageParts(group, messagesById, removedIds) {
+  const { collectionName, characterName } = group[0]
+  const stored = group.map((match) => normalizePayload(match.point.payload))
+  const first = stored.reduce((lowest, payload) => (payload.partIndex < lowest.partIndex ? payload : lowest))
+  const messageId = first.messageIds[0]
+  const oldIds = group.map((match) => match.point.id)
+
+  if (removedIds.has(messageId)) {
+    return (await deletePoints(collectionName, oldIds)) ? oldIds.length : 0
+  }
+
+  const message = messagesById.get(messageId)
+  if (!message) {
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] Could not match the parts of ${messageId} to the current chat, leaving them unchanged`)
+    }
+    return 0
+  }
+
+  const datePrefix =
+    first.text.match(/^\[[\d-]+\]\n/)?.[0] ?? (first.timestamp === null ? "" : `[${formatDateForChunk(first.timestamp)}]\n`)
+  const speaker = message.is_user ? getPersonaName() : message.name || getContext().name2
+  const swipeId = getMessageSwipeId(message)
+  const limit = Math.max(1, getChunkTokenLimit() - countTokens(`${datePrefix}${speaker}: `))
+  const pieces = splitTextByTokens(message.mes || "", limit)
+  if (pieces.length === 0) {
+    return (await deletePoints(collectionName, oldIds)) ? oldIds.length : 0
+  }
+
+  const payloads = pieces.map((piece, index) => {
+    const { partIndex, partCount, ...rest } = first
+    const payload = {
+      ...rest,
+      text: `${datePrefix}${speaker}: ${piece}`,
+      speakers: [speaker],
+      swipeIds: [swipeId],
+      messageCount: 1,
+      embeddingTemplate: getEmbeddingTemplateVersion(),
+    }
+    if (pieces.length > 1) {
+      payload.partIndex = index
+      payload.partCount = pieces.length
+    }
+    if (!settings.usePerCharacterCollections) {
+      payload.character = characterName
+    }
+    return payload
+  })
+
+  const oldTexts = stored.map((payload) => payload.text).sort().join("\n")
+  const swipesChanged = stored.some((payload) => payload.swipeIds?.[0] !== swipeId)
+  if (!swipesChanged && oldTexts === payloads.map((payload) => payload.text).sort().join("\n")) {
+    return 0
+  }
+
+  const embeddings = await generateEmbeddings(payloads.map((payload) => payload.text))
+  if (embeddings.some((embedding) => !embedding)) {
+    console.error(`[Qdrant Memory] Failed to re-embed the parts of ${messageId} after a chat change`)
+    return 0
+  }
+
+  const points = payloads.map((payload, index) => ({
+    id: getPointId(collectionName, payload),
+    vector: buildPointVector(collectionName, embeddings[index], payload.text),
+    payload,
+  }))
+  if (!(await upsertPoints(collectionName, points))) return 0
+
+  const newIds = new Set(points.map((point) => point.id))
+  const staleIds = oldIds.filter((id) => !newIds.has(id))
+  if (staleIds.length > 0) {
+    await deletePoints(collectionName, staleIds)
+  }
+  return points.length
+}
+
+// A message was edited or swiped: update the buffer or the stored chunks
+async function syncChangedMessage(index, reason) {
+  const context = getContext()
+  const chat = context.chat || []
+  const message = chat[index]
+  if (!message) return
+
+  const previous = trackedMessages.get(message)
+  const messageId = getStoredMessageId(message, index, context.name2)
+  const text = message.mes || ""
+  const swipeId = getMessageSwipeId(message)
+
+  if (previous && previous.text === text && previous.swipeId === swipeId) return
+
+  // Not saved yet: just fix the buffered copy
+  const buffered = messageBuffer.filter((entry) => entry.messageId === messageId)
+  if (buffered.length > 0) {
+    buffered.forEach((entry) => {
+      entry.text = text
+      entry.swipeId = swipeId
+    })
+    trackChatMessages()
+    return
+  }
+
+  const changed = await updateStoredChunks([messageId], {
+    previousTexts: new Map([[messageId, previous?.text]]),
+  })
+
+  if (settings.debugMode) {
+    console.log(`[Qdrant Memory] Message ${messageId} ${reason}: updated ${changed} stored chunks`)
+  }
+
+  // A swipe replaced a reply that was never saved; remember the new one instead
+  const isLastReply = index === chat.length - 1 && !message.is_user
+  if (changed === 0 && reason === "swiped" && isLastReply && !pendingAssistantFinalize && settings.autoSaveMemories) {
+    stampMessageId(message, messageId)
+    bufferMessage(text, context.name2, false, messageId, swipeId)
+  }
+
+  trackChatMessages()
+}
+
+// Messages were deleted: drop them from the buffer and the stored chunks
+async function syncDeletedMessages() {
+  if (getCurrentChatId() !== trackedChatId) {
+    trackChatMessages()
+    return
+  }
+
+  const current = new Set(getContext().chat || [])
+  const removed = trackedChat.filter((message) => !current.has(message))
+  const removedEntries = removed.map((message) => trackedMessages.get(message)).filter(Boolean)
+
+  if (removedEntries.length > 0) {
+    const removedIds = new Set(removedEntries.map((entry) => entry.id))
+    messageBuffer = messageBuffer.filter((entry) => !removedIds.has(entry.messageId))
+
+    // A reply deleted while it was still being finalized must not be saved afterwards
+    if (pendingAssistantFinalize && removedIds.has(pendingAssistantFinalize.messageId)) {
+      clearPendingAssistantFinalize()
+    }
+
+    const changed = await updateStoredChunks([...removedIds], {
+      removedIds,
+      previousTexts: new Map(removedEntries.map((entry) => [entry.id, entry.text])),
+    })
+
+    if (settings.debugMode) {
+      console.log(`[Qdrant Memory] ${removedIds.size} messages deleted: updated ${changed} stored chunks`)
+    }
+  }
+
+  trackChatMessages()
+}
+
+// Swiping to a new reply starts a generation, so wait for the text to settle
+function scheduleSwipeSync(index) {
+  clearInterval(pendingSwipeSyncs.get(index))
+
+  const pollInterval = settings.streamFinalizePollMs || 250
+  const stableMs = settings.streamFinalizeStableMs || 1200
+  const maxWaitMs = settings.streamFinalizeMaxWaitMs || 300000
+  const startedAt = Date.now()
+  let lastText = null
+  let lastChangeAt = startedAt
+
+  const timerId = setInterval(() => {
+    const message = (getContext().chat || [])[index]
+    const text = message?.mes || ""
+    const now = Date.now()
+
+    if (text !== lastText) {
+      lastText = text
+      lastChangeAt = now
+    }
+
+    const settled = now - lastChangeAt >= stableMs && text.trim().length > 0 && text !== "..."
+    if (!message || settled || now - startedAt >= maxWaitMs) {
+      clearInterval(timerId)
+      pendingSwipeSyncs.delete(index)
+      if (message && text.trim()) {
+        queueMessageSync(() => syncChangedMessage(index, "swiped"))
+      }
+    }
+  }, pollInterval)
+
+  pendingSwipeSyncs.set(index, timerId)
+}
+
+function registerMessageSyncHooks() {
+  const eventSource = window.eventSource
+  if (typeof eventSource === "undefined" || !eventSource.on) {
+    console.warn("[Qdrant Memory] No event source available, stored memories won't follow edits and deletions")
+    return
+  }
+
+  const { eventTypes } = getContext()
+  const isActive = () => settings.enabled && settings.syncMessageChanges
+
+  eventSource.on(eventTypes?.MESSAGE_EDITED ?? "message_edited", (index) => {
+    if (!isActive()) return
+    queueMessageSync(() => syncChangedMessage(Number(index), "edited"))
+  })
+
+  eventSource.on(eventTypes?.MESSAGE_SWIPED ?? "message_swiped", (index) => {
+    if (!isActive()) return
+    scheduleSwipeSync(Number(index))
+  })
+
+  eventSource.on(eventTypes?.MESSAGE_DELETED ?? "message_deleted", () => {
+    if (!isActive()) return
+    queueMessageSync(() => syncDeletedMessages())
+  })
+
+  // Deletions are found by comparing with the tracked chat, so new messages
+  // have to be tracked as they arrive or deleting one would go unnoticed
+  const trackNewMessages = () => {
+    queueMessageSync(() => trackChatMessages())
+  }
+  eventSource.on(eventTypes?.MESSAGE_SENT ?? "message_sent", trackNewMessages)
+  eventSource.on(eventTypes?.MESSAGE_RECEIVED ?? "message_received", trackNewMessages)
+
+  eventSource.on(eventTypes?.CHAT_CHANGED ?? "chat_id_changed", () => {
+    pendingSwipeSyncs.forEach((timerId) => clearInterval(timerId))
+    pendingSwipeSyncs.clear()
+    trackChatMessages()
+  })
+
+  trackChatMessages()
+}
+
+// ============================================================================
+// EMBEDDING MODEL MIGRATION
+// ============================================================================
+
+// Migrations re-embed a collection into a new versioned collection
+// (`<name>__v<n>`) and then point an alias with the original name at it, so
+// getCollectionName keeps resolving to the live data. The previous collection
+// is kept until the user deletes it, which makes rollback an alias switch.
+// Progress is persisted so an interrupted migration can be resumed.
+
+const MIGRATION_STORAGE_KEY = `${extensionName}_migrations`
+const activeMigrations = new Set()
+
+function loadMigrations() {
+  try {
+    return JSON.parse(localStorage.getItem(MIGRATION_STORAGE_KEY) || "{}") || {}
+  } catch (error) {
+    console.error("[Qdrant Memory] Failed to load migration state:", error)
+    return {}
+  }
+}
+
+function getMigrationState(logicalName) {
+  return loadMigrations()[logicalName] || null
+}
+
+function saveMigrationState(state) {
+  const migrations = loadMigrations()
+  migrations[state.logicalName] = { ...state, updatedAt: Date.now() }
+  localStorage.setItem(MIGRATION_STORAGE_KEY, JSON.stringify(migrations))
+}
+
+function clearMigrationState(logicalName) {
+  const migrations = loadMigrations()
+  delete migrations[logicalName]
+  localStorage.setItem(MIGRATION_STORAGE_KEY, JSON.stringify(migrations))
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+// Next free version number for `<logicalName>__v<n>`
+async function getNextCollectionVersion(logicalName) {
+  const collections = (await listCollections()) || []
+  const pattern = new RegExp(`^${escapeRegExp(logicalName)}__v(\\d+)$`)
+  const versions = collections
+    .map((name) => pattern.exec(name))
+    .filter(Boolean)
+    .map((match) => Number.parseInt(match[1], 10))
+
+  return versions.length > 0 ? Math.max(...versions) + 1 : 1
+}
+
+// Set up a new migration for a character's collection
+async function startMigration(characterName) {
+  const logicalName = getCollectionName(characterName)
+  const aliases = await listAliases()
+  if (!aliases) {
+    throw new Error("Could not read collection aliases from Qdrant")
+  }
+
+  const alias = aliases.find((entry) => entry.alias_name === logicalName)
+  const sourceCollection = alias ? alias.collection_name : logicalName
+  const sourceInfo = await collectionExists(sourceCollection)
+  if (!sourceInfo.exists) {
+    throw new Error(`Collection ${logicalName} does not exist`)
+  }
+
+  // The first migration of a plain collection has to free its name for the
+  // alias, so the original is copied verbatim into a versioned backup first
+  const adopt = !alias
+  const nextVersion = await getNextCollectionVersion(logicalName)
+  const backupCollection = adopt ? `${logicalName}__v${nextVersion}` : null
+  const targetCollection = `${logicalName}__v${adopt ? nextVersion + 1 : nextVersion}`
+
+  const state = {
+    logicalName,
+    characterName,
+    sourceCollection,
+    sourceVectorSize: sourceInfo.vectorSize,
+    sourceHybrid: Boolean(sourceInfo.hybrid),
+    backupCollection,
+    targetCollection,
+    provider: settings.embeddingProvider,
+    model: settings.embeddingModel,
+    template: getEmbeddingTemplateVersion(),
+    phase: "reembed",
+    offset: null,
+    processed: 0,
+    skipped: 0,
+    total: (await countPoints(sourceCollection)) ?? 0,
+    startedAt: Date.now(),
+    error: null,
+  }
+
+  saveMigrationState(state)
+  return state
+}
+
+// Re-embed a page of source points into the target collection
+async function reembedPoints(points, targetCollection) {
+  const embeddable = points.filter((point) => typeof point.payload?.text === "string" && point.payload.text.trim())
+  const skipped = points.length - embeddable.length
+
+  const vectors = await generateEmbeddings(embeddable.map((point) => point.payload.text))
+  if (vectors.some((vector) => !Array.isArray(vector))) {
+    throw new Error("Embedding provider failed while re-embedding")
+  }
+
+  const targetReady = await ensureCollectionByName(targetCollection, vectors[0]?.length)
+  if (!targetReady) {
+    throw new Error(`Could not create ${targetCollection}`)
+  }
+
+  const saved = await upsertPoints(
+    targetCollection,
+    embeddable.map((point, index) => ({
+      id: point.id,
+      vector: buildPointVector(targetCollection, vectors[index], point.payload.text),
+      payload: { ...normalizePayload(point.payload), embeddingTemplate: getEmbeddingTemplateVersion() },
+    })),
+  )
+  if (!saved) {
+    throw new Error(`Failed to write to ${targetCollection}`)
+  }
+
+  return { written: embeddable.length, skipped }
+}
+
+// Create a collection by name if it does not exist yet (no character lookup)
+async function ensureCollectionByName(collectionName, vectorSize, options = {}) {
+  const { exists } = await collectionExists(collectionName)
+  if (exists) return true
+  return await createCollection(collectionName, vectorSize, options)
+}
+
+// Re-embed any source points that never made it into the target, e.g. ones
+// saved while the migration was running
+async function copyMissingPoints(state, progress, sourceCollection = state.sourceCollection) {
+  let offset = null
+  let copied = 0
+
+  do {
+    const page = await scrollPoints(sourceCollection, {
+      offset,
+      limit: Math.max(1, settings.indexBatchSize),
+      withPayload: true,
+    })
+    if (!page) {
+      throw new Error(`Failed to read ${sourceCollection}`)
+    }
+
+    const existing = await retrievePoints(state.targetCollection, page.points.map((point) => point.id))
+    if (!existing) {
+      throw new Error(`Failed to read ${state.targetCollection}`)
+    }
+
+    const existingIds = new Set(existing.map((point) => String(point.id)))
+    const missing = page.points.filter((point) => !existingIds.has(String(point.id)))
+    if (missing.length > 0) {
+      const result = await reembedPoints(missing, state.targetCollection)
+      copied += result.written
+      progress?.setDetails(`Catching up: ${copied} missing memories re-embedded`)
+    }
+
+    offset = page.nextOffset
+  } while (offset !== null)
+
+  return copied
+}
+
+// Copy a collection verbatim (vectors included) into another collection
+async function copyCollection(sourceCollection, targetCollection, progress) {
+  const sourceInfo = await collectionExists(sourceCollection)
+  const targetReady = await ensureCollectionByName(targetCollection, sourceInfo.vectorSize, {
+    hybrid: Boolean(sourceInfo.hybrid),
+  })
+  if (!targetReady) {
+    throw new Error(`Could not create ${targetCollection}`)
+  }
+
+  let offset = null
+  let copied = 0
+
+  do {
+    const page = await scrollPoints(sourceCollection, { offset, limit: 256, withPayload: true, withVector: true })
+    if (!page) {
+      throw new Error(`Failed to read ${sourceCollection}`)
+    }
+
+    const saved = await upsertPoints(
+      targetCollection,
+      page.points.map((point) => ({ id: point.id, vector: point.vector, payload: point.payload })),
+    )
+    if (!saved) {
+      throw new Error(`Failed to write to ${targetCollection}`)
+    }
+
+    copied += page.points.length
+    progress?.setDetails(`Backed up ${copied} memories to ${targetCollection}`)
+    offset = page.nextOffset
+  } while (offset !== null)
+
+  const [sourceCount, targetCount] = await Promise.all([
+    countPoints(sourceCollection),
+    countPoints(targetCollection),
+  ])
+  if (sourceCount === null || sourceCount !== targetCount) {
+    throw new Error(`Backup verification failed (${targetCount}/${sourceCount} points copied)`)
+  }
+
+  return copied
+}
+
+// Run (or resume) a migration until it completes, fails or is cancelled
+async function runMigration(state, progress) {
+  if (activeMigrations.has(state.logicalName)) {
+    throw new Error("A migration for this collection is already running")
+  }
+  activeMigrations.add(state.logicalName)
+
+  try {
+    // Migrations saved before templates existed have no `template` to compare
+    const templateChanged = state.template !== undefined && state.template !== getEmbeddingTemplateVersion()
+    if (state.provider !== settings.embeddingProvider || state.model !== settings.embeddingModel || templateChanged) {
+      throw new Error(
+        `This migration was started with ${state.provider}/${state.model} (prefixes: ${state.template ?? "none"}); switch back to those settings to resume it, or abandon it`,
+      )
+    }
+
+    // Populate the layout cache for a target created before a reload
+    await collectionExists(state.targetCollection)
+
+    if (state.phase === "reembed") {
+      progress?.setStatus("Re-embedding memories with the current model...")
+
+      do {
+        if (progress?.isCancelled()) {
+          progress.setStatus("Migration paused - resume it from the Memory Viewer")
+          return state
+        }
+
+        const page = await scrollPoints(state.sourceCollection, {
+          offset: state.offset,
+          limit: Math.max(1, settings.indexBatchSize),
+          withPayload: true,
+        })
+        if (!page) {
+          throw new Error(`Failed to read ${state.sourceCollection}`)
+        }
+
+        if (page.points.length > 0) {
+          const result = await reembedPoints(page.points, state.targetCollection)
+          state.processed += result.written
+          state.skipped += result.skipped
+        }
+
+        state.offset = page.nextOffset
+        if (state.offset === null) {
+          state.phase = "verify"
+        }
+        saveMigrationState(state)
+
+        const done = state.processed + state.skipped
+        progress?.setProgress(state.total > 0 ? (done / state.total) * 100 : 100)
+        progress?.setDetails(`Re-embedded ${state.processed} of ${state.total} memories`)
+      } while (state.phase === "reembed")
+    }
+
+    if (state.phase === "verify") {
+      progress?.setStatus("Verifying the new collection...")
+      await copyMissingPoints(state, progress)
+
+      const [sourceCount, targetCount] = await Promise.all([
+        countPoints(state.sourceCollection),
+        countPoints(state.targetCollection),
+      ])
+      const skipped = state.skipped || 0
+      if (sourceCount === null || targetCount === null || targetCount < sourceCount - skipped) {
+        throw new Error(`Verification failed: ${targetCount}/${sourceCount - skipped} memories in the new collection`)
+      }
+
+      state.phase = state.backupCollection ? "preserve" : "swap"
+      saveMigrationState(state)
+    }
+
+    if (state.phase === "preserve") {
+      progress?.setStatus("Backing up the original collection...")
+      await copyCollection(state.sourceCollection, state.backupCollection, progress)
+
+      // From here on the backup is the rollback target
+      state.sourceCollection = state.backupCollection
+      state.phase = "swap"
+      saveMigrationState(state)
+    }
+
+    if (state.phase === "swap") {
+      progress?.setStatus("Switching to the new collection...")
+
+      const aliases = await listAliases()
+      const liveAlias = aliases?.find((alias) => alias.alias_name === state.logicalName)
+      const liveCollection = liveAlias
+        ? liveAlias.collection_name
+        : (await collectionExists(state.logicalName)).exists
+          ? state.logicalName
+          : null
+
+      // Live saves still go to the collection behind the logical name until
+      // the switch, so catch up on anything saved since verification
+      if (liveCollection && liveCollection !== state.targetCollection) {
+        await copyMissingPoints(state, progress, liveCollection)
+      }
+
+      // The original plain collection must be removed before its name can become an alias
+      if (!liveAlias && state.backupCollection && liveCollection) {
+        if (!(await deleteCollection(state.logicalName))) {
+          throw new Error(`Failed to remove ${state.logicalName} before creating the alias`)
+        }
+      }
+
+      if (!(await switchAlias(state.logicalName, state.targetCollection))) {
+        throw new Error("Failed to switch the collection alias")
+      }
+
+      state.phase = "done"
+      state.error = null
+      saveMigrationState(state)
+    }
+
+    progress?.setProgress(100)
+    progress?.setStatus("Migration complete!")
+    progress?.setDetails(`${state.logicalName} now points to ${state.targetCollection}`)
+    return state
+  } catch (error) {
+    state.error = error.message
+    saveMigrationState(state)
+    throw error
+  } finally {
+    activeMigrations.delete(state.logicalName)
+  }
+}
+
+// Point the alias back at the collection used before the migration
+async function rollbackMigration(state) {
+  if (!(await switchAlias(state.logicalName, state.sourceCollection))) {
+    throw new Error("Failed to switch the collection alias back")
+  }
+
+  state.phase = "rolled_back"
+  saveMigrationState(state)
+  return state
+}
+
+// Drop an unfinished migration and its partially filled target collection
+async function abandonMigration(state) {
+  const { exists } = await collectionExists(state.targetCollection)
+  if (exists && !(await deleteCollection(state.targetCollection))) {
+    throw new Error(`Failed to delete ${state.targetCollection}`)
+  }
+  clearMigrationState(state.logicalName)
+}
+
+// Delete the collection the alias no longer points to
+async function deleteMigrationLeftover(state) {
+  const leftover = state.phase === "rolled_back" ? state.targetCollection : state.sourceCollection
+  if (!(await deleteCollection(leftover))) {
+    throw new Error(`Failed to delete ${leftover}`)
+  }
+  clearMigrationState(state.logicalName)
+  return leftover
+}
+
+async function runMigrationWithProgress(state) {
+  const toastr = window.toastr
+  const progress = createProgressModal(`Migrating Memories - ${state.characterName}`)
+
+  try {
+    const result = await runMigration(state, progress)
+    if (result.phase === "done") {
+      toastr.success(`Memories migrated to ${settings.embeddingModel}`, "Qdrant Memory")
+    }
+  } catch (error) {
+    console.error("[Qdrant Memory] Migration failed:", error)
+    progress.setStatus("Migration stopped")
+    progress.setDetails(`${error.message}. Resume it from the Memory Viewer.`)
+    toastr.error("Migration stopped - see the Memory Viewer to resume", "Qdrant Memory")
+  }
+
+  progress.finish()
+}
+
+// ============================================================================
+// MEMORY MAINTENANCE
+// ============================================================================
+
+// Move points saved with random IDs to their deterministic IDs. Points that
+// turn out to be copies of the same chunk collapse into one.
+async function rewritePointIds(collectionName, progress) {
+  const total = (await countPoints(collectionName)) ?? 0
+  let offset = null
+  let checked = 0
+  let rewritten = 0
+
+  do {
+    if (progress?.isCancelled()) break
+
+    const page = await scrollPoints(collectionName, { offset, limit: 128, withPayload: true, withVector: true })
+    if (!page) {
+      throw new Error(`Failed to read ${collectionName}`)
+    }
+
+    const moves = page.points.filter((point) => String(point.id) !== getPointId(collectionName, point.payload))
+    if (moves.length > 0) {
+      const saved = await upsertPoints(
+        collectionName,
+        moves.map((point) => ({
+          id: getPointId(collectionName, point.payload),
+          vector: point.vector,
+          payload: point.payload,
+        })),
+      )
+      if (!saved) {
+        throw new Error(`Failed to write to ${collectionName}`)
+      }
+
+      const deleted = await deletePoints(collectionName, moves.map((point) => point.id))
+      if (!deleted) {
+        throw new Error(`Failed to remove old points from ${collectionName}`)
+      }
+
+      rewritten += moves.length
+    }
+
+    checked += page.points.length
+    offset = page.nextOffset
+
+    progress?.setProgress(total > 0 ? (checked / total) * 100 : 100)
+    progress?.setDetails(`Checked ${checked} of ${total} | Rewritten: ${rewritten}`)
+  } while (offset !== null)
+
+  const remaining = (await countPoints(collectionName)) ?? total
+  return { checked, rewritten, merged: Math.max(0, total - remaining) }
+}
+
+// Upgrade payloads written by older versions to the current schema in place.
+// Vectors and point IDs are left untouched.
+async function upgradePayloads(collectionName, progress) {
+  await createPayloadIndexes(collectionName)
+
+  const filter = {
+    must_not: [{ key: "schemaVersion", match: { value: PAYLOAD_SCHEMA_VERSION } }],
+  }
+  const total = (await countPoints(collectionName, filter)) ?? 0
+  let offset = null
+  let upgraded = 0
+
+  do {
+    if (progress?.isCancelled()) break
+
+    const page = await scrollPoints(collectionName, { offset, limit: 256, filter, withPayload: true })
+    if (!page) {
+      throw new Error(`Failed to read ${collectionName}`)
+    }
+
+    const updates = page.points.map((point) => ({ id: point.id, payload: normalizePayload(point.payload) }))
+    if (!(await overwritePayloads(collectionName, updates))) {
+      throw new Error(`Failed to update payloads in ${collectionName}`)
+    }
+
+    upgraded += updates.length
+    offset = page.nextOffset
+
+    progress?.setProgress(total > 0 ? (upgraded / total) * 100 : 100)
+    progress?.setDetails(`Upgraded ${upgraded} of ${total} memories`)
+  } while (offset !== null)
+
+  return { upgraded, total }
+}
+
+// ============================================================================
+// COLLECTION MODE CONVERSION
+// ============================================================================
+
+// Per-character collections keep no `character` field; the shared collection
+// tells characters apart by it. Conversions copy points between the two
+// layouts and only delete the sources once the copies are verified.
+
+// Dry run: what a conversion would copy, without writing anything. Returns
+// { toShared, entries: [{ character, source, target, count }], total, unassigned }.
+async function planModeConversion(toShared) {
+  const sharedName = settings.collectionName
+  const entries = []
+  let unassigned = 0
+
+  if (toShared) {
+    const seen = new Set()
+    for (const character of getContext().characters || []) {
+      const source = getCollectionBinding(character)?.collection || getDefaultCollectionName(character.name)
+      if (seen.has(source)) continue
+      seen.add(source)
+
+      const count = await countPoints(source)
+      if (count > 0) {
+        entries.push({ character: character.name, source, target: sharedName, count })
+      }
+    }
+  } else {
+    const counts = new Map()
+    let offset = null
+
+    do {
+      const page = await scrollPoints(sharedName, { offset, limit: 256, withPayload: ["character"] })
+      if (!page) break
+
+      page.points.forEach((point) => {
+        const character = point.payload?.character
+        if (character) {
+          counts.set(character, (counts.get(character) || 0) + 1)
+        } else {
+          unassigned++
+        }
+      })
+      offset = page.nextOffset
+    } while (offset !== null)
+
+    for (const [character, count] of counts) {
+      entries.push({ character, source: sharedName, target: getCollectionName(character, { perCharacter: true }), count })
+    }
+  }
+
+  const total = entries.reduce((sum, entry) => sum + entry.count, 0)
+  return { toShared, entries, total, unassigned }
+}
+
+// Copy every point of a plan, then check that each one arrived. Returns
+// { copied, verified, failed } or null if cancelled.
+async function runModeConversion(plan, progress) {
+  const result = { copied: 0, verified: 0, failed: [] }
+  let processed = 0
+
+  for (const entry of plan.entries) {
+    if (progress.isCancelled()) return null
+    progress.setStatus(`Copying ${entry.character}: ${entry.source} → ${entry.target}...`)
+
+    const source = await collectionExists(entry.source)
+    if (!source.exists) {
+      result.failed.push(`${entry.character} (${entry.source} not found)`)
+      continue
+    }
+
+    // Split targets should be the character's stable, bound collection
+    if (!plan.toShared) {
+      const character = findCharacterByName(entry.character)
+      if (character) {
+        entry.target = (await bindCharacterCollection(character)).collection
+      }
+    }
+
+    const target = await collectionExists(entry.target)
+    if (!target.exists) {
+      if (!(await createCollection(entry.target, source.vectorSize))) {
+        result.failed.push(`${entry.character} (could not create ${entry.target})`)
+        continue
+      }
+    } else if (target.vectorSize !== source.vectorSize) {
+      result.failed.push(`${entry.character} (${entry.target} has dimension ${target.vectorSize}, ${entry.source} has ${source.vectorSize})`)
+      continue
+    }
+
+    const filter = plan.toShared ? null : { must: [{ key: "character", match: { value: entry.character } }] }
+    const writtenIds = new Set()
+    let offset = null
+
+    do {
+      if (progress.isCancelled()) return null
+
+      const page = await scrollPoints(entry.source, { offset, limit: 128, filter, withPayload: true, withVector: true })
+      if (!page) {
+        throw new Error(`Failed to read ${entry.source}`)
+      }
+
+      const points = page.points.map((point) => {
+        let payload = normalizePayload(point.payload)
+        if (plan.toShared) {
+          payload = { ...payload, character: entry.character }
+        } else {
+          const { character: _character, ...rest } = payload
+          payload = rest
+        }
+
+        const id = getPointId(entry.target, payload)
+        writtenIds.add(id)
+        return { id, vector: buildPointVector(entry.target, getDenseVector(point), payload.text), payload }
+      })
+
+      if (!(await upsertPoints(entry.target, points))) {
+        throw new Error(`Failed to write to ${entry.target}`)
+      }
+
+      processed += points.length
+      result.copied += points.length
+      progress.setProgress(plan.total > 0 ? (processed / plan.total) * 100 : 100)
+      progress.setDetails(`Copied: ${result.copied} / ${plan.total}`)
+      offset = page.nextOffset
+    } while (offset !== null)
+
+    // Verify by ID: the target may already have held other points
+    const ids = [...writtenIds]
+    let found = 0
+    for (let i = 0; i < ids.length; i += 256) {
+      const points = await retrievePoints(entry.target, ids.slice(i, i + 256))
+      found += points?.length ?? 0
+    }
+
+    result.verified += found
+    if (found < ids.length) {
+      result.failed.push(`${entry.character} (${found} of ${ids.length} memories verified in ${entry.target})`)
+    }
+  }
+
+  return result
+}
+
+// Delete the sources of a verified conversion. The shared collection is only
+// deleted by a split when nothing in it was left behind.
+async function deleteConversionSources(plan) {
+  const sources = [...new Set(plan.entries.map((entry) => entry.source))]
+  let deleted = 0
+
+  for (const source of sources) {
+    if (!(await snapshotBeforeDestructiveAction(source))) break
+    if (await deleteCollection(source)) {
+      deleted++
+    }
+  }
+
+  return deleted
+}
+
+// Settings panel action: dry run, confirm, convert, verify, then switch modes
+async function convertCollectionMode(toShared) {
+  const $ = window.$
+  const toastr = window.toastr
+
+  const plan = await planModeConversion(toShared)
+  if (plan.total === 0) {
+    toastr.info(toShared ? "No per-character memories to merge" : "No memories with a character in the shared collection", "Qdrant Memory")
+    return
+  }
+
+  const lines = plan.entries.map((entry) => `- ${entry.character}: ${entry.count} (${entry.source} → ${entry.target})`)
+  const summary = toShared
+    ? `Dry run: ${plan.total} memories from ${plan.entries.length} collections would be copied into ${settings.collectionName}.`
+    : `Dry run: ${plan.total} memories in ${settings.collectionName} would be split into ${plan.entries.length} per-character collections.`
+  const unassignedNote = plan.unassigned > 0 ? `\n\n${plan.unassigned} memories have no character and would stay where they are.` : ""
+  if (!confirm(`${summary}\n\n${lines.join("\n")}${unassignedNote}\n\nContinue?`)) return
+
+  const progress = createProgressModal(toShared ? "Merging into Shared Collection" : "Splitting Shared Collection")
+
+  try {
+    const result = await runModeConversion(plan, progress)
+
+    if (!result) {
+      progress.setStatus("Conversion cancelled")
+      progress.setDetails("Points copied so far are kept; running the conversion again overwrites them.")
+      progress.finish()
+      return
+    }
+
+    if (result.failed.length > 0) {
+      progress.setStatus("Conversion finished with errors")
+      progress.setDetails(`Copied ${result.copied}, verified ${result.verified}. Problems: ${result.failed.join("; ")}`)
+      toastr.warning("Some memories were not converted; the mode was not changed", "Qdrant Memory")
+      progress.finish()
+      return
+    }
+
+    settings.usePerCharacterCollections = !toShared
+    saveSettings()
+    $("#qdrant_per_character").prop("checked", settings.usePerCharacterCollections)
+
+    progress.setProgress(100)
+    progress.setStatus("Conversion complete!")
+    progress.setDetails(`Copied and verified ${result.verified} memories. Now using ${toShared ? "the shared collection" : "per-character collections"}.`)
+    toastr.success("Memories converted", "Qdrant Memory")
+    progress.finish()
+
+    const canDelete = toShared || plan.unassigned === 0
+    if (canDelete && confirm("Delete the old collections now that the copies are verified?")) {
+      const deleted = await deleteConversionSources(plan)
+      toastr.info(`Deleted ${deleted} old collection(s)`, "Qdrant Memory")
+    }
+  } catch (error) {
+    console.error("[Qdrant Memory] Collection mode conversion failed:", error)
+    progress.setStatus("Error during conversion")
+    progress.setDetails(error.message)
+    toastr.error("Failed to convert memories", "Qdrant Memory")
+    progress.finish()
+  }
+}
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+// Snapshot endpoints do not resolve aliases, so every helper works on the
+// collection an alias points to. Only backends with the `snapshots`
+// capability (Qdrant) support them.
+
+function getSnapshotBackend() {
+  const backend = getStorageBackend()
+  if (!backend.capabilities.snapshots) {
+    throw new Error(`${backend.label} does not support snapshots`)
+  }
+  return backend
+}
+
+async function listSnapshots(collectionName) {
+  const targetName = await resolveCollectionAlias(collectionName)
+  const snapshots = await getSnapshotBackend().listSnapshots(targetName)
+  return snapshots.sort((a, b) => String(b.creation_time).localeCompare(String(a.creation_time)))
+}
+
+async function createSnapshot(collectionName) {
+  const targetName = await resolveCollectionAlias(collectionName)
+  return await getSnapshotBackend().createSnapshot(targetName)
+}
+
+async function fetchSnapshot(collectionName, snapshotName) {
+  const targetName = await resolveCollectionAlias(collectionName)
+  return await getSnapshotBackend().fetchSnapshot(targetName, snapshotName)
+}
+
+async function deleteSnapshot(collectionName, snapshotName) {
+  const targetName = await resolveCollectionAlias(collectionName)
+  await getSnapshotBackend().deleteSnapshot(targetName, snapshotName)
+}
+
+// Replace the collection's data with an uploaded snapshot file
+async function restoreSnapshot(collectionName, snapshotBlob, fileName = "snapshot.snapshot") {
+  const targetName = await resolveCollectionAlias(collectionName)
+  await getSnapshotBackend().restoreSnapshot(targetName, snapshotBlob, fileName)
+  collectionLayouts.delete(collectionName)
+  collectionLayouts.delete(targetName)
+}
+
+// Replace the collection's data with one of its snapshots on the server.
+// Qdrant fetches the file itself; if it can't reach the URL the extension
+// uses (a proxy, say), the snapshot is downloaded and uploaded again instead.
+async function recoverServerSnapshot(collectionName, snapshotName) {
+  const targetName = await resolveCollectionAlias(collectionName)
+  const backend = getSnapshotBackend()
+  try {
+    await backend.recoverSnapshot(targetName, snapshotName)
+  } catch (error) {
+    console.warn(`[Qdrant Memory] Server-side recovery of ${snapshotName} failed, uploading it instead:`, error.message)
+    await backend.restoreSnapshot(targetName, await backend.fetchSnapshot(targetName, snapshotName), snapshotName)
+  }
+  collectionLayouts.delete(collectionName)
+  collectionLayouts.delete(targetName)
+}
+
+// Snapshot a collection and download the file before it gets deleted. The
+// download matters: a snapshot kept only on the server may go with the collection.
+// Returns false if the user chose to stop.
+async function snapshotBeforeDestructiveAction(collectionName) {
+  if (!settings.snapshotBeforeDelete || !getStorageBackend().capabilities.snapshots) return true
+
+  const toastr = window.toastr
+  try {
+    const snapshot = await createSnapshot(collectionName)
+    const blob = await fetchSnapshot(collectionName, snapshot.name)
+    downloadFile(blob, snapshot.name, "application/octet-stream")
+    toastr.info(`Snapshot saved: ${snapshot.name}`, "Qdrant Memory")
+    return true
+  } catch (error) {
+    console.error("[Qdrant Memory] Safety snapshot failed:", error)
+    return confirm(`Could not take a safety snapshot of ${collectionName} (${error.message}). Continue anyway?`)
+  }
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return "?"
+  const units = ["B", "KB", "MB", "GB"]
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`
+}
+
+// ============================================================================
+// MEMORY EXPORT / IMPORT
+// ============================================================================
+
+const EXPORT_FORMAT = "qdrant-memory-export"
+const EXPORT_FORMAT_VERSION = 1
+
+// Serialize a collection as JSONL: one header line, then one line per memory
+async function exportCollection(collectionName, characterName, includeVectors, progress) {
+  const total = (await countPoints(collectionName)) ?? 0
+  const header = {
+    type: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    character: characterName,
+    collection: collectionName,
+    embeddingProvider: settings.embeddingProvider,
+    embeddingModel: settings.embeddingModel,
+    dimensions: includeVectors ? getEmbeddingDimensions() : null,
+    exportedAt: new Date().toISOString(),
+    count: total,
+  }
+
+  const lines = [JSON.stringify(header)]
+  let offset = null
+
+  do {
+    if (progress?.isCancelled()) return null
+
+    const page = await scrollPoints(collectionName, { offset, limit: 256, withPayload: true, withVector: includeVectors })
+    if (!page) {
+      throw new Error(`Failed to read ${collectionName}`)
+    }
+
+    page.points.forEach((point) => {
+      const line = { id: point.id, payload: normalizePayload(point.payload) }
+      if (includeVectors) {
+        line.vector = getDenseVector(point)
+      }
+      lines.push(JSON.stringify(line))
+    })
+
+    offset = page.nextOffset
+    progress?.setProgress(total > 0 ? ((lines.length - 1) / total) * 100 : 100)
+    progress?.setDetails(`Exported ${lines.length - 1} of ${total} memories`)
+  } while (offset !== null)
+
+  return lines.join("\n") + "\n"
+}
+
+// Offer text content to the user as a file download
+function downloadFile(content, fileName, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement("a")
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Parse an export file into { header, records }. Lines that are not valid
+// memory records are counted and skipped.
+function parseExportFile(content) {
+  let header = null
+  const records = []
+  let invalid = 0
+
+  content.split(/\r?\n/).forEach((line) => {
+    if (!line.trim()) return
+
+    try {
+      const entry = JSON.parse(line)
+      if (entry?.type === EXPORT_FORMAT) {
+        header = entry
+      } else if (typeof entry?.payload?.text === "string") {
+        records.push(entry)
+      } else {
+        invalid++
+      }
+    } catch (error) {
+      invalid++
+    }
+  })
+
+  return { header, records, invalid }
+}
+
+// Upsert exported memories into a character's collection. Vectors are reused
+// only when they come from the current model and prefix template and have the
+// right size; everything else is re-embedded.
+async function importMemories(characterName, content, progress) {
+  const { header, records, invalid } = parseExportFile(content)
+  if (records.length === 0) {
+    throw new Error("The file contains no memories")
+  }
+
+  const collectionName = getCollectionName(characterName)
+  const { vectorSize: existingSize } = await collectionExists(collectionName)
+  const expectedDimensions = getEmbeddingDimensions() ?? existingSize ?? null
+  const sameModel = !header?.embeddingModel || header.embeddingModel === settings.embeddingModel
+  const templateVersion = getEmbeddingTemplateVersion()
+
+  const result = { imported: 0, reembedded: 0, failed: 0, invalid, total: records.length }
+  const batchSize = Math.max(1, Number.parseInt(settings.indexBatchSize, 10) || 1)
+
+  for (let start = 0; start < records.length; start += batchSize) {
+    if (progress?.isCancelled()) break
+
+    const batch = records.slice(start, start + batchSize).map((record) => {
+      // Imports follow the current collection mode, not the exporting one
+      const { character, ...payload } = normalizePayload(record.payload)
+      const vector = Array.isArray(record.vector) ? record.vector : null
+      const reusable =
+        sameModel &&
+        (payload.embeddingTemplate ?? "none") === templateVersion &&
+        vector !== null &&
+        Number.isFinite(expectedDimensions) &&
+        vector.length === expectedDimensions
+      return {
+        payload: settings.usePerCharacterCollections ? payload : { ...payload, character: characterName },
+        vector: reusable ? vector : null,
+      }
+    })
+
+    const missing = batch.filter((item) => !item.vector)
+    if (missing.length > 0) {
+      const vectors = await generateEmbeddings(missing.map((item) => item.payload.text))
+      missing.forEach((item, index) => {
+        item.vector = vectors[index]
+        item.payload.embeddingTemplate = templateVersion
+      })
+      result.reembedded += vectors.filter(Array.isArray).length
+    }
+
+    const ready = batch.filter((item) => Array.isArray(item.vector))
+    result.failed += batch.length - ready.length
+
+    if (ready.length > 0) {
+      const collectionReady = await ensureCollection(characterName, ready[0].vector.length)
+      if (!collectionReady) {
+        throw new Error(`Collection ${collectionName} could not be created or has a different vector size`)
+      }
+
+      const saved = await upsertPoints(
+        collectionName,
+        ready.map((item) => ({
+          id: getPointId(collectionName, item.payload),
+          vector: buildPointVector(collectionName, item.vector, item.payload.text),
+          payload: item.payload,
+        })),
+      )
+      if (saved) {
+        result.imported += ready.length
+      } else {
+        result.failed += ready.length
+      }
+    }
+
+    const done = Math.min(records.length, start + batchSize)
+    progress?.setProgress((done / records.length) * 100)
+    progress?.setDetails(
+      `Imported ${result.imported} of ${records.length} | Re-embedded: ${result.reembedded} | Failed: ${result.failed}`,
+    )
+  }
+
+  return result
+}
+
+// ============================================================================
+// MEMORY VIEWER FUNCTIONS
+// ============================================================================
+
+async function showMemoryViewer() {
+  const context = getContext()
+  const characterName = context.name2
+
+  if (!characterName) {
+    const toastr = window.toastr
+    toastr.warning("No character selected", "Qdrant Memory")
+    return
+  }
+
+  await syncCharacterCollections()
+
+  const collectionName = getCollectionName(characterName)
+  const info = await getCollectionInfo(collectionName)
+  const migration = getMigrationState(collectionName)
+
+  const count = info?.points_count || 0
+  const vectorParams = info?.config?.params?.vectors
+  const storedDimensions = vectorParams?.size ?? vectorParams?.[DENSE_VECTOR_NAME]?.size ?? null
+  const currentDimensions = getEmbeddingDimensions()
+  const dimensionMismatch =
+    Number.isFinite(storedDimensions) && Number.isFinite(currentDimensions) && storedDimensions !== currentDimensions
+
+  // Memories embedded with other instruction prefixes; ones saved before
+  // templates were recorded count as "none"
+  const templateVersion = getEmbeddingTemplateVersion()
+  const templateFilter = { must_not: [{ key: "embeddingTemplate", match: { value: templateVersion } }] }
+  if (templateVersion === "none") {
+    templateFilter.must_not.push({ is_empty: { key: "embeddingTemplate" } })
+  }
+  const templateMismatch = info ? ((await countPoints(collectionName, templateFilter)) ?? 0) : 0
+
+  let migrationStatus = ""
+  let migrationButtons = ""
+  if (migration && migration.phase === "done") {
+    migrationStatus = `Migrated to ${migration.model} (${migration.targetCollection}). Previous version: ${migration.sourceCollection}`
+    migrationButtons = `
+                    <button id="qdrant_migration_rollback_btn" class="menu_button">Roll Back Migration</button>
+                    <button id="qdrant_migration_cleanup_btn" class="menu_button">Delete Previous Version</button>`
+  } else if (migration && migration.phase === "rolled_back") {
+    migrationStatus = `Rolled back to ${migration.sourceCollection}. Migrated copy: ${migration.targetCollection}`
+    migrationButtons = `
+                    <button id="qdrant_migrate_btn" class="menu_button">Migrate to Current Model</button>
+                    <button id="qdrant_migration_cleanup_btn" class="menu_button">Delete Migrated Copy</button>`
+  } else if (migration) {
+    const errorNote = migration.error ? ` - stopped: ${migration.error}` : ""
+    migrationStatus = `Migration to ${migration.model} in progress (${migration.processed}/${migration.total})${errorNote}`
+    migrationButtons = `
+                    <button id="qdrant_migration_resume_btn" class="menu_button">Resume Migration</button>
+                    <button id="qdrant_migration_abandon_btn" class="menu_button">Abandon Migration</button>`
+  } else {
+    migrationButtons = `
+                    <button id="qdrant_migrate_btn" class="menu_button">Migrate to Current Model</button>`
+  }
+
+  // Sections that only make sense once the collection exists
+  const collectionSectionsHtml = !info && !migration
+    ? `<p style="color: #666;">No memories saved yet. You can import a backup below.</p>`
+    : `
+                <p><strong>Vector Size:</strong> ${storedDimensions ?? "unknown"} (current model: ${currentDimensions ?? "auto-detect"})</p>
+                ${dimensionMismatch ? `<p style="color: #dc3545;">This collection was created with a different embedding model. Migrate it to keep using these memories.</p>` : ""}
+                ${!dimensionMismatch && templateMismatch > 0 ? `<p style="color: #dc3545;">${templateMismatch} memories were embedded with different instruction prefixes than the current ones (${templateVersion}). Migrate them to keep search accurate.</p>` : ""}
+                <h4 style="margin-bottom: 5px;">Embedding Model Migration</h4>
+                ${migrationStatus ? `<p style="font-size: 0.9em;">${migrationStatus}</p>` : ""}
+                <small style="color: #666;">Re-embeds every memory with the current model into a new collection, then switches over. The old collection is kept for rollback.</small>
+                <div style="margin-top: 10px; display: flex; gap: 10px; flex-wrap: wrap;">${migrationButtons}
+                </div>
+                <h4 style="margin-bottom: 5px;">Maintenance</h4>
+                <small style="color: #666;">Bring memories saved by older versions up to date: structured payloads with indexed fields, and content-derived IDs so re-saving and re-indexing overwrite instead of duplicating.</small>
+                <div style="margin-top: 10px; display: flex; gap: 10px; flex-wrap: wrap;">
+                    <button id="qdrant_upgrade_payloads_btn" class="menu_button">Upgrade Payloads</button>
+                    <button id="qdrant_rewrite_ids_btn" class="menu_button">Rewrite Point IDs</button>
+                </div>`
+
+  const modalHtml = `
+        <div id="qdrant_modal" style="
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+            z-index: 10000;
+            max-width: 500px;
+            max-height: 90vh;
+            overflow-y: auto;
+            width: 90%;
+        ">
+            <div style="color: #333;">
+                <h3 style="margin-top: 0;">Memory Viewer - ${characterName}</h3>
+                <p><strong>Collection:</strong> ${collectionName}</p>
+                <p><strong>Total Memories:</strong> ${count}</p>
+                ${collectionSectionsHtml}
+                ${info && getStorageBackend().capabilities.snapshots ? `<h4 style="margin-bottom: 5px;">Snapshots</h4>
+                <small style="color: #666;">Full-fidelity Qdrant backups of this collection, stored on the Qdrant server.</small>
+                <div id="qdrant_snapshot_list" style="margin-top: 10px; font-size: 0.9em;">Loading snapshots...</div>
+                <div style="margin-top: 10px; display: flex; gap: 10px; flex-wrap: wrap;">
+                    <button id="qdrant_snapshot_create_btn" class="menu_button">Create Snapshot</button>
+                    <button id="qdrant_snapshot_upload_btn" class="menu_button">Restore from File</button>
+                    <input type="file" id="qdrant_snapshot_file" accept=".snapshot" style="display: none;" />
+                </div>` : ""}
+                <h4 style="margin-bottom: 5px;">Backup</h4>
+                <small style="color: #666;">Export memories as a JSONL file, or import one into ${characterName}'s collection. Memories are re-embedded on import if their vectors don't fit the current model.</small>
+                <div style="margin-top: 10px; display: flex; gap: 10px; flex-wrap: wrap; align-items: center;">
+                    ${info ? `<button id="qdrant_export_btn" class="menu_button">Export Memories</button>
+                    <label style="display: flex; align-items: center; gap: 5px; font-size: 0.9em;">
+                        <input type="checkbox" id="qdrant_export_vectors" /> Include vectors
+                    </label>` : ""}
+                    <button id="qdrant_import_btn" class="menu_button">Import Memories</button>
+                    <input type="file" id="qdrant_import_file" accept=".jsonl,.ndjson,application/x-ndjson" style="display: none;" />
+                </div>
+                ${settings.usePerCharacterCollections ? `<h4 style="margin-bottom: 5px;">Orphaned Collections</h4>
+                <small style="color: #666;">Collections are bound to characters and follow renames. Memories whose character was deleted and re-imported can be linked back here.</small>
+                <div style="margin-top: 10px;">
+                    <button id="qdrant_relink_btn" class="menu_button">Re-link Orphaned Collections</button>
+                </div>` : ""}
+                <div style="margin-top: 20px; display: flex; gap: 10px;">
+                    ${info ? `<button id="qdrant_delete_collection_btn" class="menu_button" style="background-color: #dc3545; color: white;">
+                        Delete All Memories
+                    </button>` : ""}
+                    <button id="qdrant_close_modal" class="menu_button">
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+        <div id="qdrant_overlay" style="
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 9999;
+        "></div>
+    `
+
+  const $ = window.$
+  $("body").append(modalHtml)
+
+  $("#qdrant_close_modal, #qdrant_overlay").on("click", () => {
+    $("#qdrant_modal").remove()
+    $("#qdrant_overlay").remove()
+  })
+
+  const closeViewer = () => {
+    $("#qdrant_modal").remove()
+    $("#qdrant_overlay").remove()
+  }
+
+  $("#qdrant_relink_btn").on("click", () => {
+    closeViewer()
+    showRelinkDialog()
+  })
+
+  $("#qdrant_migrate_btn").on("click", async function () {
+    const confirmed = confirm(
+      `Re-embed all ${count} memories for ${characterName} with ${settings.embeddingModel}? This calls the embedding API for every memory.`,
+    )
+    if (!confirmed) return
+
+    $(this).prop("disabled", true).text("Preparing...")
+    try {
+      const state = await startMigration(characterName)
+      closeViewer()
+      await runMigrationWithProgress(state)
+    } catch (error) {
+      console.error("[Qdrant Memory] Failed to start migration:", error)
+      window.toastr.error(`Failed to start migration: ${error.message}`, "Qdrant Memory")
+      $(this).prop("disabled", false).text("Migrate to Current Model")
+    }
+  })
+
+  $("#qdrant_migration_resume_btn").on("click", async () => {
+    closeViewer()
+    await runMigrationWithProgress(migration)
+  })
+
+  $("#qdrant_migration_abandon_btn").on("click", async function () {
+    const confirmed = confirm(`Abandon the migration and delete ${migration.targetCollection}?`)
+    if (!confirmed) return
+
+    $(this).prop("disabled", true).text("Abandoning...")
+    try {
+      await abandonMigration(migration)
+      window.toastr.success("Migration abandoned", "Qdrant Memory")
+      closeViewer()
+    } catch (error) {
+      window.toastr.error(error.message, "Qdrant Memory")
+      $(this).prop("disabled", false).text("Abandon Migration")
+    }
+  })
+
+  $("#qdrant_migration_rollback_btn").on("click", async function () {
+    const confirmed = confirm(
+      `Switch ${characterName} back to ${migration.sourceCollection}? You will also need to select the embedding model that collection was created with.`,
+    )
+    if (!confirmed) return
 
-    if (memories.length > 0) {
-      const memoryText = formatMemories(memories)
+    $(this).prop("disabled", true).text("Rolling back...")
+    try {
+      await rollbackMigration(migration)
+      window.toastr.success("Migration rolled back - select the previous embedding model", "Qdrant Memory")
+      closeViewer()
+    } catch (error) {
+      window.toastr.error(error.message, "Qdrant Memory")
+      $(this).prop("disabled", false).text("Roll Back Migration")
+    }
+  })
 
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] Retrieved memories:", memoryText)
-      }
+  $("#qdrant_migration_cleanup_btn").on("click", async function () {
+    const leftover = migration.phase === "rolled_back" ? migration.targetCollection : migration.sourceCollection
+    const confirmed = confirm(`Delete ${leftover}? Rollback will no longer be possible. This cannot be undone!`)
+    if (!confirmed) return
 
-      // Create memory entry
-      const memoryEntry = {
-        name: "System",
-        is_user: false,
-        is_system: true,
-        mes: memoryText,
-        send_date: Date.now(),
+    const label = $(this).text()
+    $(this).prop("disabled", true).text("Deleting...")
+    try {
+      if (!(await snapshotBeforeDestructiveAction(leftover))) {
+        $(this).prop("disabled", false).text(label)
+        return
       }
+      await deleteMigrationLeftover(migration)
+      window.toastr.success(`Deleted ${leftover}`, "Qdrant Memory")
+      closeViewer()
+    } catch (error) {
+      window.toastr.error(error.message, "Qdrant Memory")
+      $(this).prop("disabled", false).text(label)
+    }
+  })
 
-      // Insert memories at the specified position from the end
-      const insertIndex = Math.max(0, chat.length - settings.memoryPosition)
-      chat.splice(insertIndex, 0, memoryEntry)
+  const renderSnapshots = async () => {
+    const $list = $("#qdrant_snapshot_list")
+    if (!$list.length) return
 
-      if (settings.debugMode) {
-        console.log(`[Qdrant Memory] Injected ${memories.length} memories at position ${insertIndex}`)
+    try {
+      const snapshots = await listSnapshots(collectionName)
+      if (snapshots.length === 0) {
+        $list.text("No snapshots yet")
+        return
       }
 
-      const toastr = window.toastr
-      if (settings.showMemoryNotifications) {
-        toastr.info(`Retrieved ${memories.length} relevant memories`, "Qdrant Memory", { timeOut: 2000 })
-      }
-    } else {
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] No relevant memories found")
-      }
+      $list.empty()
+      snapshots.forEach((snapshot) => {
+        const $row = $(`
+          <div style="display: flex; gap: 5px; align-items: center; margin: 5px 0; flex-wrap: wrap;">
+            <span style="flex: 1; word-break: break-all;"></span>
+            <button class="menu_button qdrant-snapshot-download" style="flex: 0;">Download</button>
+            <button class="menu_button qdrant-snapshot-restore" style="flex: 0;">Restore</button>
+            <button class="menu_button qdrant-snapshot-delete" style="flex: 0;">Delete</button>
+          </div>
+        `)
+        const created = snapshot.creation_time ? new Date(snapshot.creation_time).toLocaleString() : "unknown date"
+        $row.find("span").text(`${snapshot.name} (${created}, ${formatBytes(snapshot.size)})`)
+        $row.find(".qdrant-snapshot-download").on("click", () => downloadSnapshotFile(snapshot.name))
+        $row.find(".qdrant-snapshot-restore").on("click", () => restoreServerSnapshot(snapshot.name))
+        $row.find(".qdrant-snapshot-delete").on("click", () => removeSnapshot(snapshot.name))
+        $list.append($row)
+      })
+    } catch (error) {
+      console.error("[Qdrant Memory] Failed to list snapshots:", error)
+      $list.text(error.message)
     }
-  } catch (error) {
-    console.error("[Qdrant Memory] Error in generation interceptor:", error)
   }
-}
 
-// ============================================================================
-// AUTOMATIC MEMORY CREATION
-// ============================================================================
-
-function clearPendingAssistantFinalize() {
-  if (pendingAssistantFinalize?.pollTimerId) {
-    clearInterval(pendingAssistantFinalize.pollTimerId)
+  const downloadSnapshotFile = async (snapshotName) => {
+    try {
+      window.toastr.info("Downloading snapshot...", "Qdrant Memory", { timeOut: 1500 })
+      const blob = await fetchSnapshot(collectionName, snapshotName)
+      downloadFile(blob, snapshotName, "application/octet-stream")
+    } catch (error) {
+      window.toastr.error(error.message, "Qdrant Memory")
+    }
   }
-  pendingAssistantFinalize = null
-}
 
-function scheduleFinalizeLastAssistantMessage(messageId, characterName) {
-  const context = getContext()
-  const chat = context.chat || []
+  const runRestore = async (restore, label) => {
+    const confirmed = confirm(
+      `Restore ${collectionName} from ${label}? All current memories for ${characterName} will be replaced.`,
+    )
+    if (!confirmed) return
 
-  if (chat.length === 0) {
-    if (settings.debugMode) {
-      console.log("[Qdrant Memory] No chat messages to finalize")
-    }
-    return
-  }
+    closeViewer()
+    const toastr = window.toastr
+    const progress = createProgressModal(`Restoring Snapshot - ${characterName}`)
+    progress.setStatus(`Restoring from ${label}...`)
 
-  const lastMessage = chat[chat.length - 1]
-  
-  // Safety check: make sure this is actually a character message
-  if (lastMessage.is_user) {
-    if (settings.debugMode) {
-      console.log("[Qdrant Memory] Last message is user message, skipping finalize")
+    try {
+      if (!(await snapshotBeforeDestructiveAction(collectionName))) {
+        progress.close()
+        return
+      }
+      await restore()
+      progress.setProgress(100)
+      progress.setStatus("Restore complete!")
+      toastr.success(`Restored ${characterName}'s memories from ${label}`, "Qdrant Memory")
+    } catch (error) {
+      console.error("[Qdrant Memory] Snapshot restore failed:", error)
+      progress.setStatus("Error during restore")
+      progress.setDetails(error.message)
+      toastr.error("Failed to restore snapshot", "Qdrant Memory")
     }
-    return
-  }
-  
-  const initialText = lastMessage?.mes || ""
 
-  clearPendingAssistantFinalize()
+    progress.finish()
+  }
 
-  const pollInterval = settings.streamFinalizePollMs || 250
-  const stableMs = settings.streamFinalizeStableMs || 1200
-  const maxWaitMs = settings.streamFinalizeMaxWaitMs || 300000
+  const restoreServerSnapshot = (snapshotName) =>
+    runRestore(() => recoverServerSnapshot(collectionName, snapshotName), snapshotName)
 
-  if (settings.debugMode) {
-    console.log("[Qdrant Memory] Starting stream finalize poll for character message")
-    console.log("[Qdrant Memory] Initial text length:", initialText.length)
-  }
+  const removeSnapshot = async (snapshotName) => {
+    if (!confirm(`Delete snapshot ${snapshotName}?`)) return
 
-  pendingAssistantFinalize = {
-    messageId,
-    characterName,
-    startedAt: Date.now(),
-    lastText: initialText,
-    lastChangeAt: Date.now(),
-    pollTimerId: null,
+    try {
+      await deleteSnapshot(collectionName, snapshotName)
+      window.toastr.success("Snapshot deleted", "Qdrant Memory")
+      await renderSnapshots()
+    } catch (error) {
+      window.toastr.error(error.message, "Qdrant Memory")
+    }
   }
 
-  const finalizeAssistant = (text, reason) => {
-    if (!text || text.trim().length === 0) {
-      if (settings.debugMode) {
-        console.warn("[Qdrant Memory] Attempted to finalize empty message, skipping")
-      }
-      clearPendingAssistantFinalize()
-      return
+  $("#qdrant_snapshot_create_btn").on("click", async function () {
+    $(this).prop("disabled", true).text("Creating...")
+    try {
+      const snapshot = await createSnapshot(collectionName)
+      window.toastr.success(`Snapshot created: ${snapshot.name}`, "Qdrant Memory")
+      await renderSnapshots()
+    } catch (error) {
+      window.toastr.error(error.message, "Qdrant Memory")
     }
+    $(this).prop("disabled", false).text("Create Snapshot")
+  })
 
-    if (settings.debugMode) {
-      console.log(`[Qdrant Memory] Finalizing character message (${reason})`)
-      console.log(`[Qdrant Memory] Final text length: ${text.length}`)
-      console.log(`[Qdrant Memory] Text preview: "${text.substring(0, 100)}..."`)
-    }
+  $("#qdrant_snapshot_upload_btn").on("click", () => {
+    $("#qdrant_snapshot_file").trigger("click")
+  })
 
-    // Buffer the complete message
-    bufferMessage(text, characterName, false, messageId)
+  $("#qdrant_snapshot_file").on("change", function () {
+    const file = this.files?.[0]
+    if (!file) return
+    runRestore(() => restoreSnapshot(collectionName, file, file.name), file.name)
+  })
 
-    // Optionally flush the buffer if we have enough messages
-    if (settings.flushAfterAssistant && messageBuffer.length >= 2) {
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] Flushing buffer after assistant message")
-      }
-      processMessageBuffer()
-    }
+  renderSnapshots()
 
-    clearPendingAssistantFinalize()
-  }
+  $("#qdrant_export_btn").on("click", async () => {
+    const includeVectors = $("#qdrant_export_vectors").is(":checked")
+    closeViewer()
+    const toastr = window.toastr
+    const progress = createProgressModal(`Exporting Memories - ${characterName}`)
+    progress.setStatus("Reading memories...")
 
-  let pollCount = 0
-  
-  pendingAssistantFinalize.pollTimerId = setInterval(() => {
-    pollCount++
-    
-    const currentContext = getContext()
-    const currentChat = currentContext.chat || []
-    
-    if (currentChat.length === 0) {
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] Chat is empty, cancelling finalize")
+    try {
+      const content = await exportCollection(collectionName, characterName, includeVectors, progress)
+      if (content === null) {
+        progress.setStatus("Export cancelled")
+      } else {
+        const date = new Date().toISOString().split("T")[0]
+        downloadFile(content, `${collectionName}_${date}.jsonl`, "application/x-ndjson")
+        progress.setProgress(100)
+        progress.setStatus("Export complete!")
+        toastr.success(`Exported memories for ${characterName}`, "Qdrant Memory")
       }
-      clearPendingAssistantFinalize()
-      return
-    }
-    
-    const currentLastMessage = currentChat[currentChat.length - 1] || {}
-    const currentText = currentLastMessage.mes || ""
-    const now = Date.now()
-
-    // Log every 4 seconds (16 polls at 250ms) in debug mode
-    if (settings.debugMode && pollCount % 16 === 0) {
-      console.log(`[Qdrant Memory] Stream poll check #${pollCount}: length=${currentText.length}`)
+    } catch (error) {
+      console.error("[Qdrant Memory] Export failed:", error)
+      progress.setStatus("Error during export")
+      progress.setDetails(error.message)
+      toastr.error("Failed to export memories", "Qdrant Memory")
     }
 
-    // Detect if the text has changed
-    if (currentText !== pendingAssistantFinalize.lastText) {
-      if (settings.debugMode && pollCount % 4 === 0) {
-        console.log(`[Qdrant Memory] Text changed: ${pendingAssistantFinalize.lastText.length} → ${currentText.length}`)
-      }
-      pendingAssistantFinalize.lastText = currentText
-      pendingAssistantFinalize.lastChangeAt = now
-    }
+    progress.finish()
+  })
 
-    const stableDuration = now - pendingAssistantFinalize.lastChangeAt
-    const totalDuration = now - pendingAssistantFinalize.startedAt
+  $("#qdrant_import_btn").on("click", () => {
+    $("#qdrant_import_file").trigger("click")
+  })
 
-    // Check if message switched to user (conversation continued)
-    if (currentLastMessage.is_user) {
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] Detected new user message, finalizing previous assistant message")
-      }
-      finalizeAssistant(pendingAssistantFinalize.lastText, "new user message detected")
-      return
-    }
+  $("#qdrant_import_file").on("change", async function () {
+    const file = this.files?.[0]
+    if (!file) return
 
-    // Check if text has been stable for the required duration
-    if (stableDuration >= stableMs) {
-      finalizeAssistant(pendingAssistantFinalize.lastText, `stable for ${stableDuration}ms`)
-      return
-    }
+    closeViewer()
+    const toastr = window.toastr
+    const progress = createProgressModal(`Importing Memories - ${characterName}`)
+    progress.setStatus(`Importing ${file.name}...`)
 
-    // Safety: max wait time exceeded
-    if (totalDuration >= maxWaitMs) {
-      if (settings.debugMode) {
-        console.warn(`[Qdrant Memory] Max wait (${maxWaitMs}ms) reached while finalizing assistant message`)
-      }
-      finalizeAssistant(pendingAssistantFinalize.lastText, "max wait reached")
+    try {
+      const result = await importMemories(characterName, await file.text(), progress)
+      progress.setProgress(100)
+      progress.setStatus(progress.isCancelled() ? "Import cancelled" : "Import complete!")
+      const invalidNote = result.invalid > 0 ? ` | Unreadable lines: ${result.invalid}` : ""
+      progress.setDetails(
+        `Imported ${result.imported} of ${result.total} | Re-embedded: ${result.reembedded} | Failed: ${result.failed}${invalidNote}`,
+      )
+      toastr.success(`Imported ${result.imported} memories`, "Qdrant Memory")
+    } catch (error) {
+      console.error("[Qdrant Memory] Import failed:", error)
+      progress.setStatus("Error during import")
+      progress.setDetails(error.message)
+      toastr.error("Failed to import memories", "Qdrant Memory")
     }
-  }, pollInterval)
-}
 
-function onMessageSent() {
-  if (!settings.enabled) return
-  if (!settings.autoSaveMemories) return
+    progress.finish()
+  })
 
-  try {
-    const context = getContext()
-    const chat = context.chat || []
-    const characterName = context.name2
+  $("#qdrant_upgrade_payloads_btn").on("click", async () => {
+    closeViewer()
+    const toastr = window.toastr
+    const progress = createProgressModal(`Upgrading Payloads - ${characterName}`)
+    progress.setStatus("Upgrading payloads to the current schema...")
 
-    if (!characterName || chat.length === 0) {
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] No character or empty chat, skipping save")
-      }
-      return
+    try {
+      const result = await upgradePayloads(collectionName, progress)
+      progress.setProgress(100)
+      progress.setStatus(progress.isCancelled() ? "Cancelled" : "Done!")
+      progress.setDetails(`Upgraded ${result.upgraded} of ${result.total} memories`)
+      toastr.success(`Upgraded ${result.upgraded} memories`, "Qdrant Memory")
+    } catch (error) {
+      console.error("[Qdrant Memory] Failed to upgrade payloads:", error)
+      progress.setStatus("Error while upgrading payloads")
+      progress.setDetails(error.message)
+      toastr.error("Failed to upgrade payloads", "Qdrant Memory")
     }
 
-    // Get the last message
-    const lastMessage = chat[chat.length - 1]
+    progress.finish()
+  })
 
-    // Normalize send_date for messageId
-    const normalizedDate = normalizeTimestamp(lastMessage.send_date || Date.now())
-    
-    // Create a unique ID for this message
-    const messageId = `${characterName}_${normalizedDate}_${chat.length - 1}`
+  $("#qdrant_rewrite_ids_btn").on("click", async () => {
+    closeViewer()
+    const toastr = window.toastr
+    const progress = createProgressModal(`Rewriting Point IDs - ${characterName}`)
+    progress.setStatus("Rewriting point IDs...")
 
-    if (!lastMessage.mes || lastMessage.mes.trim().length === 0) {
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] Empty message, skipping")
-      }
-      return
+    try {
+      const result = await rewritePointIds(collectionName, progress)
+      progress.setProgress(100)
+      progress.setStatus(progress.isCancelled() ? "Cancelled" : "Done!")
+      progress.setDetails(
+        `Checked ${result.checked} | Rewritten: ${result.rewritten} | Duplicates merged: ${result.merged}`,
+      )
+      toastr.success(`Rewrote ${result.rewritten} point IDs`, "Qdrant Memory")
+    } catch (error) {
+      console.error("[Qdrant Memory] Failed to rewrite point IDs:", error)
+      progress.setStatus("Error while rewriting point IDs")
+      progress.setDetails(error.message)
+      toastr.error("Failed to rewrite point IDs", "Qdrant Memory")
     }
 
-    const isUser = lastMessage.is_user || false
-    
-    if (settings.debugMode) {
-      console.log(`[Qdrant Memory] onMessageSent - isUser: ${isUser}, length: ${lastMessage.mes.length}`)
-    }
-    
-    if (isUser) {
-      // User messages are saved immediately
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] Buffering user message immediately")
+    progress.finish()
+  })
+
+  $("#qdrant_delete_collection_btn").on("click", async function () {
+    const confirmed = confirm(
+      `Are you sure you want to delete ALL memories for ${characterName}? This cannot be undone!`,
+    )
+    if (confirmed) {
+      $(this).prop("disabled", true).text("Deleting...")
+      if (!(await snapshotBeforeDestructiveAction(collectionName))) {
+        $(this).prop("disabled", false).text("Delete All Memories")
+        return
       }
-      bufferMessage(lastMessage.mes, characterName, true, messageId)
-    } else {
-      // Character messages need to wait for streaming to complete
-      if (settings.debugMode) {
-        console.log("[Qdrant Memory] Character message detected, scheduling finalize poll")
+      const success = await deleteCollection(collectionName)
+      if (success) {
+        const toastr = window.toastr
+        toastr.success(`All memories deleted for ${characterName}`, "Qdrant Memory")
+        $("#qdrant_modal").remove()
+        $("#qdrant_overlay").remove()
+      } else {
+        const toastr = window.toastr
+        toastr.error("Failed to delete memories", "Qdrant Memory")
+        $(this).prop("disabled", false).text("Delete All Memories")
       }
-      scheduleFinalizeLastAssistantMessage(messageId, characterName)
-    }
-  } catch (error) {
-    console.error("[Qdrant Memory] Error in onMessageSent:", error)
-  }
-}
-
-// ============================================================================
-// MEMORY VIEWER FUNCTIONS
-// ============================================================================
-
-async function getCollectionInfo(collectionName) {
-  try {
-    const response = await fetch(`${settings.qdrantUrl}/collections/${collectionName}`, {
-      headers: getQdrantHeaders(),
-    })
-    if (response.ok) {
-      const data = await response.json()
-      return data.result
     }
-    return null
-  } catch (error) {
-    console.error("[Qdrant Memory] Error getting collection info:", error)
-    return null
-  }
-}
-
-async function deleteCollection(collectionName) {
-  try {
-    const response = await fetch(`${settings.qdrantUrl}/collections/${collectionName}`, {
-      method: "DELETE",
-      headers: getQdrantHeaders(),
-    })
-    return response.ok
-  } catch (error) {
-    console.error("[Qdrant Memory] Error deleting collection:", error)
-    return false
-  }
+  })
 }
 
-async function showMemoryViewer() {
-  const context = getContext()
-  const characterName = context.name2
+// Lists collections no character is bound to and lets the user link each one
+// to a character
+async function showRelinkDialog() {
+  const $ = window.$
+  const toastr = window.toastr
+  const orphans = await findOrphanedCollections()
 
-  if (!characterName) {
-    const toastr = window.toastr
-    toastr.warning("No character selected", "Qdrant Memory")
+  if (!orphans) {
+    toastr.error("Could not list collections", "Qdrant Memory")
     return
   }
 
-  const collectionName = getCollectionName(characterName)
-  const info = await getCollectionInfo(collectionName)
-
-  if (!info) {
-    const toastr = window.toastr
-    toastr.warning(`No memories found for ${characterName}`, "Qdrant Memory")
+  if (orphans.length === 0) {
+    toastr.info("No orphaned collections found", "Qdrant Memory")
     return
   }
 
-  const count = info.points_count || 0
+  const characters = getContext().characters || []
+  const current = getActiveCharacters()[0]
+  const counts = await Promise.all(orphans.map((name) => countPoints(name)))
 
   const modalHtml = `
-        <div id="qdrant_modal" style="
+        <div id="qdrant_relink_modal" style="
             position: fixed;
             top: 50%;
             left: 50%;
@@ -2017,24 +8270,21 @@ async function showMemoryViewer() {
             border-radius: 10px;
             box-shadow: 0 4px 20px rgba(0,0,0,0.3);
             z-index: 10000;
-            max-width: 500px;
+            max-width: 600px;
+            max-height: 90vh;
+            overflow-y: auto;
             width: 90%;
         ">
             <div style="color: #333;">
-                <h3 style="margin-top: 0;">Memory Viewer - ${characterName}</h3>
-                <p><strong>Collection:</strong> ${collectionName}</p>
-                <p><strong>Total Memories:</strong> ${count}</p>
-                <div style="margin-top: 20px; display: flex; gap: 10px;">
-                    <button id="qdrant_delete_collection_btn" class="menu_button" style="background-color: #dc3545; color: white;">
-                        Delete All Memories
-                    </button>
-                    <button id="qdrant_close_modal" class="menu_button">
-                        Close
-                    </button>
+                <h3 style="margin-top: 0;">Re-link Orphaned Collections</h3>
+                <small style="color: #666;">Linking replaces the character's current collection binding. The previous collection is kept and will show up here.</small>
+                <div id="qdrant_relink_list" style="margin-top: 15px;"></div>
+                <div style="margin-top: 20px;">
+                    <button id="qdrant_relink_close" class="menu_button">Close</button>
                 </div>
             </div>
         </div>
-        <div id="qdrant_overlay" style="
+        <div id="qdrant_relink_overlay" style="
             position: fixed;
             top: 0;
             left: 0;
@@ -2045,32 +8295,58 @@ async function showMemoryViewer() {
         "></div>
     `
 
-  const $ = window.$
   $("body").append(modalHtml)
 
-  $("#qdrant_close_modal, #qdrant_overlay").on("click", () => {
-    $("#qdrant_modal").remove()
-    $("#qdrant_overlay").remove()
-  })
+  const closeDialog = () => {
+    $("#qdrant_relink_modal").remove()
+    $("#qdrant_relink_overlay").remove()
+  }
+  $("#qdrant_relink_close, #qdrant_relink_overlay").on("click", closeDialog)
+
+  orphans.forEach((collectionName, index) => {
+    const $row = $(`
+      <div style="margin: 10px 0; padding-bottom: 10px; border-bottom: 1px solid #ddd;">
+        <div class="qdrant-relink-name" style="font-weight: bold; word-break: break-all;"></div>
+        <div style="display: flex; gap: 5px; margin-top: 5px; align-items: center;">
+          <select class="text_pole qdrant-relink-character" style="flex: 1;"></select>
+          <button class="menu_button qdrant-relink-link" style="flex: 0;">Link</button>
+        </div>
+      </div>
+    `)
+    $row.find(".qdrant-relink-name").text(`${collectionName} (${counts[index] ?? "?"} memories)`)
+
+    const $select = $row.find(".qdrant-relink-character")
+    characters.forEach((character, characterIndex) => {
+      $("<option>")
+        .val(characterIndex)
+        .text(`${character.name} (${character.avatar})`)
+        .prop("selected", character === current)
+        .appendTo($select)
+    })
 
-  $("#qdrant_delete_collection_btn").on("click", async function () {
-    const confirmed = confirm(
-      `Are you sure you want to delete ALL memories for ${characterName}? This cannot be undone!`,
-    )
-    if (confirmed) {
-      $(this).prop("disabled", true).text("Deleting...")
-      const success = await deleteCollection(collectionName)
-      if (success) {
-        const toastr = window.toastr
-        toastr.success(`All memories deleted for ${characterName}`, "Qdrant Memory")
-        $("#qdrant_modal").remove()
-        $("#qdrant_overlay").remove()
-      } else {
-        const toastr = window.toastr
-        toastr.error("Failed to delete memories", "Qdrant Memory")
-        $(this).prop("disabled", false).text("Delete All Memories")
+    $row.find(".qdrant-relink-link").on("click", async function () {
+      const character = characters[Number($select.val())]
+      if (!character) return
+
+      const previous = getCollectionBinding(character)?.collection
+      const confirmed = confirm(
+        `Link ${collectionName} to ${character.name}?${previous ? ` ${previous} will no longer be used for this character.` : ""}`,
+      )
+      if (!confirmed) return
+
+      $(this).prop("disabled", true).text("Linking...")
+      try {
+        await relinkCollection(character, collectionName)
+        toastr.success(`${collectionName} linked to ${character.name}`, "Qdrant Memory")
+        $row.remove()
+      } catch (error) {
+        console.error("[Qdrant Memory] Failed to re-link collection:", error)
+        toastr.error(`Failed to link ${collectionName}`, "Qdrant Memory")
+        $(this).prop("disabled", false).text("Link")
       }
-    }
+    })
+
+    $("#qdrant_relink_list").append($row)
   })
 }
 
@@ -2091,6 +8367,15 @@ function getContext() {
   }
 }
 
+function getCurrentChatId() {
+  try {
+    const context = getContext()
+    return context.getCurrentChatId?.() ?? context.chatId ?? null
+  } catch (error) {
+    return null
+  }
+}
+
 function getPersonaName() {
   const context = getContext()
   
@@ -2109,21 +8394,151 @@ function getPersonaName() {
   return personaName
 }
 
-function generateUUID() {
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
-    var r = (Math.random() * 16) | 0,
-      v = c == "x" ? r : (r & 0x3) | 0x8
-    return v.toString(16)
+// Modal with a status line, progress bar, details line and Cancel/Close button.
+// Matches the indexing modal; used by long-running maintenance tasks.
+function createProgressModal(title) {
+  const $ = window.$
+  const modalHtml = `
+    <div id="qdrant_progress_modal" style="
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: white;
+      padding: 30px;
+      border-radius: 10px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+      z-index: 10000;
+      max-width: 500px;
+      width: 90%;
+    ">
+      <div style="color: #333;">
+        <h3 style="margin-top: 0;">${title}</h3>
+        <p id="qdrant_progress_status">Starting...</p>
+        <div style="background: #f0f0f0; border-radius: 5px; height: 20px; margin: 15px 0; overflow: hidden;">
+          <div id="qdrant_progress_bar" style="background: #4CAF50; height: 100%; width: 0%; transition: width 0.3s;"></div>
+        </div>
+        <p id="qdrant_progress_details" style="font-size: 0.9em; color: #666;"></p>
+        <button id="qdrant_progress_cancel" class="menu_button" style="margin-top: 15px;">Cancel</button>
+      </div>
+    </div>
+    <div id="qdrant_progress_overlay" style="
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.5);
+      z-index: 9999;
+    "></div>
+  `
+
+  $("body").append(modalHtml)
+
+  let cancelled = false
+  const close = () => {
+    $("#qdrant_progress_modal").remove()
+    $("#qdrant_progress_overlay").remove()
+  }
+
+  $("#qdrant_progress_cancel").on("click", () => {
+    cancelled = true
+    $("#qdrant_progress_cancel").text("Cancelling...").prop("disabled", true)
   })
+
+  return {
+    setStatus: (text) => $("#qdrant_progress_status").text(text),
+    setDetails: (text) => $("#qdrant_progress_details").text(text),
+    setProgress: (percent) =>
+      $("#qdrant_progress_bar").css("width", `${Math.min(100, Math.max(0, percent)).toFixed(0)}%`),
+    isCancelled: () => cancelled,
+    finish: () => {
+      $("#qdrant_progress_cancel").prop("disabled", false).text("Close").off("click").on("click", close)
+    },
+    close,
+  }
 }
 
-async function processSaveQueue() {
-  if (processingSaveQueue || saveQueue.length === 0) return
-  processingSaveQueue = true
-  while (saveQueue.length > 0) {
-    saveQueue.shift()
+// SHA-1 digest of a byte array. Implemented in JS because crypto.subtle is
+// unavailable when SillyTavern is served over plain HTTP on a LAN address.
+function sha1(bytes) {
+  const paddedLength = ((bytes.length + 8) >> 6) * 64 + 64
+  const buffer = new Uint8Array(paddedLength)
+  buffer.set(bytes)
+  buffer[bytes.length] = 0x80
+  const view = new DataView(buffer.buffer)
+  const bitLength = bytes.length * 8
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000))
+  view.setUint32(paddedLength - 4, bitLength >>> 0)
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]
+  const w = new Uint32Array(80)
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4)
+    }
+    for (let i = 16; i < 80; i++) {
+      const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16]
+      w[i] = (x << 1) | (x >>> 31)
+    }
+
+    let [a, b, c, d, e] = h
+    for (let i = 0; i < 80; i++) {
+      let f
+      let k
+      if (i < 20) {
+        f = (b & c) | (~b & d)
+        k = 0x5a827999
+      } else if (i < 40) {
+        f = b ^ c ^ d
+        k = 0x6ed9eba1
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d)
+        k = 0x8f1bbcdc
+      } else {
+        f = b ^ c ^ d
+        k = 0xca62c1d6
+      }
+      const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) >>> 0
+      e = d
+      d = c
+      c = ((b << 30) | (b >>> 2)) >>> 0
+      b = a
+      a = temp
+    }
+
+    h[0] = (h[0] + a) >>> 0
+    h[1] = (h[1] + b) >>> 0
+    h[2] = (h[2] + c) >>> 0
+    h[3] = (h[3] + d) >>> 0
+    h[4] = (h[4] + e) >>> 0
   }
-  processingSaveQueue = false
+
+  const digest = new Uint8Array(20)
+  const digestView = new DataView(digest.buffer)
+  h.forEach((value, index) => digestView.setUint32(index * 4, value))
+  return digest
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("")
+}
+
+// Name-based UUID (RFC 4122 version 5) of `name` within `namespace`
+function uuidV5(name, namespace) {
+  const namespaceBytes = Uint8Array.from(namespace.replace(/-/g, "").match(/../g), (hex) => Number.parseInt(hex, 16))
+  const nameBytes = new TextEncoder().encode(name)
+  const input = new Uint8Array(namespaceBytes.length + nameBytes.length)
+  input.set(namespaceBytes)
+  input.set(nameBytes, namespaceBytes.length)
+
+  const hash = sha1(input).slice(0, 16)
+  hash[6] = (hash[6] & 0x0f) | 0x50
+  hash[8] = (hash[8] & 0x3f) | 0x80
+
+  const hex = bytesToHex(hash)
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
 }
 
 // ============================================================================
@@ -2154,6 +8569,20 @@ function createSettingsUI() {
             
             <h4>Connection Settings</h4>
             
+            <div style="margin: 10px 0;">
+                <label><strong>Storage Backend:</strong></label>
+                <select id="qdrant_storage_backend" class="text_pole" style="width: 100%; margin-top: 5px;">
+                    <option value="qdrant" ${settings.storageBackend === "qdrant" ? "selected" : ""}>Qdrant server</option>
+                    <option value="indexeddb" ${settings.storageBackend === "indexeddb" ? "selected" : ""}>Browser (IndexedDB, no server needed)</option>
+                </select>
+                <small style="color: #666;">Browser storage keeps memories in this browser only; hybrid search and snapshots need Qdrant</small>
+            </div>
+
+            <div id="qdrant_migrate_local_group" style="margin: 10px 0; display: none;">
+                <button id="qdrant_migrate_local_btn" class="menu_button">Migrate Local Memories to Qdrant</button>
+                <small style="color: #666;">Copies all browser-stored memories to the Qdrant URL below and switches to the Qdrant backend</small>
+            </div>
+            
             <div style="margin: 10px 0;">
                 <label><strong>Qdrant URL:</strong></label>
                 <input type="text" id="qdrant_url" class="text_pole" value="${settings.qdrantUrl}" 
@@ -2183,6 +8612,11 @@ function createSettingsUI() {
                 <select id="qdrant_embedding_provider" class="text_pole" style="width: 100%; margin-top: 5px;">
                     <option value="openai" ${settings.embeddingProvider === "openai" ? "selected" : ""}>OpenAI</option>
                     <option value="openrouter" ${settings.embeddingProvider === "openrouter" ? "selected" : ""}>OpenRouter</option>
+                    <option value="ollama" ${settings.embeddingProvider === "ollama" ? "selected" : ""}>Ollama</option>
+                    <option value="cohere" ${settings.embeddingProvider === "cohere" ? "selected" : ""}>Cohere</option>
+                    <option value="gemini" ${settings.embeddingProvider === "gemini" ? "selected" : ""}>Google Gemini</option>
+                    <option value="voyage" ${settings.embeddingProvider === "voyage" ? "selected" : ""}>Voyage AI</option>
+                    <option value="koboldcpp" ${settings.embeddingProvider === "koboldcpp" ? "selected" : ""}>KoboldCpp (via SillyTavern)</option>
                     <option value="local" ${settings.embeddingProvider === "local" ? "selected" : ""}>Local/custom endpoint</option>
                 </select>
                 <small style="color: #666;">Choose the API used for generating embeddings</small>
@@ -2202,6 +8636,41 @@ function createSettingsUI() {
                 <small style="color: #666;">Required when using OpenRouter</small>
             </div>
 
+            <div id="qdrant_ollama_url_group" style="margin: 10px 0; display: none;">
+                <label><strong>Ollama URL:</strong></label>
+                <input type="text" id="qdrant_ollama_url" class="text_pole" value="${settings.ollamaUrl}"
+                       placeholder="http://localhost:11434" style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Ollama server address. Pull the model first (<code>ollama pull nomic-embed-text</code>) and allow SillyTavern's origin with <code>OLLAMA_ORIGINS</code>.</small>
+            </div>
+
+            <div id="qdrant_cohere_key_group" style="margin: 10px 0; display: none;">
+                <label><strong>Cohere API Key:</strong></label>
+                <input type="password" id="qdrant_cohere_key" class="text_pole" value="${settings.cohereApiKey}"
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Required when using Cohere</small>
+            </div>
+
+            <div id="qdrant_gemini_key_group" style="margin: 10px 0; display: none;">
+                <label><strong>Gemini API Key:</strong></label>
+                <input type="password" id="qdrant_gemini_key" class="text_pole" value="${settings.geminiApiKey}"
+                       placeholder="AIza..." style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Required when using Google Gemini</small>
+            </div>
+
+            <div id="qdrant_voyage_key_group" style="margin: 10px 0; display: none;">
+                <label><strong>Voyage API Key:</strong></label>
+                <input type="password" id="qdrant_voyage_key" class="text_pole" value="${settings.voyageApiKey}"
+                       placeholder="pa-..." style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Required when using Voyage AI</small>
+            </div>
+
+            <div id="qdrant_koboldcpp_group" style="margin: 10px 0; display: none;">
+                <label><strong>KoboldCpp URL (optional):</strong></label>
+                <input type="text" id="qdrant_koboldcpp_url" class="text_pole" value="${settings.koboldCppUrl}"
+                       placeholder="Use the KoboldCpp server set up in SillyTavern" style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Embeds with the KoboldCpp embedding model through the SillyTavern server (start KoboldCpp with <code>--embeddingsmodel</code>). This is not SillyTavern's Vector Storage: its other sources embed and store on the server and never return the vectors.</small>
+            </div>
+
             <div id="qdrant_local_url_group" style="margin: 10px 0; display: none;">
                 <label><strong>Embedding URL:</strong></label>
                 <input type="text" id="qdrant_local_url" class="text_pole" value="${settings.localEmbeddingUrl}"
@@ -2224,6 +8693,10 @@ function createSettingsUI() {
                        value="${settings.customEmbeddingDimensions ?? ""}"
                        min="1" step="1" style="width: 100%; margin-top: 5px;" placeholder="Auto-detect after first call" />
                 <small style="color: #666;">Vector size returned by your custom embedding model (leave blank to auto-detect)</small>
+                <label style="margin-top: 5px;"><strong>Model name:</strong></label>
+                <input type="text" id="qdrant_local_model" class="text_pole" value="${settings.localEmbeddingModel}"
+                       placeholder="e.g. nomic-embed-text" style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Model the endpoint serves. Sent to local endpoints and used to match fallback providers.</small>
             </div>
 
             <div id="qdrant_embedding_model_group" style="margin: 10px 0;">
@@ -2234,6 +8707,74 @@ function createSettingsUI() {
                     <option value="text-embedding-ada-002" ${settings.embeddingModel === "text-embedding-ada-002" ? "selected" : ""}>text-embedding-ada-002 (legacy)</option>
                 </select>
             </div>
+
+            <div style="margin: 10px 0;">
+                <label><strong>Output Dimensions:</strong></label>
+                <input type="number" id="qdrant_output_dimensions" class="text_pole"
+                       value="${settings.embeddingOutputDimensions ?? ""}"
+                       min="1" step="1" style="width: 100%; margin-top: 5px;" placeholder="Full size" />
+                <small style="color: #666;">Shorter vectors for models trained to allow it (OpenAI text-embedding-3, Cohere embed-v4.0, gemini-embedding-001, Voyage 3.x). Ollama and custom models are truncated in the browser - only use that with Matryoshka models such as nomic-embed-text. Applies to new collections; migrate existing ones.</small>
+            </div>
+
+            <div id="qdrant_quantization_group" style="margin: 10px 0;">
+                <label><strong>Vector Quantization:</strong></label>
+                <select id="qdrant_quantization" class="text_pole" style="width: 100%; margin-top: 5px;">
+                    <option value="none" ${settings.quantization === "none" ? "selected" : ""}>None (full precision)</option>
+                    <option value="scalar" ${settings.quantization === "scalar" ? "selected" : ""}>Scalar (int8, 4x smaller)</option>
+                    <option value="binary" ${settings.quantization === "binary" ? "selected" : ""}>Binary (32x smaller, for 1024+ dimensions)</option>
+                </select>
+                <label style="display: flex; align-items: center; gap: 10px; margin-top: 5px;">
+                    <input type="checkbox" id="qdrant_vectors_on_disk" ${settings.vectorsOnDisk ? "checked" : ""} />
+                    <strong>Keep Full Vectors on Disk</strong>
+                </label>
+                <small style="color: #666;">Applies to Qdrant collections created from now on. Searches rescore quantized matches with the full vectors.</small>
+            </div>
+
+            <small id="qdrant_storage_estimate" style="color: #666;"></small>
+
+            <div style="margin: 10px 0;">
+                <label><strong>Instruction Prefixes:</strong></label>
+                <select id="qdrant_embedding_template" class="text_pole" style="width: 100%; margin-top: 5px;">
+                    <option value="auto" ${settings.embeddingTemplate === "auto" ? "selected" : ""}>Auto (by model)</option>
+                    ${Object.entries(EMBEDDING_TEMPLATE_PRESETS)
+                      .map(([id, preset]) => `<option value="${id}" ${settings.embeddingTemplate === id ? "selected" : ""}>${preset.label}</option>`)
+                      .join("")}
+                    <option value="custom" ${settings.embeddingTemplate === "custom" ? "selected" : ""}>Custom</option>
+                </select>
+                <div id="qdrant_custom_template_group" style="margin-top: 5px; ${settings.embeddingTemplate === "custom" ? "" : "display: none;"}">
+                    <label><strong>Query prefix:</strong></label>
+                    <textarea id="qdrant_custom_query_prefix" class="text_pole" rows="2" style="width: 100%; margin-top: 5px;"
+                              placeholder="search_query: "></textarea>
+                    <label><strong>Document prefix:</strong></label>
+                    <textarea id="qdrant_custom_document_prefix" class="text_pole" rows="2" style="width: 100%; margin-top: 5px;"
+                              placeholder="search_document: "></textarea>
+                </div>
+                <small id="qdrant_embedding_template_preview" style="color: #666; white-space: pre-wrap;"></small>
+                <small style="color: #666;">Text put before search queries and stored memories for models trained with them (nomic, e5, bge, mxbai, Qwen3, EmbeddingGemma). Changing them affects search until memories are migrated.</small>
+            </div>
+
+            <div style="margin: 10px 0;">
+                <label style="display: flex; align-items: center; gap: 10px;">
+                    <input type="checkbox" id="qdrant_embedding_cache" ${settings.embeddingCacheEnabled ? "checked" : ""} />
+                    <strong>Cache Embeddings</strong>
+                </label>
+                <small style="color: #666; display: block; margin-left: 30px;">Reuse vectors for text already embedded with the current model instead of calling the API again. Stored in this browser per model and dimensions; the least recently used vectors are dropped once the cache is full.</small>
+                <div id="qdrant_embedding_cache_group" style="margin: 5px 0 0 30px; ${settings.embeddingCacheEnabled ? "" : "display: none;"}">
+                    <label><strong>Maximum cached embeddings:</strong></label>
+                    <input type="number" id="qdrant_embedding_cache_max" class="text_pole" value="${settings.embeddingCacheMaxEntries}"
+                           min="100" step="100" style="width: 100%; margin-top: 5px;" />
+                    <small id="qdrant_embedding_cache_stats" style="color: #666;"></small>
+                    <button id="qdrant_embedding_cache_clear" class="menu_button" style="margin-top: 5px;">Clear Cache</button>
+                </div>
+            </div>
+
+            <div style="margin: 10px 0;">
+                <label><strong>Fallback Providers:</strong></label>
+                <div id="qdrant_fallback_list"></div>
+                <button id="qdrant_fallback_add" class="menu_button" style="margin-top: 5px;">Add Fallback Provider</button>
+                <small style="color: #666;">Tried in order when the provider above fails. A fallback is only used if it serves the same model with the same dimensions (e.g. OpenAI's text-embedding-3-large through OpenRouter). Its key or URL is entered with the provider settings above.</small>
+                <small id="qdrant_embedding_provider_status" style="color: #666; white-space: pre-wrap;"></small>
+            </div>
             
             <hr style="margin: 15px 0;" />
             
@@ -2243,28 +8784,197 @@ function createSettingsUI() {
                 <label><strong>Number of Memories:</strong> <span id="memory_limit_display">${settings.memoryLimit}</span></label>
                 <input type="range" id="qdrant_memory_limit" min="1" max="50" value="${settings.memoryLimit}" 
                        style="width: 100%; margin-top: 5px;" />
-                <small style="color: #666;">Maximum memories to retrieve per generation</small>
+                <small style="color: #666;">Maximum memories to retrieve per generation</small>
+            </div>
+            
+            <div style="margin: 10px 0;">
+                <label><strong>Candidates per Memory:</strong> <span id="candidate_multiplier_display">${settings.candidateMultiplier}</span></label>
+                <input type="range" id="qdrant_candidate_multiplier" min="1" max="10" value="${settings.candidateMultiplier}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Search results fetched for each memory kept, for ranking and variety to choose from</small>
+            </div>
+
+            <div style="margin: 10px 0;">
+                <label><strong>Relevance vs. Variety (MMR):</strong> <span id="mmr_lambda_display">${settings.mmrLambda}</span></label>
+                <input type="range" id="qdrant_mmr_lambda" min="0" max="1" step="0.05" value="${settings.mmrLambda}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">1 = most relevant only; lower values pass over memories that repeat ones already picked</small>
+            </div>
+
+            <div style="margin: 10px 0;">
+                <label><strong>Max Memories per Conversation:</strong> <span id="max_per_chat_display">${settings.maxMemoriesPerChat}</span></label>
+                <input type="range" id="qdrant_max_per_chat" min="0" max="10" value="${settings.maxMemoriesPerChat}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Memories from one chat while other chats have matches (0 = no limit)</small>
+            </div>
+
+            <div style="margin: 10px 0;">
+                <label><strong>Relevance Threshold:</strong> <span id="score_threshold_display">${settings.scoreThreshold}</span></label>
+                <input type="range" id="qdrant_score_threshold" min="0" max="1" step="0.05" value="${settings.scoreThreshold}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Minimum similarity score (0.0 - 1.0)</small>
+            </div>
+            
+            <div style="margin: 10px 0;">
+                <label><strong>Memory Position:</strong> <span id="memory_position_display">${settings.memoryPosition}</span></label>
+                <input type="range" id="qdrant_memory_position" min="1" max="30" value="${settings.memoryPosition}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">How many messages from the end to insert memories</small>
+            </div>
+            
+            <div style="margin: 10px 0;">
+                <label><strong>Retain Recent Messages:</strong> <span id="retain_recent_display">${settings.retainRecentMessages}</span></label>
+                <input type="range" id="qdrant_retain_recent" min="0" max="50" value="${settings.retainRecentMessages}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Exclude the last N messages from retrieval (0 = no exclusion)</small>
+            </div>
+
+            <div style="margin: 10px 0;">
+                <label><strong>Search Query:</strong></label>
+                <select id="qdrant_query_mode" class="text_pole" style="width: 100%; margin-top: 5px;">
+                    ${Object.entries(QUERY_MODES)
+                      .map(([value, label]) => `<option value="${value}" ${settings.queryMode === value ? "selected" : ""}>${label}</option>`)
+                      .join("")}
+                </select>
+                <small style="color: #666;">What the memory search is built from. Debug mode logs the exact query text.</small>
+            </div>
+
+            <div id="qdrant_query_window_group" style="margin: 10px 0 10px 30px; ${settings.queryMode === "window" ? "" : "display: none;"}">
+                <label><strong>Messages in Window:</strong> <span id="query_window_messages_display">${settings.queryWindowMessages}</span></label>
+                <input type="range" id="qdrant_query_window_messages" min="2" max="20" value="${settings.queryWindowMessages}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <label><strong>Recency Decay:</strong> <span id="query_window_decay_display">${settings.queryWindowDecay}</span></label>
+                <input type="range" id="qdrant_query_window_decay" min="0.1" max="1" step="0.05" value="${settings.queryWindowDecay}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Messages from both sides are joined into one query; each older message gets this share of the room the next one gets (1 = equal)</small>
+            </div>
+
+            <div id="qdrant_query_split_group" style="margin: 10px 0 10px 30px; ${settings.queryMode === "split" ? "" : "display: none;"}">
+                <label><strong>Character Turn Weight:</strong> <span id="query_split_weight_display">${settings.querySplitCharacterWeight}</span></label>
+                <input type="range" id="qdrant_query_split_weight" min="0" max="1" step="0.05" value="${settings.querySplitCharacterWeight}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Your turn and the character's last reply are searched separately; scores found with the reply are scaled by this (0 = user turn only)</small>
+            </div>
+
+            <div id="qdrant_query_average_group" style="margin: 10px 0 10px 30px; ${settings.queryMode === "average" ? "" : "display: none;"}">
+                <label><strong>Messages to Average:</strong> <span id="query_average_messages_display">${settings.queryAverageMessages}</span></label>
+                <input type="range" id="qdrant_query_average_messages" min="2" max="20" value="${settings.queryAverageMessages}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <label><strong>Recency Decay:</strong> <span id="query_average_decay_display">${settings.queryAverageDecay}</span></label>
+                <input type="range" id="qdrant_query_average_decay" min="0.1" max="1" step="0.05" value="${settings.queryAverageDecay}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Each message is embedded on its own and the vectors are averaged; each older message weighs this much relative to the next</small>
+            </div>
+
+            <div style="margin: 10px 0;">
+                <label style="display: flex; align-items: center; gap: 10px;">
+                    <input type="checkbox" id="qdrant_query_rewrite" ${settings.queryRewrite ? "checked" : ""} />
+                    <strong>Rewrite Query with the LLM</strong>
+                </label>
+                <small style="color: #666; display: block; margin-left: 30px;">Before searching, ask the connected LLM to turn the conversation into standalone search queries. Costs one short background generation per new message.</small>
+            </div>
+
+            <div id="qdrant_query_rewrite_group" style="margin: 10px 0 10px 30px; ${settings.queryRewrite ? "" : "display: none;"}">
+                <label><strong>Messages Shown:</strong> <span id="query_rewrite_messages_display">${settings.queryRewriteMessages}</span></label>
+                <input type="range" id="qdrant_query_rewrite_messages" min="1" max="20" value="${settings.queryRewriteMessages}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <label><strong>Max Queries:</strong> <span id="query_rewrite_max_display">${settings.queryRewriteMaxQueries}</span></label>
+                <input type="range" id="qdrant_query_rewrite_max" min="1" max="5" value="${settings.queryRewriteMaxQueries}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <label><strong>Timeout (seconds):</strong> <span id="query_rewrite_timeout_display">${settings.queryRewriteTimeoutMs / 1000}</span></label>
+                <input type="range" id="qdrant_query_rewrite_timeout" min="1" max="30" value="${settings.queryRewriteTimeoutMs / 1000}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Past this, memories are searched with the normal query and the late rewrite is kept for a regenerate or swipe.</small>
+                <label style="display: flex; align-items: center; gap: 10px; margin-top: 5px;">
+                    <input type="checkbox" id="qdrant_query_rewrite_keep" ${settings.queryRewriteKeepOriginal ? "checked" : ""} />
+                    <strong>Also search the normal query</strong>
+                </label>
+                <label style="margin-top: 5px;"><strong>Rewrite Prompt:</strong></label>
+                <textarea id="qdrant_query_rewrite_prompt" class="text_pole" rows="6" style="width: 100%; margin-top: 5px;"></textarea>
+                <small style="color: #666;">{{conversation}} is replaced with the recent messages and {{count}} with Max Queries; SillyTavern macros such as {{char}} and {{user}} work too.</small>
+                <button id="qdrant_query_rewrite_reset" class="menu_button" style="margin-top: 5px;">Restore Default Prompt</button>
+            </div>
+            
+            <div style="margin: 10px 0;">
+                <label style="display: flex; align-items: center; gap: 10px;">
+                    <input type="checkbox" id="qdrant_ranking_enabled" ${settings.rankingEnabled ? "checked" : ""} />
+                    <strong>Re-rank by Recency and Importance</strong>
+                </label>
+                <small style="color: #666; display: block; margin-left: 30px;">Fetch extra candidates and score them on similarity, age, importance and how often they were used. Debug mode logs each score's terms.</small>
+            </div>
+
+            <div id="qdrant_ranking_group" style="margin: 10px 0 10px 30px; ${settings.rankingEnabled ? "" : "display: none;"}">
+                <label><strong>Recency Half-Life (days):</strong></label>
+                <input type="number" id="qdrant_recency_half_life" class="text_pole" value="${settings.recencyHalfLifeDays}"
+                       min="0" step="1" style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Age at which a memory's recency bonus has halved (0 = ignore age)</small>
+                <label><strong>Recency Weight:</strong> <span id="recency_weight_display">${settings.recencyWeight}</span></label>
+                <input type="range" id="qdrant_recency_weight" min="0" max="1" step="0.05" value="${settings.recencyWeight}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <label><strong>Importance Weight:</strong> <span id="importance_weight_display">${settings.importanceWeight}</span></label>
+                <input type="range" id="qdrant_importance_weight" min="0" max="1" step="0.05" value="${settings.importanceWeight}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Only useful if your memories carry an <code>importance</code> payload (0-1) set with other tools; the extension does not set it</small>
+                <label><strong>Retrieval Count Weight:</strong> <span id="retrieval_count_weight_display">${settings.retrievalCountWeight}</span></label>
+                <input type="range" id="qdrant_retrieval_count_weight" min="0" max="1" step="0.05" value="${settings.retrievalCountWeight}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Each weight is relative to similarity, which counts 1</small>
             </div>
-            
+
             <div style="margin: 10px 0;">
-                <label><strong>Relevance Threshold:</strong> <span id="score_threshold_display">${settings.scoreThreshold}</span></label>
-                <input type="range" id="qdrant_score_threshold" min="0" max="1" step="0.05" value="${settings.scoreThreshold}" 
-                       style="width: 100%; margin-top: 5px;" />
-                <small style="color: #666;">Minimum similarity score (0.0 - 1.0)</small>
+                <label style="display: flex; align-items: center; gap: 10px;">
+                    <input type="checkbox" id="qdrant_track_retrievals" ${settings.trackRetrievalCounts ? "checked" : ""} />
+                    <strong>Count Memory Retrievals</strong>
+                </label>
+                <small style="color: #666; display: block; margin-left: 30px;">Store how often each memory was injected (used by the retrieval count weight)</small>
             </div>
-            
+
             <div style="margin: 10px 0;">
-                <label><strong>Memory Position:</strong> <span id="memory_position_display">${settings.memoryPosition}</span></label>
-                <input type="range" id="qdrant_memory_position" min="1" max="30" value="${settings.memoryPosition}" 
+                <label style="display: flex; align-items: center; gap: 10px;">
+                    <input type="checkbox" id="qdrant_rerank_enabled" ${settings.rerankEnabled ? "checked" : ""} />
+                    <strong>Rerank with a Cross-Encoder</strong>
+                </label>
+                <small style="color: #666; display: block; margin-left: 30px;">Send the query and top candidates to a /rerank endpoint (Cohere, Jina, TEI or a local server) and reorder them by its scores. Falls back to vector order if it cannot be reached.</small>
+            </div>
+
+            <div id="qdrant_rerank_group" style="margin: 10px 0 10px 30px; ${settings.rerankEnabled ? "" : "display: none;"}">
+                <label><strong>Rerank URL:</strong></label>
+                <input type="text" id="qdrant_rerank_url" class="text_pole" value="${settings.rerankUrl}"
+                       placeholder="http://localhost:8080/rerank" style="width: 100%; margin-top: 5px;" />
+                <label style="margin-top: 5px;"><strong>API Format:</strong></label>
+                <select id="qdrant_rerank_format" class="text_pole" style="width: 100%; margin-top: 5px;">
+                    <option value="cohere" ${settings.rerankFormat === "cohere" ? "selected" : ""}>Cohere / Jina (documents)</option>
+                    <option value="tei" ${settings.rerankFormat === "tei" ? "selected" : ""}>Text Embeddings Inference (texts)</option>
+                </select>
+                <label style="margin-top: 5px;"><strong>Model (optional):</strong></label>
+                <input type="text" id="qdrant_rerank_model" class="text_pole" value="${settings.rerankModel}"
+                       placeholder="rerank-v3.5, jina-reranker-v2-base-multilingual, ..." style="width: 100%; margin-top: 5px;" />
+                <label style="margin-top: 5px;"><strong>API Key (optional):</strong></label>
+                <input type="password" id="qdrant_rerank_api_key" class="text_pole" value="${settings.rerankApiKey}"
+                       placeholder="Bearer token" style="width: 100%; margin-top: 5px;" />
+                <label style="margin-top: 5px;"><strong>Candidates to Rerank:</strong> <span id="rerank_top_k_display">${settings.rerankTopK}</span></label>
+                <input type="range" id="qdrant_rerank_top_k" min="5" max="100" step="5" value="${settings.rerankTopK}" 
                        style="width: 100%; margin-top: 5px;" />
-                <small style="color: #666;">How many messages from the end to insert memories</small>
+                <label><strong>Rerank Threshold:</strong> <span id="rerank_threshold_display">${settings.rerankThreshold}</span></label>
+                <input type="range" id="qdrant_rerank_threshold" min="0" max="1" step="0.05" value="${settings.rerankThreshold}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Minimum reranker score kept. The relevance threshold still filters the vector search, so lower it to give the reranker more to choose from.</small>
+                <button id="qdrant_rerank_test" class="menu_button" style="margin-top: 5px;">Test Reranker</button>
             </div>
-            
+
             <div style="margin: 10px 0;">
-                <label><strong>Retain Recent Messages:</strong> <span id="retain_recent_display">${settings.retainRecentMessages}</span></label>
-                <input type="range" id="qdrant_retain_recent" min="0" max="50" value="${settings.retainRecentMessages}" 
+                <label style="display: flex; align-items: center; gap: 10px;">
+                    <input type="checkbox" id="qdrant_hybrid_search" ${settings.hybridSearch ? "checked" : ""} />
+                    <strong>Hybrid Search (dense + keyword)</strong>
+                </label>
+                <small style="color: #666; display: block; margin-left: 30px;">Also match names and rare words with a sparse BM25-style vector. Applies to collections created while enabled.</small>
+            </div>
+
+            <div id="qdrant_hybrid_weight_group" style="margin: 10px 0; ${settings.hybridSearch ? "" : "display: none;"}">
+                <label><strong>Dense Weight:</strong> <span id="hybrid_dense_weight_display">${settings.hybridDenseWeight}</span></label>
+                <input type="range" id="qdrant_hybrid_dense_weight" min="0" max="1" step="0.05" value="${settings.hybridDenseWeight}" 
                        style="width: 100%; margin-top: 5px;" />
-                <small style="color: #666;">Exclude the last N messages from retrieval (0 = no exclusion)</small>
+                <small style="color: #666;">Share of the fused ranking given to semantic similarity (the rest goes to keyword matches)</small>
             </div>
             
             <hr style="margin: 15px 0;" />
@@ -2277,6 +8987,11 @@ function createSettingsUI() {
                     <strong>Use Per-Character Collections</strong>
                 </label>
                 <small style="color: #666; display: block; margin-left: 30px;">Each character gets their own dedicated collection (recommended)</small>
+                <div style="margin: 5px 0 0 30px; display: flex; gap: 10px; flex-wrap: wrap;">
+                    <button id="qdrant_merge_collections_btn" class="menu_button">Merge into Shared Collection</button>
+                    <button id="qdrant_split_collection_btn" class="menu_button">Split Shared Collection</button>
+                </div>
+                <small style="color: #666; display: block; margin-left: 30px;">Copy existing memories to the other mode (with a dry run first), then switch to it</small>
             </div>
             
             <div style="margin: 10px 0;">
@@ -2286,6 +9001,24 @@ function createSettingsUI() {
                 </label>
                 <small style="color: #666; display: block; margin-left: 30px;">Save messages to Qdrant as conversations happen</small>
             </div>
+
+            <div style="margin: 10px 0;">
+                <label style="display: flex; align-items: center; gap: 10px;">
+                    <input type="checkbox" id="qdrant_sync_changes" ${settings.syncMessageChanges ? "checked" : ""} />
+                    <strong>Sync Edits, Deletions and Swipes</strong>
+                </label>
+                <small style="color: #666; display: block; margin-left: 30px;">Re-embed or remove stored memories when their messages change, keeping only the swipe you chose</small>
+            </div>
+
+            <div style="margin: 10px 0;">
+                <label><strong>Pending Memory Writes:</strong></label>
+                <small id="qdrant_outbox_status" style="color: #666;"></small>
+                <div style="margin-top: 5px; display: flex; gap: 10px; flex-wrap: wrap;">
+                    <button id="qdrant_outbox_retry" class="menu_button" disabled>Retry Now</button>
+                    <button id="qdrant_outbox_discard" class="menu_button" disabled>Discard</button>
+                </div>
+                <small style="color: #666;">Memories that could not be saved while Qdrant or the embedding provider was unreachable are kept in this browser and retried automatically. Saves that were rejected, or still fail after 10 attempts, are marked failed and only retried with Retry Now.</small>
+            </div>
             
             <div style="margin: 10px 0;">
                 <label style="display: flex; align-items: center; gap: 10px;">
@@ -2308,12 +9041,39 @@ function createSettingsUI() {
                 <small style="color: #666;">Minimum characters to save a message</small>
             </div>
 
+            <div style="margin: 10px 0;">
+                <label><strong>Chunk Size (tokens):</strong></label>
+                <div style="display: flex; gap: 10px; margin-top: 5px;">
+                    <input type="number" id="qdrant_chunk_min_tokens" class="text_pole" value="${settings.chunkMinTokens}"
+                           min="1" step="10" style="flex: 1;" title="Minimum" />
+                    <input type="number" id="qdrant_chunk_max_tokens" class="text_pole" value="${settings.chunkMaxTokens}"
+                           min="1" step="10" style="flex: 1;" title="Maximum" />
+                </div>
+                <small style="color: #666;">Messages are gathered until a chunk reaches the minimum, and a chunk never grows past the maximum. Longer messages are split at paragraph or sentence breaks into linked parts.</small>
+                <label style="margin-top: 5px;"><strong>Token Counter:</strong></label>
+                <select id="qdrant_token_counter" class="text_pole" style="width: 100%; margin-top: 5px;">
+                    <option value="approximate" ${settings.tokenCounter === "approximate" ? "selected" : ""}>Estimate for the embedding model</option>
+                    <option value="sillytavern" ${settings.tokenCounter === "sillytavern" ? "selected" : ""}>SillyTavern tokenizer (chat model)</option>
+                </select>
+                <label style="margin-top: 5px;"><strong>Embedding Model Input Limit (tokens):</strong></label>
+                <input type="number" id="qdrant_embedding_max_tokens" class="text_pole" value="${settings.embeddingMaxTokens ?? ""}"
+                       min="1" step="1" style="width: 100%; margin-top: 5px;" placeholder="Auto" />
+                <small id="qdrant_chunk_limit_info" style="color: #666;"></small>
+            </div>
+
             <div style="margin: 10px 0;">
                 <label><strong>Deduplication Threshold:</strong> <span id="dedupe_threshold_display">${settings.dedupeThreshold}</span></label>
                 <input type="range" id="qdrant_dedupe_threshold" min="0.80" max="1.00" step="0.01" value="${settings.dedupeThreshold}" 
                        style="width: 100%; margin-top: 5px;" />
                 <small style="color: #666;">Prevent saving duplicate chunks (higher = stricter)</small>
             </div>
+
+            <div style="margin: 10px 0;">
+                <label><strong>Index Batch Size:</strong> <span id="index_batch_size_display">${settings.indexBatchSize}</span></label>
+                <input type="range" id="qdrant_index_batch_size" min="1" max="128" value="${settings.indexBatchSize}" 
+                       style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Chunks embedded and saved per request when indexing chats (1 = one at a time)</small>
+            </div>
             
             <hr style="margin: 15px 0;" />
             
@@ -2327,6 +9087,26 @@ function createSettingsUI() {
                 <small style="color: #666; display: block; margin-left: 30px;">Prevent memories from being added to context multiple times</small>
             </div>
             
+            <div style="margin: 15px 0;">
+                <label style="display: flex; align-items: center; gap: 10px;">
+                    <input type="checkbox" id="qdrant_snapshot_before_delete" ${settings.snapshotBeforeDelete ? "checked" : ""} />
+                    Snapshot before deleting memories
+                </label>
+                <small style="color: #666; display: block; margin-left: 30px;">Create and download a Qdrant snapshot before a collection is deleted or restored over</small>
+            </div>
+            
+            <div style="margin: 15px 0;">
+                <label><strong>Request Timeout (seconds):</strong></label>
+                <input type="number" id="qdrant_request_timeout" class="text_pole" value="${settings.requestTimeoutMs / 1000}"
+                       min="1" step="1" style="width: 100%; margin-top: 5px;" />
+                <label style="margin-top: 10px; display: block;"><strong>Retries:</strong></label>
+                <input type="number" id="qdrant_request_retries" class="text_pole" value="${settings.requestRetries}"
+                       min="0" max="10" step="1" style="width: 100%; margin-top: 5px;" />
+                <small style="color: #666;">Timeouts, network errors, rate limits (429) and server errors are retried with backoff, honoring Retry-After. After ${CIRCUIT_FAILURE_THRESHOLD} failures in a row a service is paused for ${CIRCUIT_COOLDOWN_MS / 1000}s and retrieval is skipped.</small>
+                <label style="margin-top: 10px; display: block;"><strong>Service Status:</strong></label>
+                <small id="qdrant_service_status" style="color: #666; white-space: pre-line;">All services responding</small>
+            </div>
+            
             <div style="margin: 15px 0;">
                 <label style="display: flex; align-items: center; gap: 10px;">
                     <input type="checkbox" id="qdrant_notifications" ${settings.showMemoryNotifications ? "checked" : ""} />
@@ -2401,28 +9181,160 @@ function createSettingsUI() {
     const provider = settings.embeddingProvider || "openai"
     const $openAIGroup = $("#qdrant_openai_key_group")
     const $openRouterGroup = $("#qdrant_openrouter_key_group")
+    const $ollamaGroup = $("#qdrant_ollama_url_group")
+    const $cohereGroup = $("#qdrant_cohere_key_group")
+    const $geminiGroup = $("#qdrant_gemini_key_group")
+    const $voyageGroup = $("#qdrant_voyage_key_group")
+    const $koboldCppGroup = $("#qdrant_koboldcpp_group")
     const $localGroup = $("#qdrant_local_url_group")
     const $localApiKeyGroup = $("#qdrant_local_api_key_group")
     const $localDimensionsGroup = $("#qdrant_local_dimensions_group")
     const $localDimensionsInput = $("#qdrant_local_dimensions")
     const $modelGroup = $("#qdrant_embedding_model_group")
 
-    $openAIGroup.toggle(provider === "openai")
-    $openRouterGroup.toggle(provider === "openrouter")
-    $localGroup.toggle(provider === "local")
-    $localApiKeyGroup.toggle(provider === "local")
-    $localDimensionsGroup.toggle(provider === "local")
-
-    if (provider === "local") {
+    // Fallback providers need their keys and URLs too
+    const inUse = new Set([provider, ...getFallbackTargets().map((target) => target.provider)])
+    $openAIGroup.toggle(inUse.has("openai"))
+    $openRouterGroup.toggle(inUse.has("openrouter"))
+    $ollamaGroup.toggle(inUse.has("ollama"))
+    $cohereGroup.toggle(inUse.has("cohere"))
+    $geminiGroup.toggle(inUse.has("gemini"))
+    $voyageGroup.toggle(inUse.has("voyage"))
+    $koboldCppGroup.toggle(inUse.has("koboldcpp"))
+    $localGroup.toggle(inUse.has("local"))
+    $localApiKeyGroup.toggle(inUse.has("local"))
+    $localDimensionsGroup.toggle(providerDetectsDimensions(provider))
+
+    if (providerDetectsDimensions(provider)) {
       $localDimensionsInput.val(settings.customEmbeddingDimensions ?? "")
     }
 
-    const showModelSelect = provider !== "local"
+    const showModelSelect = !providerDetectsDimensions(provider)
     $modelGroup.toggle(showModelSelect)
 
     if (showModelSelect) {
       updateEmbeddingModelOptions(provider)
     }
+    updateStorageEstimateUI()
+    updateEmbeddingProviderStatusUI()
+    updateChunkLimitUI()
+  }
+
+  // One row per fallback provider: provider, model (with the known models
+  // suggested), move up and remove
+  function renderFallbackList() {
+    const $list = $("#qdrant_fallback_list").empty()
+
+    settings.embeddingFallbacks.forEach((entry, index) => {
+      const $row = $(`
+        <div style="display: flex; gap: 5px; align-items: center; margin: 5px 0;">
+          <select class="text_pole qdrant-fallback-provider" style="flex: 1;"></select>
+          <input type="text" class="text_pole qdrant-fallback-model" style="flex: 2;" placeholder="Model" />
+          <datalist></datalist>
+          <button class="menu_button qdrant-fallback-up" style="flex: 0;" title="Try earlier">&uarr;</button>
+          <button class="menu_button qdrant-fallback-remove" style="flex: 0;" title="Remove">&times;</button>
+        </div>
+      `)
+
+      const $provider = $row.find(".qdrant-fallback-provider")
+      Object.entries(EMBEDDING_PROVIDER_LABELS).forEach(([value, label]) => {
+        $("<option>").val(value).text(label).prop("selected", value === entry.provider).appendTo($provider)
+      })
+
+      const listId = `qdrant_fallback_models_${index}`
+      const $models = $row.find("datalist").attr("id", listId)
+      ;(EMBEDDING_MODEL_OPTIONS[entry.provider] || []).forEach((model) => {
+        $("<option>").val(model.value).appendTo($models)
+      })
+      $row.find(".qdrant-fallback-model").attr("list", listId).val(entry.model || "")
+      $row.find(".qdrant-fallback-up").prop("disabled", index === 0)
+
+      $provider.on("change", function () {
+        entry.provider = $(this).val()
+        entry.model = DEFAULT_MODEL_BY_PROVIDER[entry.provider] || ""
+        renderFallbackList()
+        updateEmbeddingProviderUI()
+      })
+      $row.find(".qdrant-fallback-model").on("input", function () {
+        entry.model = $(this).val()
+        updateEmbeddingProviderStatusUI()
+      })
+      $row.find(".qdrant-fallback-up").on("click", () => {
+        const [moved] = settings.embeddingFallbacks.splice(index, 1)
+        settings.embeddingFallbacks.splice(index - 1, 0, moved)
+        renderFallbackList()
+        updateEmbeddingProviderStatusUI()
+      })
+      $row.find(".qdrant-fallback-remove").on("click", () => {
+        settings.embeddingFallbacks.splice(index, 1)
+        renderFallbackList()
+        updateEmbeddingProviderUI()
+      })
+
+      $list.append($row)
+    })
+  }
+
+  function updateEmbeddingTemplateUI() {
+    const template = resolveEmbeddingTemplate()
+    const describe = (prefix) => (prefix ? JSON.stringify(prefix) : "(none)")
+    const source = settings.embeddingTemplate === "auto" ? ` - detected: ${EMBEDDING_TEMPLATE_PRESETS[template.id].label}` : ""
+    $("#qdrant_custom_template_group").toggle(settings.embeddingTemplate === "custom")
+    $("#qdrant_embedding_template_preview").text(
+      `Query: ${describe(template.query)}\nDocument: ${describe(template.document)}${source}`,
+    )
+  }
+
+  function updateChunkLimitUI() {
+    const modelLimit = getEmbeddingMaxTokens()
+    const note = modelLimit
+      ? `the model accepts ${modelLimit}`
+      : "the model's input limit is unknown; set it for local endpoints"
+    $("#qdrant_chunk_limit_info").text(`Chunks are cut at ${getChunkTokenLimit()} tokens (${note})`)
+  }
+
+  function updateStorageBackendUI() {
+    $("#qdrant_migrate_local_group").toggle(settings.storageBackend === "indexeddb")
+    $("#qdrant_quantization_group").toggle(getStorageBackend().capabilities.quantization)
+    updateStorageEstimateUI()
+  }
+
+  // Rough footprint of 1,000 memories with the current model and storage
+  // settings: vectors, quantized copies, HNSW links (~150 B/point) and payload
+  function updateStorageEstimateUI() {
+    const dimensions = getEmbeddingDimensions()
+    const $estimate = $("#qdrant_storage_estimate")
+    if (!Number.isFinite(dimensions) || dimensions <= 0) {
+      $estimate.text("Estimated storage appears once the embedding size is known")
+      return
+    }
+
+    const count = 1000
+    // About four bytes of text per token
+    const chunkBytes = getChunkTokenLimit() * 4
+    const payloadBytes = chunkBytes + 500
+    const sparseBytes = settings.hybridSearch ? chunkBytes : 0
+
+    if (!getStorageBackend().capabilities.quantization) {
+      // Vectors are stored as plain arrays of 8-byte numbers
+      const browserBytes = count * (dimensions * 8 + payloadBytes)
+      $estimate.text(`Estimated storage per 1,000 memories (${dimensions} dimensions): ~${formatBytes(browserBytes)} in this browser`)
+      return
+    }
+
+    const quantization = getQuantizationSetting()
+    const vectorBytes = dimensions * 4
+    const quantizedBytes = quantization === "scalar" ? dimensions : quantization === "binary" ? Math.ceil(dimensions / 8) : 0
+    const graphBytes = 150
+    const ramBytes = count * ((settings.vectorsOnDisk ? 0 : vectorBytes) + quantizedBytes + graphBytes + sparseBytes)
+    const diskBytes = count * (vectorBytes + quantizedBytes + graphBytes + sparseBytes + payloadBytes)
+    const layout = [`${dimensions} dimensions`, quantization ? `${quantization} quantization` : null]
+      .filter(Boolean)
+      .join(", ")
+
+    $estimate.text(
+      `Estimated storage per 1,000 memories (${layout}): ~${formatBytes(ramBytes)} RAM, ~${formatBytes(diskBytes)} disk`,
+    )
   }
 
   // Event handlers
@@ -2430,6 +9342,52 @@ function createSettingsUI() {
     settings.enabled = $(this).is(":checked")
   })
 
+  $("#qdrant_storage_backend").on("change", function () {
+    settings.storageBackend = $(this).val()
+    collectionLayouts.clear()
+    updateStorageBackendUI()
+  })
+
+  $("#qdrant_migrate_local_btn").on("click", async () => {
+    const confirmed = confirm(
+      `Copy all memories stored in this browser to Qdrant at ${settings.qdrantUrl} and switch to the Qdrant backend?`,
+    )
+    if (!confirmed) return
+
+    const toastr = window.toastr
+    const progress = createProgressModal("Migrating Local Memories to Qdrant")
+
+    try {
+      const result = await migrateLocalStoreToQdrant(progress)
+
+      if (!result) {
+        progress.setStatus("Migration cancelled")
+        toastr.info("Migration cancelled - local memories are unchanged", "Qdrant Memory")
+      } else if (result.failed.length > 0) {
+        progress.setStatus("Migration finished with errors")
+        progress.setDetails(`Copied ${result.copied} memories. Not migrated: ${result.failed.join(", ")}`)
+        toastr.warning("Some collections were not migrated; still using browser storage", "Qdrant Memory")
+      } else {
+        settings.storageBackend = "qdrant"
+        collectionLayouts.clear()
+        saveSettings()
+        $("#qdrant_storage_backend").val("qdrant")
+        updateStorageBackendUI()
+        progress.setProgress(100)
+        progress.setStatus("Migration complete!")
+        progress.setDetails(`Copied ${result.copied} memories in ${result.collections} collections`)
+        toastr.success("Local memories migrated - now using Qdrant", "Qdrant Memory")
+      }
+    } catch (error) {
+      console.error("[Qdrant Memory] Local store migration failed:", error)
+      progress.setStatus("Error during migration")
+      progress.setDetails(error.message)
+      toastr.error("Failed to migrate local memories", "Qdrant Memory")
+    }
+
+    progress.finish()
+  })
+
   $("#qdrant_url").on("input", function () {
     settings.qdrantUrl = $(this).val()
   })
@@ -2445,6 +9403,7 @@ function createSettingsUI() {
   $("#qdrant_embedding_provider").on("change", function () {
     settings.embeddingProvider = $(this).val()
     updateEmbeddingProviderUI()
+    updateEmbeddingTemplateUI()
   })
 
   $("#qdrant_openai_key").on("input", function () {
@@ -2455,6 +9414,26 @@ function createSettingsUI() {
     settings.openRouterApiKey = $(this).val()
   })
 
+  $("#qdrant_ollama_url").on("input", function () {
+    settings.ollamaUrl = $(this).val()
+  })
+
+  $("#qdrant_cohere_key").on("input", function () {
+    settings.cohereApiKey = $(this).val()
+  })
+
+  $("#qdrant_gemini_key").on("input", function () {
+    settings.geminiApiKey = $(this).val()
+  })
+
+  $("#qdrant_voyage_key").on("input", function () {
+    settings.voyageApiKey = $(this).val()
+  })
+
+  $("#qdrant_koboldcpp_url").on("input", function () {
+    settings.koboldCppUrl = $(this).val()
+  })
+
   $("#qdrant_local_url").on("input", function () {
     settings.localEmbeddingUrl = $(this).val()
   })
@@ -2463,13 +9442,101 @@ function createSettingsUI() {
     settings.localEmbeddingApiKey = $(this).val()
   })
 
+  // Keys and URLs decide whether a fallback can be used
+  $(
+    "#qdrant_openai_key, #qdrant_openrouter_key, #qdrant_ollama_url, #qdrant_cohere_key, #qdrant_gemini_key, #qdrant_voyage_key, #qdrant_local_url",
+  ).on("input", () => updateEmbeddingProviderStatusUI())
+
+  $("#qdrant_local_model").on("input", function () {
+    settings.localEmbeddingModel = $(this).val()
+    updateEmbeddingProviderStatusUI()
+    updateChunkLimitUI()
+    updateEmbeddingTemplateUI()
+  })
+
+  $("#qdrant_fallback_add").on("click", () => {
+    // Suggest the same model through OpenRouter, the most common stand-in
+    const openRouterModel = OPENROUTER_MODEL_ALIASES[settings.embeddingModel]
+    settings.embeddingFallbacks.push(
+      openRouterModel && settings.embeddingProvider === "openai"
+        ? { provider: "openrouter", model: openRouterModel }
+        : { provider: "local", model: getPrimaryEmbeddingTarget().model },
+    )
+    renderFallbackList()
+    updateEmbeddingProviderUI()
+  })
+
   $("#qdrant_local_dimensions").on("input", function () {
     const value = Number.parseInt($(this).val(), 10)
     settings.customEmbeddingDimensions = Number.isFinite(value) && value > 0 ? value : null
+    updateStorageEstimateUI()
   })
 
   $("#qdrant_embedding_model").on("change", function () {
     settings.embeddingModel = $(this).val()
+    updateEmbeddingTemplateUI()
+    updateStorageEstimateUI()
+    updateEmbeddingProviderStatusUI()
+    updateChunkLimitUI()
+  })
+
+  $("#qdrant_output_dimensions").on("input", function () {
+    const value = Number.parseInt($(this).val(), 10)
+    settings.embeddingOutputDimensions = Number.isFinite(value) && value > 0 ? value : null
+    updateStorageEstimateUI()
+    updateEmbeddingProviderStatusUI()
+  })
+
+  $("#qdrant_quantization").on("change", function () {
+    settings.quantization = $(this).val()
+    updateStorageEstimateUI()
+  })
+
+  $("#qdrant_vectors_on_disk").on("change", function () {
+    settings.vectorsOnDisk = $(this).is(":checked")
+    updateStorageEstimateUI()
+  })
+
+  $("#qdrant_embedding_template").on("change", function () {
+    settings.embeddingTemplate = $(this).val()
+    updateEmbeddingTemplateUI()
+    updateChunkLimitUI()
+  })
+
+  $("#qdrant_custom_query_prefix").on("input", function () {
+    settings.customQueryPrefix = $(this).val()
+    updateEmbeddingTemplateUI()
+  })
+
+  $("#qdrant_custom_document_prefix").on("input", function () {
+    settings.customDocumentPrefix = $(this).val()
+    updateEmbeddingTemplateUI()
+  })
+
+  $("#qdrant_embedding_cache").on("change", function () {
+    settings.embeddingCacheEnabled = $(this).is(":checked")
+    $("#qdrant_embedding_cache_group").toggle(settings.embeddingCacheEnabled)
+  })
+
+  $("#qdrant_embedding_cache_max").on("change", function () {
+    const value = Number.parseInt($(this).val(), 10)
+    settings.embeddingCacheMaxEntries = Number.isFinite(value) && value > 0 ? value : defaultSettings.embeddingCacheMaxEntries
+    $(this).val(settings.embeddingCacheMaxEntries)
+    openEmbeddingCache()
+      .then((db) => evictEmbeddingCache(db))
+      .then(() => updateEmbeddingCacheStatsUI())
+      .catch((error) => console.warn("[Qdrant Memory] Could not trim the embedding cache:", error))
+  })
+
+  $("#qdrant_embedding_cache_clear").on("click", async () => {
+    const toastr = window.toastr
+    try {
+      await clearEmbeddingCache()
+      toastr.success("Embedding cache cleared", "Qdrant Memory")
+    } catch (error) {
+      toastr.error(`Could not clear the embedding cache: ${error.message}`, "Qdrant Memory")
+    }
+    updateEmbeddingCacheStatsUI()
   })
 
   $("#qdrant_memory_limit").on("input", function () {
@@ -2477,6 +9544,21 @@ function createSettingsUI() {
     $("#memory_limit_display").text(settings.memoryLimit)
   })
 
+  $("#qdrant_candidate_multiplier").on("input", function () {
+    settings.candidateMultiplier = Number.parseInt($(this).val())
+    $("#candidate_multiplier_display").text(settings.candidateMultiplier)
+  })
+
+  $("#qdrant_mmr_lambda").on("input", function () {
+    settings.mmrLambda = Number.parseFloat($(this).val())
+    $("#mmr_lambda_display").text(settings.mmrLambda)
+  })
+
+  $("#qdrant_max_per_chat").on("input", function () {
+    settings.maxMemoriesPerChat = Number.parseInt($(this).val())
+    $("#max_per_chat_display").text(settings.maxMemoriesPerChat)
+  })
+
   $("#qdrant_score_threshold").on("input", function () {
     settings.scoreThreshold = Number.parseFloat($(this).val())
     $("#score_threshold_display").text(settings.scoreThreshold)
@@ -2492,10 +9574,195 @@ function createSettingsUI() {
     $("#retain_recent_display").text(settings.retainRecentMessages)
   })
 
+  $("#qdrant_query_mode").on("change", function () {
+    settings.queryMode = $(this).val()
+    $("#qdrant_query_window_group").toggle(settings.queryMode === "window")
+    $("#qdrant_query_split_group").toggle(settings.queryMode === "split")
+    $("#qdrant_query_average_group").toggle(settings.queryMode === "average")
+  })
+
+  $("#qdrant_query_window_messages").on("input", function () {
+    settings.queryWindowMessages = Number.parseInt($(this).val())
+    $("#query_window_messages_display").text(settings.queryWindowMessages)
+  })
+
+  $("#qdrant_query_window_decay").on("input", function () {
+    settings.queryWindowDecay = Number.parseFloat($(this).val())
+    $("#query_window_decay_display").text(settings.queryWindowDecay)
+  })
+
+  $("#qdrant_query_split_weight").on("input", function () {
+    settings.querySplitCharacterWeight = Number.parseFloat($(this).val())
+    $("#query_split_weight_display").text(settings.querySplitCharacterWeight)
+  })
+
+  $("#qdrant_query_average_messages").on("input", function () {
+    settings.queryAverageMessages = Number.parseInt($(this).val())
+    $("#query_average_messages_display").text(settings.queryAverageMessages)
+  })
+
+  $("#qdrant_query_average_decay").on("input", function () {
+    settings.queryAverageDecay = Number.parseFloat($(this).val())
+    $("#query_average_decay_display").text(settings.queryAverageDecay)
+  })
+
+  $("#qdrant_query_rewrite").on("change", function () {
+    settings.queryRewrite = $(this).is(":checked")
+    $("#qdrant_query_rewrite_group").toggle(settings.queryRewrite)
+  })
+
+  $("#qdrant_query_rewrite_messages").on("input", function () {
+    settings.queryRewriteMessages = Number.parseInt($(this).val())
+    $("#query_rewrite_messages_display").text(settings.queryRewriteMessages)
+  })
+
+  $("#qdrant_query_rewrite_max").on("input", function () {
+    settings.queryRewriteMaxQueries = Number.parseInt($(this).val())
+    $("#query_rewrite_max_display").text(settings.queryRewriteMaxQueries)
+  })
+
+  $("#qdrant_query_rewrite_timeout").on("input", function () {
+    const seconds = Number.parseInt($(this).val())
+    settings.queryRewriteTimeoutMs = seconds * 1000
+    $("#query_rewrite_timeout_display").text(seconds)
+  })
+
+  $("#qdrant_query_rewrite_keep").on("change", function () {
+    settings.queryRewriteKeepOriginal = $(this).is(":checked")
+  })
+
+  // The default prompt is stored as "" so it follows improvements to it
+  $("#qdrant_query_rewrite_prompt").on("input", function () {
+    const prompt = $(this).val()
+    settings.queryRewritePrompt = prompt.trim() === DEFAULT_QUERY_REWRITE_PROMPT ? "" : prompt
+  })
+
+  $("#qdrant_query_rewrite_reset").on("click", () => {
+    settings.queryRewritePrompt = ""
+    $("#qdrant_query_rewrite_prompt").val(DEFAULT_QUERY_REWRITE_PROMPT)
+  })
+
+  $("#qdrant_ranking_enabled").on("change", function () {
+    settings.rankingEnabled = $(this).is(":checked")
+    $("#qdrant_ranking_group").toggle(settings.rankingEnabled)
+  })
+
+  $("#qdrant_recency_half_life").on("input", function () {
+    const days = Number.parseFloat($(this).val())
+    settings.recencyHalfLifeDays = Number.isFinite(days) && days > 0 ? days : 0
+  })
+
+  $("#qdrant_recency_weight").on("input", function () {
+    settings.recencyWeight = Number.parseFloat($(this).val())
+    $("#recency_weight_display").text(settings.recencyWeight)
+  })
+
+  $("#qdrant_importance_weight").on("input", function () {
+    settings.importanceWeight = Number.parseFloat($(this).val())
+    $("#importance_weight_display").text(settings.importanceWeight)
+  })
+
+  $("#qdrant_retrieval_count_weight").on("input", function () {
+    settings.retrievalCountWeight = Number.parseFloat($(this).val())
+    $("#retrieval_count_weight_display").text(settings.retrievalCountWeight)
+  })
+
+  $("#qdrant_track_retrievals").on("change", function () {
+    settings.trackRetrievalCounts = $(this).is(":checked")
+  })
+
+  $("#qdrant_rerank_enabled").on("change", function () {
+    settings.rerankEnabled = $(this).is(":checked")
+    $("#qdrant_rerank_group").toggle(settings.rerankEnabled)
+  })
+
+  $("#qdrant_rerank_url").on("input", function () {
+    settings.rerankUrl = $(this).val()
+  })
+
+  $("#qdrant_rerank_format").on("change", function () {
+    settings.rerankFormat = $(this).val()
+  })
+
+  $("#qdrant_rerank_model").on("input", function () {
+    settings.rerankModel = $(this).val()
+  })
+
+  $("#qdrant_rerank_api_key").on("input", function () {
+    settings.rerankApiKey = $(this).val()
+  })
+
+  $("#qdrant_rerank_top_k").on("input", function () {
+    settings.rerankTopK = Number.parseInt($(this).val())
+    $("#rerank_top_k_display").text(settings.rerankTopK)
+  })
+
+  $("#qdrant_rerank_threshold").on("input", function () {
+    settings.rerankThreshold = Number.parseFloat($(this).val())
+    $("#rerank_threshold_display").text(settings.rerankThreshold)
+  })
+
+  $("#qdrant_rerank_test").on("click", async () => {
+    const toastr = window.toastr
+    // An explicit test should reach the reranker even while its breaker is open
+    resetServiceHealth("reranker")
+    try {
+      const scores = await requestRerankScores("Where is the lighthouse?", [
+        "The lighthouse stands on the cliff north of the harbor.",
+        "She ordered tea and a slice of cake.",
+      ])
+      const ordered = scores[0] > scores[1]
+      toastr[ordered ? "success" : "warning"](
+        `Scores: ${scores.map((score) => score.toFixed(3)).join(", ")}${ordered ? "" : " (the relevant text should score higher)"}`,
+        "Reranker",
+      )
+    } catch (error) {
+      toastr.error(error.message, "Reranker")
+    }
+  })
+
+  $("#qdrant_hybrid_search").on("change", function () {
+    settings.hybridSearch = $(this).is(":checked")
+    $("#qdrant_hybrid_weight_group").toggle(settings.hybridSearch)
+    updateStorageEstimateUI()
+  })
+
+  $("#qdrant_hybrid_dense_weight").on("input", function () {
+    settings.hybridDenseWeight = Number.parseFloat($(this).val())
+    $("#hybrid_dense_weight_display").text(settings.hybridDenseWeight)
+  })
+
+  $("#qdrant_merge_collections_btn").on("click", () => {
+    convertCollectionMode(true)
+  })
+
+  $("#qdrant_split_collection_btn").on("click", () => {
+    convertCollectionMode(false)
+  })
+
   $("#qdrant_per_character").on("change", function () {
     settings.usePerCharacterCollections = $(this).is(":checked")
   })
 
+  $("#qdrant_sync_changes").on("change", function () {
+    settings.syncMessageChanges = $(this).is(":checked")
+  })
+
+  $("#qdrant_outbox_retry").on("click", () => {
+    processOutbox({ force: true, retryFailed: true })
+  })
+
+  $("#qdrant_outbox_discard").on("click", async () => {
+    if (!confirm("Discard all memories waiting to be saved? They will not be stored.")) return
+    const toastr = window.toastr
+    try {
+      const discarded = await discardOutbox()
+      toastr.info(`Discarded ${discarded} queued memories`, "Qdrant Memory")
+    } catch (error) {
+      toastr.error(`Could not discard queued memories: ${error.message}`, "Qdrant Memory")
+    }
+  })
+
   $("#qdrant_auto_save").on("change", function () {
     settings.autoSaveMemories = $(this).is(":checked")
   })
@@ -2513,15 +9780,62 @@ function createSettingsUI() {
     $("#min_message_length_display").text(settings.minMessageLength)
   })
 
+  $("#qdrant_chunk_min_tokens").on("change", function () {
+    const value = Number.parseInt($(this).val(), 10)
+    settings.chunkMinTokens = Number.isFinite(value) && value > 0 ? value : defaultSettings.chunkMinTokens
+    $(this).val(settings.chunkMinTokens)
+  })
+
+  $("#qdrant_chunk_max_tokens").on("change", function () {
+    const value = Number.parseInt($(this).val(), 10)
+    settings.chunkMaxTokens = Number.isFinite(value) && value > 0 ? value : defaultSettings.chunkMaxTokens
+    $(this).val(settings.chunkMaxTokens)
+    updateChunkLimitUI()
+    updateStorageEstimateUI()
+  })
+
+  $("#qdrant_token_counter").on("change", function () {
+    settings.tokenCounter = $(this).val()
+    updateChunkLimitUI()
+  })
+
+  $("#qdrant_embedding_max_tokens").on("input", function () {
+    const value = Number.parseInt($(this).val(), 10)
+    settings.embeddingMaxTokens = Number.isFinite(value) && value > 0 ? value : null
+    updateChunkLimitUI()
+    updateStorageEstimateUI()
+  })
+
   $("#qdrant_dedupe_threshold").on("input", function () {
     settings.dedupeThreshold = Number.parseFloat($(this).val())
     $("#dedupe_threshold_display").text(settings.dedupeThreshold.toFixed(2))
   })
 
+  $("#qdrant_index_batch_size").on("input", function () {
+    settings.indexBatchSize = Number.parseInt($(this).val())
+    $("#index_batch_size_display").text(settings.indexBatchSize)
+  })
+
   $("#qdrant_prevent_duplicate").on("change", function () {
     settings.preventDuplicateInjection = $(this).is(":checked")
   })
 
+  $("#qdrant_snapshot_before_delete").on("change", function () {
+    settings.snapshotBeforeDelete = $(this).is(":checked")
+  })
+
+  $("#qdrant_request_timeout").on("change", function () {
+    const seconds = Number.parseFloat($(this).val())
+    settings.requestTimeoutMs = Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : defaultSettings.requestTimeoutMs
+    $(this).val(settings.requestTimeoutMs / 1000)
+  })
+
+  $("#qdrant_request_retries").on("change", function () {
+    const retries = Number.parseInt($(this).val(), 10)
+    settings.requestRetries = Number.isFinite(retries) && retries >= 0 ? Math.min(retries, 10) : defaultSettings.requestRetries
+    $(this).val(settings.requestRetries)
+  })
+
   $("#qdrant_notifications").on("change", function () {
     settings.showMemoryNotifications = $(this).is(":checked")
   })
@@ -2530,7 +9844,15 @@ function createSettingsUI() {
     settings.debugMode = $(this).is(":checked")
   })
 
+  $("#qdrant_custom_query_prefix").val(settings.customQueryPrefix)
+  $("#qdrant_custom_document_prefix").val(settings.customDocumentPrefix)
+  $("#qdrant_query_rewrite_prompt").val(getQueryRewritePrompt())
+
+  renderFallbackList()
   updateEmbeddingProviderUI()
+  updateStorageBackendUI()
+  updateEmbeddingTemplateUI()
+  updateEmbeddingCacheStatsUI()
 
   $("#qdrant_save").on("click", () => {
     saveSettings()
@@ -2546,19 +9868,17 @@ function createSettingsUI() {
       .css({ color: "#004085", background: "#cce5ff", border: "1px solid #004085" })
 
     try {
-      const response = await fetch(`${settings.qdrantUrl}/collections`, {
-        headers: getQdrantHeaders(),
-      })
+      // An explicit test should reach the server even while its breaker is open
+      resetServiceHealth()
+      const { ok, message } = await getStorageBackend().testConnection()
 
-      if (response.ok) {
-        const data = await response.json()
-        const collections = data.result?.collections || []
+      if (ok) {
         $("#qdrant_status")
-          .text(`✓ Connected! Found ${collections.length} collections.`)
+          .text(`✓ ${message}`)
           .css({ color: "green", background: "#d4edda", border: "1px solid green" })
       } else {
         $("#qdrant_status")
-          .text("✗ Connection failed. Check URL.")
+          .text(`✗ ${message}`)
           .css({ color: "#721c24", background: "#f8d7da", border: "1px solid #721c24" })
       }
     } catch (error) {
@@ -2616,5 +9936,21 @@ window.jQuery(async () => {
     }, 2000)
   }
 
+  // Bind collections to characters and follow renames whenever the chat changes
+  const { eventSource: contextEventSource, eventTypes } = getContext()
+  if (contextEventSource?.on) {
+    contextEventSource.on(eventTypes?.CHAT_CHANGED ?? "chat_id_changed", () => {
+      syncCharacterCollections()
+    })
+  }
+  syncCharacterCollections()
+
+  // Keep stored chunks in step with edited, deleted and swiped messages
+  registerMessageSyncHooks()
+
+  // Replay memories that failed to save, now and whenever the browser comes back online
+  window.addEventListener("online", () => processOutbox({ force: true }))
+  scheduleOutbox()
+
   console.log("[Qdrant Memory] Extension loaded successfully (v3.1.3 - fixed partial memory storage during streaming)")
 })